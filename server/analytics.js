@@ -0,0 +1,154 @@
+import { QueryError } from './pagination.js';
+import { generateAnalyticsSamples, generateAnalyticsSummary } from './mockData.js';
+
+/**
+ * Time-range analytics: raw samples are generated at a finer step than the
+ * requested granularity and aggregated per bucket, so a single hour and a
+ * whole week come back in the same { summary, timeSeries } shape.
+ */
+
+const GRANULARITIES = {
+  '1m': 60000,
+  '5m': 300000,
+  '1h': 3600000,
+  '1d': 86400000,
+};
+
+// Metric -> default aggregation
+const METRICS = {
+  activeUsers: 'avg',
+  requests: 'sum',
+  errorRate: 'avg',
+  avgLatency: 'avg',
+  cpuUsage: 'avg',
+  memoryUsage: 'avg',
+};
+
+const AGGREGATIONS = {
+  sum: (values) => values.reduce((a, b) => a + b, 0),
+  avg: (values) => values.reduce((a, b) => a + b, 0) / values.length,
+  // Nearest-rank percentile
+  p95: (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.ceil(sorted.length * 0.95) - 1];
+  },
+};
+
+const MAX_BUCKETS = 1000;
+const SAMPLES_PER_BUCKET = 12;
+const MIN_SAMPLE_STEP = 60000;
+
+function alignDown(time, stepMs) {
+  return Math.floor(time / stepMs) * stepMs;
+}
+
+function parseTime(field, value) {
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new QueryError(field, `${field} must be an ISO date or epoch milliseconds`);
+  }
+  return time;
+}
+
+/**
+ * Parse `metrics=requests,avgLatency:p95`. Metrics without a suffix use
+ * `agg` when given, else their own default aggregation.
+ */
+function parseMetrics(value, defaultAgg) {
+  const entries = value ? String(value).split(',').filter(Boolean) : Object.keys(METRICS);
+
+  return entries.map((entry) => {
+    const [name, suffix] = entry.trim().split(':');
+    // Own keys only, so `constructor` or `toString` is unknown too
+    if (!Object.hasOwn(METRICS, name)) {
+      throw new QueryError('metrics', `Unknown metric "${name}". Allowed: ${Object.keys(METRICS).join(', ')}`);
+    }
+    const agg = suffix === undefined ? defaultAgg || METRICS[name] : suffix;
+    if (!Object.hasOwn(AGGREGATIONS, agg)) {
+      throw new QueryError('metrics', `Unknown aggregation "${agg}". Allowed: ${Object.keys(AGGREGATIONS).join(', ')}`);
+    }
+    return { name, agg };
+  });
+}
+
+/**
+ * Validate `from`, `to`, `granularity`, `metrics` and `agg` query params.
+ * Defaults to the last 24 hourly buckets, ending now.
+ */
+function parseAnalyticsQuery(query, now = Date.now()) {
+  const granularity = query.granularity || '1h';
+  const bucketMs = Object.hasOwn(GRANULARITIES, granularity) ? GRANULARITIES[granularity] : null;
+  if (!bucketMs) {
+    throw new QueryError('granularity', `granularity must be one of: ${Object.keys(GRANULARITIES).join(', ')}`);
+  }
+
+  if (query.agg && !Object.hasOwn(AGGREGATIONS, query.agg)) {
+    throw new QueryError('agg', `agg must be one of: ${Object.keys(AGGREGATIONS).join(', ')}`);
+  }
+
+  // No data from the future
+  const to = Math.min(query.to ? parseTime('to', query.to) : now, now);
+  const from = query.from ? parseTime('from', query.from) : alignDown(to, bucketMs) - 23 * bucketMs;
+
+  if (from >= to) {
+    throw new QueryError('from', 'from must be earlier than to');
+  }
+
+  const buckets = Math.ceil((to - alignDown(from, bucketMs)) / bucketMs);
+  if (buckets > MAX_BUCKETS) {
+    throw new QueryError('granularity', `Range spans ${buckets} buckets; the limit is ${MAX_BUCKETS}. Use a coarser granularity.`);
+  }
+
+  return {
+    from,
+    to,
+    granularity,
+    bucketMs,
+    metrics: parseMetrics(query.metrics, query.agg),
+  };
+}
+
+function roundMetric(name, value) {
+  // errorRate stays a 2-decimal string, matching the original payload
+  return name === 'errorRate' ? value.toFixed(2) : Math.round(value);
+}
+
+function buildAnalytics({ from, to, granularity, bucketMs, metrics }, rng) {
+  const sampleStep = Math.max(MIN_SAMPLE_STEP, bucketMs / SAMPLES_PER_BUCKET);
+  const samples = generateAnalyticsSamples(alignDown(from, sampleStep), to, sampleStep, rng);
+
+  const buckets = new Map();
+  samples.forEach((sample) => {
+    const bucketStart = alignDown(sample.timestamp, bucketMs);
+    if (!buckets.has(bucketStart)) buckets.set(bucketStart, []);
+    buckets.get(bucketStart).push(sample);
+  });
+
+  const timeSeries = Array.from(buckets, ([bucketStart, bucketSamples]) => {
+    const point = { timestamp: new Date(bucketStart).toISOString() };
+    metrics.forEach(({ name, agg }) => {
+      point[name] = roundMetric(name, AGGREGATIONS[agg](bucketSamples.map((s) => s[name])));
+    });
+    return point;
+  });
+
+  const summary = {
+    ...generateAnalyticsSummary(rng),
+    totalRequests: AGGREGATIONS.sum(samples.map((s) => s.requests)),
+    avgResponseTime: Math.round(AGGREGATIONS.avg(samples.map((s) => s.avgLatency))),
+    errorRate: AGGREGATIONS.avg(samples.map((s) => s.errorRate)).toFixed(2),
+  };
+
+  return {
+    summary,
+    timeSeries,
+    query: {
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      granularity,
+      metrics: Object.fromEntries(metrics.map(({ name, agg }) => [name, agg])),
+    },
+  };
+}
+
+export { parseAnalyticsQuery, buildAnalytics, GRANULARITIES };
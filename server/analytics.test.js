@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseAnalyticsQuery, buildAnalytics } from './analytics.js';
+import { QueryError } from './pagination.js';
+import { createRandom } from './mockData.js';
+
+const NOW = Date.parse('2026-03-10T12:34:56.000Z');
+const HOUR = 3600000;
+
+function queryError(query) {
+  try {
+    parseAnalyticsQuery(query, NOW);
+  } catch (err) {
+    assert.ok(err instanceof QueryError);
+    return err;
+  }
+  assert.fail('expected a QueryError');
+}
+
+test('defaults to 24 hourly buckets ending now, every metric on its own aggregation', () => {
+  const query = parseAnalyticsQuery({}, NOW);
+
+  assert.equal(query.granularity, '1h');
+  assert.equal(query.to, NOW);
+  assert.equal(query.from, Date.parse('2026-03-09T13:00:00.000Z'));
+  assert.deepEqual(query.metrics.find((m) => m.name === 'requests'), { name: 'requests', agg: 'sum' });
+  assert.deepEqual(query.metrics.find((m) => m.name === 'avgLatency'), { name: 'avgLatency', agg: 'avg' });
+});
+
+test('metrics take an aggregation suffix, else `agg`, else their default', () => {
+  const { metrics } = parseAnalyticsQuery({ metrics: 'requests,avgLatency:p95', agg: 'avg' }, NOW);
+  assert.deepEqual(metrics, [{ name: 'requests', agg: 'avg' }, { name: 'avgLatency', agg: 'p95' }]);
+});
+
+test('unknown and inherited metric or aggregation names are rejected', () => {
+  for (const metrics of ['bogus', 'constructor', 'toString', '__proto__']) {
+    assert.equal(queryError({ metrics }).field, 'metrics');
+  }
+  for (const metrics of ['requests:median', 'requests:constructor', 'requests:']) {
+    assert.match(queryError({ metrics }).message, /Unknown aggregation/);
+  }
+  assert.equal(queryError({ agg: 'hasOwnProperty' }).field, 'agg');
+  assert.equal(queryError({ granularity: 'constructor' }).field, 'granularity');
+});
+
+test('ranges must be ordered and within the bucket limit', () => {
+  assert.equal(queryError({ from: String(NOW), to: String(NOW - HOUR) }).field, 'from');
+  assert.equal(queryError({ from: 'yesterday' }).field, 'from');
+  assert.equal(queryError({ from: String(NOW - 30 * 24 * HOUR), granularity: '1m' }).field, 'granularity');
+});
+
+test('samples are aggregated into one point per bucket', () => {
+  const query = parseAnalyticsQuery({
+    from: '2026-03-10T00:00:00.000Z',
+    to: '2026-03-10T06:00:00.000Z',
+    metrics: 'requests,errorRate',
+  }, NOW);
+  const result = buildAnalytics(query, createRandom('analytics-test'));
+
+  assert.deepEqual(
+    result.timeSeries.map((point) => point.timestamp),
+    [0, 1, 2, 3, 4, 5].map((h) => new Date(Date.parse('2026-03-10T00:00:00.000Z') + h * HOUR).toISOString())
+  );
+  assert.deepEqual(Object.keys(result.timeSeries[0]), ['timestamp', 'requests', 'errorRate']);
+  assert.equal(typeof result.timeSeries[0].errorRate, 'string');
+  assert.equal(
+    result.summary.totalRequests,
+    result.timeSeries.reduce((total, point) => total + point.requests, 0)
+  );
+  assert.deepEqual(result.query.metrics, { requests: 'sum', errorRate: 'avg' });
+});
+
+test('the same seed gives the same series', () => {
+  const query = parseAnalyticsQuery({ granularity: '5m', from: String(NOW - HOUR) }, NOW);
+  assert.deepEqual(
+    buildAnalytics(query, createRandom('same')),
+    buildAnalytics(query, createRandom('same'))
+  );
+});
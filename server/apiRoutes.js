@@ -1,15 +1,447 @@
-import { Router } from 'express';
+import express, { Router } from 'express';
 import {
   generateUsers,
   generateUser,
-  generateAnalytics,
   generateDashboardWidgets,
-  generatePerformanceMetrics,
+  createRandom,
+  roles,
+  statuses,
+  feedTypes,
+  feedSeverities,
 } from './mockData.js';
+import { createStore } from './storage.js';
+import { QueryError, parseSort, paginate, sortRecords } from './pagination.js';
+import { parseAnalyticsQuery, buildAnalytics, GRANULARITIES } from './analytics.js';
+import { mountAuthRoutes, requireAuth } from './auth.js';
+import { PERMISSIONS } from './permissions.js';
+import { feedState, FeedStateError } from './feedState.js';
+import { parseFeedFilter, matchesFeedFilter } from './feedFilter.js';
+import { parseBeacon, rumMetrics, RUM_METRICS, MAX_SAMPLES_PER_BEACON } from './rumMetrics.js';
+import { RouteRegistry, validateObject, sendValidationError } from './schema.js';
+import { chaos, ChaosError, LATENCY_DISTRIBUTIONS } from './chaos.js';
+import { mountStreamRoutes, mountStreamMessageRoutes } from './sseStream.js';
+import { EXPORT_FORMATS, CSV_COLUMNS, MAX_IMPORT_ROWS, ImportError, streamUsers, parseImport } from './userTransfer.js';
 
 const router = Router();
+const routes = new RouteRegistry(router);
 
-const users = generateUsers(50);
+const userStore = createStore('users', { seed: () => generateUsers(50) });
+
+const EDITABLE_USER_FIELDS = ['name', 'email', 'role', 'status'];
+const USER_SORT_FIELDS = ['name', 'role', 'joinedAt', 'metrics.tasksCompleted'];
+const MAX_FEED_LIMIT = 200;
+const DASHBOARD_REFRESH_MS = 30000;
+// Roster imports get their own body parsers, with a larger limit than the
+// app-wide JSON parser (which skips this path; see index.js)
+const USER_IMPORT_PATH = '/v1/users/import';
+const IMPORT_BODY_LIMIT = '2mb';
+
+// ── Schemas shared by several routes ──
+
+const delayParam = (ms) => ({
+  type: 'integer',
+  minimum: 0,
+  maximum: 30000,
+  default: ms,
+  description: 'Artificial latency in milliseconds',
+});
+
+const SEED_PARAM = {
+  type: 'string',
+  description: 'Makes the generated payload deterministic for a given seed',
+};
+
+const USER_ID_PARAMS = {
+  id: { type: 'integer', minimum: 1 },
+};
+
+const USER_FIELDS = {
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  email: { type: 'string', format: 'email', maxLength: 200 },
+  role: { type: 'string', enum: roles },
+  status: { type: 'string', enum: statuses },
+};
+
+// Filters shared by the list and the export, so an export matches the view
+const USER_FILTER_QUERY = {
+  sort: { type: 'string', description: `Comma-separated, \`-\` for descending. Fields: id, ${USER_SORT_FIELDS.join(', ')}` },
+  search: { type: 'string', maxLength: 100, default: '', description: 'Substring of name or email' },
+  role: { type: 'array', items: { type: 'string', enum: roles } },
+  status: { type: 'array', items: { type: 'string', enum: statuses } },
+};
+
+const IMPORT_ROW_SCHEMA = { type: 'object', required: ['name', 'email'], properties: USER_FIELDS };
+
+const userResponse = (description) => ({
+  description,
+  schema: {
+    type: 'object',
+    properties: { data: { $ref: '#/components/schemas/User' } },
+  },
+});
+
+const RATE = { type: 'number', minimum: 0, maximum: 1, description: 'Probability between 0 and 1' };
+const LATENCY_MS = { type: 'number', minimum: 0, maximum: 30000 };
+
+const CHAOS_CONFIG = {
+  type: 'object',
+  required: ['enabled'],
+  properties: {
+    enabled: { type: 'boolean' },
+    seed: { type: 'string', description: 'Makes the injected faults reproducible' },
+    http: {
+      type: 'array',
+      maxItems: 20,
+      description: 'First matching rule applies',
+      items: {
+        type: 'object',
+        required: ['match'],
+        properties: {
+          match: { type: 'string', minLength: 1, maxLength: 200, description: 'Path below /api; `*` matches anything' },
+          methods: { type: 'array', items: { type: 'string', enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] } },
+          latency: {
+            type: 'object',
+            required: ['distribution'],
+            description: 'fixed uses `ms`, uniform `min`/`max`, normal `mean`/`stddev`, exponential `mean`',
+            properties: {
+              distribution: { type: 'string', enum: LATENCY_DISTRIBUTIONS },
+              ms: LATENCY_MS,
+              min: LATENCY_MS,
+              max: LATENCY_MS,
+              mean: LATENCY_MS,
+              stddev: LATENCY_MS,
+            },
+          },
+          errorRate: RATE,
+          errorStatuses: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 500, maximum: 599 } },
+          rateLimitRate: RATE,
+          retryAfter: { type: 'integer', minimum: 0, maximum: 120, description: 'Seconds, for injected 429s' },
+          truncateRate: RATE,
+        },
+      },
+    },
+    ws: {
+      type: 'array',
+      maxItems: 10,
+      items: {
+        type: 'object',
+        required: ['channel'],
+        properties: {
+          channel: { type: 'string', enum: ['*', 'feed', 'analytics', 'presence'] },
+          dropRate: { ...RATE, description: 'Chance that a delivery on the channel drops the connection instead' },
+          heartbeatSuppressRate: { ...RATE, description: "Chance that a ping to the channel's subscribers is skipped" },
+        },
+      },
+    },
+  },
+};
+
+const CHAOS_RESPONSE = {
+  description: 'Current chaos configuration and counts of injected faults',
+  schema: {
+    type: 'object',
+    properties: { data: { $ref: '#/components/schemas/ChaosState' } },
+  },
+};
+
+const WS_CLIENT_PARAMS = {
+  id: { type: 'string', maxLength: 64, description: 'Connection id from connection:established' },
+};
+
+// Types the client's connection manager handles itself; pushing them would desync it
+const RESERVED_MESSAGE_PREFIXES = ['auth:', 'connection:', 'heartbeat:'];
+
+const wsClientResponse = (description) => ({
+  description,
+  schema: {
+    type: 'object',
+    properties: { data: { $ref: '#/components/schemas/WsClient' } },
+  },
+});
+
+const NOT_FOUND = { description: 'No such record', schema: { $ref: '#/components/schemas/Error' } };
+
+const API_COMPONENTS = {
+  schemas: {
+    User: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        ...USER_FIELDS,
+        avatar: { type: 'string' },
+        joinedAt: { type: 'string', format: 'date-time' },
+        lastActive: { type: 'string', format: 'date-time' },
+        metrics: {
+          type: 'object',
+          properties: {
+            tasksCompleted: { type: 'integer' },
+            avgResponseTime: { type: 'integer' },
+            satisfactionScore: { type: 'string' },
+          },
+        },
+      },
+    },
+    Pagination: {
+      type: 'object',
+      properties: {
+        page: { type: 'integer' },
+        limit: { type: 'integer' },
+        total: { type: 'integer' },
+        totalPages: { type: 'integer' },
+        hasNext: { type: 'boolean' },
+        hasPrev: { type: 'boolean' },
+        sort: { type: 'string' },
+        nextCursor: { type: 'string', nullable: true },
+        prevCursor: { type: 'string', nullable: true },
+      },
+    },
+    FeedMessage: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        type: { type: 'string', enum: feedTypes },
+        severity: { type: 'string', enum: feedSeverities },
+        message: { type: 'string' },
+        source: { type: 'string' },
+        timestamp: { type: 'string', format: 'date-time' },
+        acknowledged: { type: 'boolean' },
+        assignee: { type: 'string', nullable: true },
+        snoozedUntil: { type: 'string', format: 'date-time', nullable: true },
+      },
+    },
+    WsClient: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        transport: { type: 'string', enum: ['json', 'msgpack', 'sse'] },
+        authenticated: { type: 'boolean' },
+        user: {
+          type: 'object',
+          nullable: true,
+          properties: { username: { type: 'string' }, name: { type: 'string' }, role: { type: 'string' } },
+        },
+        tokenExpiresAt: { type: 'string', format: 'date-time', nullable: true },
+        subscriptions: { type: 'array', items: { type: 'string' } },
+        filters: { type: 'object' },
+        messageCount: { type: 'integer', description: 'Messages received from the client' },
+        connectedAt: { type: 'string', format: 'date-time' },
+        remoteAddress: { type: 'string', nullable: true },
+        userAgent: { type: 'string', nullable: true },
+        outbound: {
+          type: 'object',
+          properties: Object.fromEntries(
+            ['bufferedAmount', 'backlog', 'lagMs', 'sent', 'dropped', 'coalesced']
+              .map((name) => [name, { type: 'integer' }])
+          ),
+        },
+      },
+    },
+    ChaosState: {
+      ...CHAOS_CONFIG,
+      properties: {
+        ...CHAOS_CONFIG.properties,
+        stats: {
+          type: 'object',
+          properties: Object.fromEntries(
+            ['delayed', 'errors', 'rateLimited', 'truncated', 'drops', 'heartbeatsSuppressed']
+              .map((name) => [name, { type: 'integer' }])
+          ),
+        },
+      },
+    },
+    ImportResult: {
+      type: 'object',
+      properties: {
+        dryRun: { type: 'boolean' },
+        summary: {
+          type: 'object',
+          properties: Object.fromEntries(
+            ['total', 'created', 'updated', 'unchanged', 'failed'].map((name) => [name, { type: 'integer' }])
+          ),
+        },
+        ignoredColumns: { type: 'array', items: { type: 'string' } },
+        rows: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              row: { type: 'integer', description: 'CSV line number, or 1-based position in a JSON array' },
+              email: { type: 'string', nullable: true },
+              action: { type: 'string', enum: ['create', 'update', 'unchanged', 'error'] },
+              id: { type: 'integer', description: 'Matched or created user; absent for new users in a dry run' },
+              fields: { type: 'array', items: { type: 'string' }, description: 'Fields an update changes' },
+              errors: {
+                type: 'array',
+                items: { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+// Built on first request, once every route is registered
+let openApiDocument = null;
+
+function pickEditableFields(body) {
+  const picked = {};
+  EDITABLE_USER_FIELDS.forEach((field) => {
+    if (body && body[field] !== undefined) picked[field] = body[field];
+  });
+  return picked;
+}
+
+function filterUsers(users, { search, role, status }) {
+  let filtered = users;
+  if (search) {
+    const needle = search.toLowerCase();
+    filtered = filtered.filter(
+      (u) => u.name.toLowerCase().includes(needle) || u.email.toLowerCase().includes(needle)
+    );
+  }
+  if (role?.length) {
+    filtered = filtered.filter((u) => role.includes(u.role));
+  }
+  if (status?.length) {
+    filtered = filtered.filter((u) => status.includes(u.status));
+  }
+  return filtered;
+}
+
+// A fresh user with generated metrics and avatar, carrying the given fields
+function buildUser(id, { name, email, role, status }) {
+  const user = generateUser(id);
+  user.name = name;
+  user.email = email;
+  if (role) user.role = role;
+  if (status) user.status = status;
+  return user;
+}
+
+/**
+ * Decide what each import row does: create a user, update the one with
+ * the same email (case-insensitive), leave it unchanged, or fail with
+ * per-field errors. A later row repeating an earlier row's email fails,
+ * so a file can't update the same user twice, and so does a row whose
+ * email is shared by several stored users, since it can't say which.
+ */
+function planImport(rows) {
+  const existingByEmail = new Map();
+  userStore.list().forEach((u) => {
+    const key = u.email.toLowerCase();
+    existingByEmail.set(key, [...(existingByEmail.get(key) || []), u]);
+  });
+  const firstRowByEmail = new Map();
+
+  return rows.map(({ row, record }) => {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return { row, email: null, action: 'error', errors: [{ field: 'row', message: 'row must be an object' }] };
+    }
+
+    const { value, errors } = validateObject(pickEditableFields(record), IMPORT_ROW_SCHEMA);
+    const email = typeof value.email === 'string' ? value.email : null;
+    const key = email?.toLowerCase();
+
+    if (key && firstRowByEmail.has(key)) {
+      errors.push({ field: 'email', message: `email ${email} already appears in row ${firstRowByEmail.get(key)}` });
+    } else if (key) {
+      firstRowByEmail.set(key, row);
+    }
+
+    if (errors.length > 0) {
+      return { row, email, action: 'error', errors: errors.map(({ field, message }) => ({ field, message })) };
+    }
+
+    const matches = existingByEmail.get(key) || [];
+    if (matches.length > 1) {
+      return {
+        row,
+        email,
+        action: 'error',
+        errors: [{
+          field: 'email',
+          message: `email ${email} belongs to ${matches.length} existing users (ids ${matches.map((u) => u.id).join(', ')})`,
+        }],
+      };
+    }
+
+    const [existing] = matches;
+    if (!existing) {
+      return { row, email, action: 'create', changes: value };
+    }
+
+    // The stored email (and its casing) is the match key, so it stays as is
+    const changes = {};
+    ['name', 'role', 'status'].forEach((field) => {
+      if (value[field] !== undefined && value[field] !== existing[field]) changes[field] = value[field];
+    });
+    return {
+      row,
+      email: existing.email,
+      id: existing.id,
+      action: Object.keys(changes).length > 0 ? 'update' : 'unchanged',
+      changes,
+    };
+  });
+}
+
+// Sending a user's own email back (in any casing) is not a change
+function emailChanged(user, email) {
+  return email !== undefined && email.toLowerCase() !== user.email.toLowerCase();
+}
+
+function findEmailConflict(email, excludeId = null) {
+  if (!email) return null;
+  const normalized = email.toLowerCase();
+  return userStore.find((u) => u.id !== excludeId && u.email.toLowerCase() === normalized);
+}
+
+let dashboard = null;
+
+/**
+ * Dashboard widgets as of `lastUpdated`. Unseeded widgets are regenerated
+ * at most every DASHBOARD_REFRESH_MS, so revalidating in between gets a
+ * 304; seeded ones are dated from the source's fixed clock.
+ */
+function dashboardSnapshot(rng) {
+  if (rng) {
+    return { widgets: generateDashboardWidgets(rng), lastUpdated: new Date(rng.now()).toISOString() };
+  }
+
+  if (!dashboard || Date.now() - Date.parse(dashboard.lastUpdated) >= DASHBOARD_REFRESH_MS) {
+    dashboard = { widgets: generateDashboardWidgets(), lastUpdated: new Date().toISOString() };
+  }
+  return dashboard;
+}
+
+/**
+ * `?seed=` gives a request its own deterministic random source so the same
+ * seed always yields the same payload; without it the shared source is used.
+ */
+function requestRandom(req) {
+  return req.query.seed !== undefined ? createRandom(req.query.seed) : undefined;
+}
+
+function sendQueryError(res, err) {
+  return sendValidationError(res, [{ field: err.field, in: 'query', message: err.message }]);
+}
+
+function sendEmailConflict(res, email) {
+  return res.status(409).json({
+    error: 'Email already in use',
+    message: `Another user is already registered with ${email}`,
+  });
+}
+
+function sendClientNotFound(res, id) {
+  return res.status(404).json({
+    error: 'Connection not found',
+    message: `No connection with id ${id}`,
+    code: 'unknown_client',
+  });
+}
 
 const requestCounts = new Map();
 const RATE_LIMIT = 200;
@@ -47,48 +479,236 @@ function rateLimiter(req, res, next) {
 
 router.use(rateLimiter);
 
+// GET /api/openapi.json - OpenAPI document generated from the route schemas
+router.get('/openapi.json', (req, res) => {
+  openApiDocument = openApiDocument || routes.openApi({
+    info: {
+      title: 'Dashboard API',
+      version: '1.0.0',
+      description: 'REST API behind the dashboard. Obtain a token from POST /api/v1/auth/login.',
+    },
+    basePath: '/api',
+    components: API_COMPONENTS,
+  });
+  res.json(openApiDocument);
+});
+
+// Login/refresh are public; every route registered after this needs a token
+mountAuthRoutes(routes);
+
+// SSE fallback for the WebSocket channels; the stream checks its own
+// `?access_token=`, since EventSource can't send headers
+mountStreamRoutes(routes);
+
+// POST /api/v1/metrics - real-user monitoring beacon
+// Public, because navigator.sendBeacon can't send an Authorization header.
+routes.post('/v1/metrics', {
+  summary: 'Report real-user metrics',
+  description: 'Samples with an unknown metric, a value out of range or a bad route are skipped and listed in `rejected`; the rest are recorded.',
+  tags: ['Metrics'],
+  auth: false,
+  body: {
+    type: 'object',
+    required: ['samples'],
+    properties: {
+      // Inline, as the validator doesn't follow `$ref`. Only types are checked
+      // here; parseBeacon rejects bad samples one by one.
+      samples: {
+        type: 'array',
+        maxItems: MAX_SAMPLES_PER_BEACON,
+        items: {
+          type: 'object',
+          properties: {
+            route: { type: 'string', description: 'Page path, e.g. /users/42' },
+            metric: { type: 'string', description: `One of: ${Object.keys(RUM_METRICS).join(', ')}` },
+            value: { type: 'number' },
+          },
+        },
+      },
+    },
+  },
+  responses: { 202: 'Samples accepted' },
+}, (req, res) => {
+  const { errors, samples, rejected } = parseBeacon(req.valid.body);
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  samples.forEach((sample) => rumMetrics.record(sample));
+  res.status(202).json({ data: { accepted: samples.length, rejected } });
+});
+
+router.use(requireAuth);
+
+mountStreamMessageRoutes(routes);
+
 // GET /api/v1/users - paginated user list
-router.get('/v1/users', (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
-  const search = req.query.search || '';
-  const delay = parseInt(req.query.delay) || 300;
+// Supports offset (`page`) or opaque `cursor` pagination, `sort=name,-joinedAt`,
+// comma-separated `role` / `status` filters and a substring `search`.
+routes.get('/v1/users', {
+  summary: 'List users',
+  tags: ['Users'],
+  query: {
+    page: { type: 'integer', minimum: 1, default: 1, description: 'Ignored when `cursor` is given' },
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
+    cursor: { type: 'string', description: 'nextCursor / prevCursor from a previous page' },
+    ...USER_FILTER_QUERY,
+    delay: delayParam(300),
+  },
+  responses: {
+    200: {
+      description: 'One page of users',
+      schema: {
+        type: 'object',
+        properties: {
+          data: { type: 'array', items: { $ref: '#/components/schemas/User' } },
+          pagination: { $ref: '#/components/schemas/Pagination' },
+        },
+      },
+    },
+  },
+}, (req, res, next) => {
+  const { page, limit, cursor, delay } = req.valid.query;
+
+  let sort;
+  try {
+    sort = parseSort(req.valid.query.sort, USER_SORT_FIELDS);
+  } catch (err) {
+    if (err instanceof QueryError) return sendQueryError(res, err);
+    throw err;
+  }
 
   setTimeout(() => {
-    let filtered = users;
-    if (search) {
-      filtered = users.filter(
-        (u) =>
-          u.name.toLowerCase().includes(search.toLowerCase()) ||
-          u.email.toLowerCase().includes(search.toLowerCase())
-      );
+    try {
+      const filtered = filterUsers(userStore.list(), req.valid.query);
+      res.json(paginate(filtered, { sort, limit, page, cursor: cursor || null }));
+    } catch (err) {
+      if (err instanceof QueryError) return sendQueryError(res, err);
+      // A throw here would escape the timer and crash the process
+      next(err);
     }
+  }, delay);
+});
 
-    const start = (page - 1) * limit;
-    const end = start + limit;
-    const paginated = filtered.slice(start, end);
+// GET /api/v1/users/export - the filtered roster as a CSV or JSON download
+// Registered before /v1/users/:id, which would reject "export" as an id.
+routes.get('/v1/users/export', {
+  summary: 'Export users',
+  description: `Streams every user matching the list filters, in list order. CSV columns: ${CSV_COLUMNS.join(', ')}; JSON is an array of full user records.`,
+  tags: ['Users'],
+  query: {
+    format: { type: 'string', enum: EXPORT_FORMATS, default: 'csv' },
+    ...USER_FILTER_QUERY,
+  },
+  responses: { 200: 'The users as an attachment (text/csv or application/json)' },
+}, async (req, res) => {
+  const { format } = req.valid.query;
 
-    res.json({
-      data: paginated,
-      pagination: {
-        page,
-        limit,
-        total: filtered.length,
-        totalPages: Math.ceil(filtered.length / limit),
-        hasNext: end < filtered.length,
-        hasPrev: page > 1,
+  let sort;
+  try {
+    sort = parseSort(req.valid.query.sort, USER_SORT_FIELDS);
+  } catch (err) {
+    if (err instanceof QueryError) return sendQueryError(res, err);
+    throw err;
+  }
+
+  const users = sortRecords(filterUsers(userStore.list(), req.valid.query), sort);
+  const filename = `users-${new Date().toISOString().slice(0, 10)}`;
+  await streamUsers(res, users, format, filename);
+});
+
+router.use(
+  USER_IMPORT_PATH,
+  express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_BODY_LIMIT }),
+  express.json({ limit: IMPORT_BODY_LIMIT })
+);
+
+// POST /api/v1/users/import - create or update users from a CSV or JSON roster
+routes.post(USER_IMPORT_PATH, {
+  summary: 'Import users',
+  description: 'Upserts by email: rows matching an existing user (case-insensitive) update its name, role and status; '
+    + 'other rows create users. Invalid rows are reported and skipped while valid ones are applied. '
+    + `With \`dryRun=true\` nothing is written. At most ${MAX_IMPORT_ROWS} rows.`,
+  tags: ['Users'],
+  permission: [PERMISSIONS.USERS_CREATE, PERMISSIONS.USERS_UPDATE],
+  query: {
+    dryRun: { type: 'boolean', default: false, description: 'Validate and report without writing' },
+  },
+  requestBody: {
+    required: true,
+    content: {
+      'text/csv': {
+        schema: { type: 'string', description: `Header row naming the columns; name and email are required, known columns are ${EDITABLE_USER_FIELDS.join(', ')}` },
       },
-    });
-  }, delay);
+      'application/json': {
+        schema: { type: 'array', items: { type: 'object', required: ['name', 'email'], properties: USER_FIELDS } },
+      },
+    },
+  },
+  responses: {
+    200: {
+      description: 'What happened (or would happen) to each row',
+      schema: { type: 'object', properties: { data: { $ref: '#/components/schemas/ImportResult' } } },
+    },
+  },
+}, (req, res) => {
+  const { dryRun } = req.valid.query;
+
+  let parsed;
+  try {
+    parsed = parseImport(req.body, req.get('Content-Type'), EDITABLE_USER_FIELDS);
+  } catch (err) {
+    if (err instanceof ImportError) {
+      return res.status(400).json({ error: 'Invalid import', message: err.message, code: err.code });
+    }
+    throw err;
+  }
+
+  const plan = planImport(parsed.rows);
+
+  const rows = plan.map(({ changes, ...result }) => {
+    if (result.action === 'create' && !dryRun) {
+      result.id = userStore.create((id) => buildUser(id, changes)).id;
+    } else if (result.action === 'update') {
+      if (!dryRun) userStore.update(result.id, changes);
+      result.fields = Object.keys(changes);
+    }
+    return result;
+  });
+
+  const count = (action) => rows.filter((r) => r.action === action).length;
+  if (!dryRun) {
+    req.log.info('users imported', { created: count('create'), updated: count('update'), failed: count('error') });
+  }
+
+  res.json({
+    data: {
+      dryRun,
+      summary: {
+        total: rows.length,
+        created: count('create'),
+        updated: count('update'),
+        unchanged: count('unchanged'),
+        failed: count('error'),
+      },
+      ignoredColumns: parsed.ignoredColumns,
+      rows,
+    },
+  });
 });
 
 // GET /api/v1/users/:id - single user
-router.get('/v1/users/:id', (req, res) => {
-  const delay = parseInt(req.query.delay) || 200;
-  const id = parseInt(req.params.id);
+routes.get('/v1/users/:id', {
+  summary: 'Get a user with recent activity',
+  tags: ['Users'],
+  params: USER_ID_PARAMS,
+  query: { delay: delayParam(200) },
+  responses: { 200: userResponse('The user'), 404: NOT_FOUND },
+}, (req, res) => {
+  const { id } = req.valid.params;
 
   setTimeout(() => {
-    const user = users.find((u) => u.id === id);
+    const user = userStore.get(id);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
@@ -96,73 +716,229 @@ router.get('/v1/users/:id', (req, res) => {
     res.json({
       data: {
         ...user,
+        // Counted back from lastActive, not the clock, so the ETag holds
         activity: Array.from({ length: 10 }, (_, i) => ({
           id: `act-${id}-${i}`,
           action: ['login', 'update', 'deploy', 'review', 'comment'][i % 5],
-          timestamp: new Date(Date.now() - i * 3600000).toISOString(),
+          timestamp: new Date(Date.parse(user.lastActive) - i * 3600000).toISOString(),
           details: `Activity details for item ${i + 1}`,
         })),
       },
     });
-  }, delay);
+  }, req.valid.query.delay);
 });
 
 // POST /api/v1/users - create user
-router.post('/v1/users', (req, res) => {
-  const { name, email, role } = req.body;
+routes.post('/v1/users', {
+  summary: 'Create a user',
+  tags: ['Users'],
+  permission: PERMISSIONS.USERS_CREATE,
+  body: { type: 'object', required: ['name', 'email'], properties: USER_FIELDS },
+  responses: { 201: userResponse('The created user'), 409: 'Email already in use' },
+}, (req, res) => {
+  const { name, email, role, status } = req.valid.body;
+  if (findEmailConflict(email)) {
+    return sendEmailConflict(res, email);
+  }
+
+  const newUser = userStore.create((id) => buildUser(id, { name, email, role, status }));
+
+  res.status(201).json({ data: newUser });
+});
+
+// PUT /api/v1/users/:id - replace a user's editable fields
+routes.put('/v1/users/:id', {
+  summary: "Replace a user's editable fields",
+  tags: ['Users'],
+  permission: PERMISSIONS.USERS_UPDATE,
+  params: USER_ID_PARAMS,
+  body: { type: 'object', required: EDITABLE_USER_FIELDS, properties: USER_FIELDS },
+  responses: { 200: userResponse('The updated user'), 404: NOT_FOUND, 409: 'Email already in use' },
+}, (req, res) => {
+  const { id } = req.valid.params;
+  const existing = userStore.get(id);
+  if (!existing) {
+    return res.status(404).json({ error: 'User not found' });
+  }
 
-  if (!name || !email) {
-    return res.status(400).json({ error: 'Name and email are required' });
+  if (emailChanged(existing, req.valid.body.email) && findEmailConflict(req.valid.body.email, id)) {
+    return sendEmailConflict(res, req.valid.body.email);
   }
 
-  const newUser = generateUser(users.length + 1);
-  newUser.name = name;
-  newUser.email = email;
-  if (role) newUser.role = role;
+  const updated = userStore.update(id, pickEditableFields(req.valid.body));
+  res.json({ data: updated });
+});
 
-  users.push(newUser);
+// PATCH /api/v1/users/:id - update a subset of a user's editable fields
+routes.patch('/v1/users/:id', {
+  summary: "Update some of a user's editable fields",
+  tags: ['Users'],
+  permission: PERMISSIONS.USERS_UPDATE,
+  params: USER_ID_PARAMS,
+  body: { type: 'object', properties: USER_FIELDS },
+  responses: { 200: userResponse('The updated user'), 404: NOT_FOUND, 409: 'Email already in use' },
+}, (req, res) => {
+  const { id } = req.valid.params;
+  const existing = userStore.get(id);
+  if (!existing) {
+    return res.status(404).json({ error: 'User not found' });
+  }
 
-  res.status(201).json({ data: newUser });
+  const changes = pickEditableFields(req.valid.body);
+  if (Object.keys(changes).length === 0) {
+    return sendValidationError(res, [
+      { field: 'body', in: 'body', message: `At least one of ${EDITABLE_USER_FIELDS.join(', ')} is required` },
+    ]);
+  }
+
+  if (emailChanged(existing, changes.email) && findEmailConflict(changes.email, id)) {
+    return sendEmailConflict(res, changes.email);
+  }
+
+  const updated = userStore.update(id, changes);
+  res.json({ data: updated });
+});
+
+// DELETE /api/v1/users/:id - remove a user
+routes.delete('/v1/users/:id', {
+  summary: 'Delete a user',
+  tags: ['Users'],
+  permission: PERMISSIONS.USERS_DELETE,
+  params: USER_ID_PARAMS,
+  responses: { 200: userResponse('The removed user'), 404: NOT_FOUND },
+}, (req, res) => {
+  const removed = userStore.remove(req.valid.params.id);
+  if (!removed) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  res.json({ data: removed });
+});
+
+// GET /api/v1/feed - feed history, newest first
+// `before=<message id>` pages back from that message; `type` / `severity`
+// take the same comma-separated values as WebSocket feed filters.
+routes.get('/v1/feed', {
+  summary: 'Feed history, newest first',
+  tags: ['Feed'],
+  query: {
+    before: { type: 'string', description: 'Message id to page back from (pagination.nextBefore)' },
+    limit: { type: 'integer', minimum: 1, maximum: MAX_FEED_LIMIT, default: 50 },
+    type: { type: 'array', items: { type: 'string', enum: feedTypes } },
+    severity: { type: 'array', items: { type: 'string', enum: feedSeverities } },
+  },
+  responses: {
+    200: {
+      description: 'One page of messages',
+      schema: {
+        type: 'object',
+        properties: {
+          data: { type: 'array', items: { $ref: '#/components/schemas/FeedMessage' } },
+          pagination: {
+            type: 'object',
+            properties: {
+              limit: { type: 'integer' },
+              hasMore: { type: 'boolean' },
+              nextBefore: { type: 'string', nullable: true },
+            },
+          },
+        },
+      },
+    },
+  },
+}, (req, res) => {
+  const { before, limit, type, severity } = req.valid.query;
+  const filter = parseFeedFilter({ types: type, severities: severity });
+
+  let page;
+  try {
+    page = feedState.history({
+      before: before || null,
+      limit,
+      predicate: (item) => matchesFeedFilter(filter, item),
+    });
+  } catch (err) {
+    if (err instanceof FeedStateError) {
+      return sendQueryError(res, new QueryError('before', `${err.message}; it may have aged out of the history`));
+    }
+    throw err;
+  }
+
+  res.json({
+    data: page.items,
+    pagination: {
+      limit,
+      hasMore: page.hasMore,
+      nextBefore: page.hasMore ? page.items[page.items.length - 1].id : null,
+    },
+  });
 });
 
 // GET /api/v1/analytics - analytics data (intentionally slow)
-router.get('/v1/analytics', (req, res) => {
-  const delay = parseInt(req.query.delay) || 2000;
+// `from` / `to` (ISO or epoch ms), `granularity` (1m/5m/1h/1d) and
+// `metrics=requests,avgLatency:p95` select and aggregate the time series.
+routes.get('/v1/analytics', {
+  summary: 'Aggregated analytics time series',
+  tags: ['Analytics'],
+  query: {
+    from: { type: 'string', description: 'ISO date or epoch milliseconds; defaults to 24h before `to`' },
+    to: { type: 'string', description: 'ISO date or epoch milliseconds; defaults to now' },
+    granularity: { type: 'string', enum: Object.keys(GRANULARITIES), default: '1h' },
+    metrics: { type: 'string', description: 'Comma-separated, optionally `name:aggregation` (e.g. avgLatency:p95)' },
+    agg: { type: 'string', enum: ['sum', 'avg', 'p95'], description: 'Aggregation for metrics without one' },
+    seed: SEED_PARAM,
+    delay: delayParam(2000),
+  },
+}, (req, res) => {
+  const rng = requestRandom(req);
+  let query;
+  try {
+    // A seeded request's default window ends at its virtual now, so it repeats
+    query = parseAnalyticsQuery(req.valid.query, rng ? rng.now() : undefined);
+  } catch (err) {
+    if (err instanceof QueryError) return sendQueryError(res, err);
+    throw err;
+  }
 
   setTimeout(() => {
-    res.json({ data: generateAnalytics() });
-  }, delay);
+    res.json({ data: buildAnalytics(query, rng) });
+  }, req.valid.query.delay);
 });
 
 // GET /api/v1/dashboard - dashboard widgets
-router.get('/v1/dashboard', (req, res) => {
-  const delay = parseInt(req.query.delay) || 500;
-
+routes.get('/v1/dashboard', {
+  summary: 'Dashboard widgets',
+  tags: ['Dashboard'],
+  query: { seed: SEED_PARAM, delay: delayParam(500) },
+}, (req, res) => {
   setTimeout(() => {
-    res.json({
-      data: {
-        widgets: generateDashboardWidgets(),
-        lastUpdated: new Date().toISOString(),
-      },
-    });
-  }, delay);
+    res.json({ data: dashboardSnapshot(requestRandom(req)) });
+  }, req.valid.query.delay);
 });
 
-// GET /api/v1/metrics - performance metrics
-router.get('/v1/metrics', (req, res) => {
-  const delay = parseInt(req.query.delay) || 100;
-
+// GET /api/v1/metrics - p50/p75/p95 of reported field metrics per route
+// `route=/users` narrows the per-route breakdown; `overall` always covers all.
+routes.get('/v1/metrics', {
+  summary: 'Real-user metric percentiles per route',
+  tags: ['Metrics'],
+  query: {
+    route: { type: 'string', description: 'Only include this route in `routes`' },
+    delay: delayParam(100),
+  },
+}, (req, res) => {
   setTimeout(() => {
-    res.json({ data: generatePerformanceMetrics() });
-  }, delay);
+    res.json({ data: rumMetrics.summary({ route: req.valid.query.route || null }) });
+  }, req.valid.query.delay);
 });
 
 // GET /api/v2/users - v2 endpoint (different shape for versioning tests)
-router.get('/v2/users', (req, res) => {
-  const delay = parseInt(req.query.delay) || 300;
-
+routes.get('/v2/users', {
+  summary: 'First ten users in the v2 shape',
+  tags: ['Users'],
+  query: { delay: delayParam(300) },
+}, (req, res) => {
   setTimeout(() => {
-    const v2Users = users.slice(0, 10).map((u) => ({
+    const v2Users = userStore.list().slice(0, 10).map((u) => ({
       userId: u.id,
       fullName: u.name,
       contactEmail: u.email,
@@ -172,16 +948,161 @@ router.get('/v2/users', (req, res) => {
     }));
 
     res.json({ users: v2Users, version: 'v2', count: v2Users.length });
-  }, delay);
+  }, req.valid.query.delay);
 });
 
 // Simulated error endpoint
-router.get('/v1/error', (req, res) => {
-  const code = parseInt(req.query.code) || 500;
+routes.get('/v1/error', {
+  summary: 'Respond with the given error status',
+  tags: ['Testing'],
+  query: { code: { type: 'integer', minimum: 400, maximum: 599, default: 500 } },
+}, (req, res) => {
+  const { code } = req.valid.query;
   res.status(code).json({
     error: `Simulated ${code} error`,
     message: 'This endpoint is for testing error handling',
   });
 });
 
+// GET/PUT/DELETE /api/v1/admin/chaos - runtime fault injection (see chaos.js)
+routes.get('/v1/admin/chaos', {
+  summary: 'Current chaos configuration',
+  tags: ['Testing'],
+  permission: PERMISSIONS.CHAOS_MANAGE,
+  responses: { 200: CHAOS_RESPONSE },
+}, (req, res) => {
+  res.json({ data: chaos.snapshot() });
+});
+
+routes.put('/v1/admin/chaos', {
+  summary: 'Replace the chaos configuration',
+  description: 'Replaces every rule and resets the fault counters.',
+  tags: ['Testing'],
+  permission: PERMISSIONS.CHAOS_MANAGE,
+  body: CHAOS_CONFIG,
+  responses: { 200: CHAOS_RESPONSE },
+}, (req, res) => {
+  try {
+    const state = chaos.configure(req.valid.body);
+    req.log.info('chaos configured', { user: req.user.sub, enabled: state.enabled, rules: state.http.length + state.ws.length });
+    res.json({ data: state });
+  } catch (err) {
+    if (!(err instanceof ChaosError)) throw err;
+    sendValidationError(res, [{ field: err.field, in: 'body', message: err.message }]);
+  }
+});
+
+routes.delete('/v1/admin/chaos', {
+  summary: 'Turn chaos off and clear its rules',
+  tags: ['Testing'],
+  permission: PERMISSIONS.CHAOS_MANAGE,
+  responses: { 200: CHAOS_RESPONSE },
+}, (req, res) => {
+  chaos.reset();
+  req.log.info('chaos disabled', { user: req.user.sub });
+  res.json({ data: chaos.snapshot() });
+});
+
+// /api/admin/ws/clients - inspect and manage live WebSocket/SSE connections
+routes.get('/admin/ws/clients', {
+  summary: 'List connected realtime clients',
+  tags: ['Admin'],
+  permission: PERMISSIONS.CONNECTIONS_MANAGE,
+  responses: {
+    200: {
+      description: 'Connections, oldest first',
+      schema: {
+        type: 'object',
+        properties: {
+          data: { type: 'array', items: { $ref: '#/components/schemas/WsClient' } },
+          meta: { type: 'object', properties: { total: { type: 'integer' } } },
+        },
+      },
+    },
+  },
+}, (req, res) => {
+  const clients = req.app.locals.realtime.listClients();
+  res.json({ data: clients, meta: { total: clients.length } });
+});
+
+routes.get('/admin/ws/clients/:id', {
+  summary: 'Get a connected realtime client',
+  tags: ['Admin'],
+  permission: PERMISSIONS.CONNECTIONS_MANAGE,
+  params: WS_CLIENT_PARAMS,
+  responses: { 200: wsClientResponse('The connection'), 404: NOT_FOUND },
+}, (req, res) => {
+  const { id } = req.valid.params;
+  const client = req.app.locals.realtime.getClient(id);
+  if (!client) return sendClientNotFound(res, id);
+  res.json({ data: client });
+});
+
+routes.delete('/admin/ws/clients/:id', {
+  summary: 'Force-disconnect a realtime client',
+  description: 'Closes the connection with code 4003; the client is free to reconnect.',
+  tags: ['Admin'],
+  permission: PERMISSIONS.CONNECTIONS_MANAGE,
+  params: WS_CLIENT_PARAMS,
+  query: { reason: { type: 'string', maxLength: 120, description: 'Close reason sent to the client' } },
+  responses: { 204: 'Disconnected', 404: NOT_FOUND },
+}, (req, res) => {
+  const { id } = req.valid.params;
+  if (!req.app.locals.realtime.disconnectClient(id, req.valid.query.reason)) {
+    return sendClientNotFound(res, id);
+  }
+  req.log.info('ws client disconnected by admin', { clientId: id, user: req.user.sub });
+  res.status(204).end();
+});
+
+routes.post('/admin/ws/clients/:id/revoke', {
+  summary: "Revoke a realtime client's authentication",
+  description: 'The connection stays open but unauthenticated. Its session is revoked: the access and refresh tokens are rejected from now on, so the user has to sign in again.',
+  tags: ['Admin'],
+  permission: PERMISSIONS.CONNECTIONS_MANAGE,
+  params: WS_CLIENT_PARAMS,
+  responses: { 200: wsClientResponse('The connection after revocation'), 404: NOT_FOUND },
+}, (req, res) => {
+  const { id } = req.valid.params;
+  const client = req.app.locals.realtime.revokeClient(id);
+  if (!client) return sendClientNotFound(res, id);
+  req.log.info('ws client auth revoked by admin', { clientId: id, user: req.user.sub });
+  res.json({ data: client });
+});
+
+routes.post('/admin/ws/clients/:id/messages', {
+  summary: 'Push a message to one realtime client',
+  tags: ['Admin'],
+  permission: PERMISSIONS.CONNECTIONS_MANAGE,
+  params: WS_CLIENT_PARAMS,
+  body: {
+    type: 'object',
+    required: ['type'],
+    properties: {
+      type: { type: 'string', minLength: 1, maxLength: 64, description: `Any type not starting with ${RESERVED_MESSAGE_PREFIXES.join(', ')}` },
+      channel: { type: 'string', maxLength: 64 },
+      payload: { type: 'object' },
+    },
+  },
+  responses: { 202: 'Sent', 404: NOT_FOUND },
+}, (req, res) => {
+  const { id } = req.valid.params;
+  const { type, channel, payload = {} } = req.valid.body;
+
+  if (RESERVED_MESSAGE_PREFIXES.some((prefix) => type.startsWith(prefix))) {
+    return sendValidationError(res, [{
+      field: 'type',
+      in: 'body',
+      message: `type must not start with ${RESERVED_MESSAGE_PREFIXES.join(', ')}`,
+    }]);
+  }
+
+  const message = { type, ...(channel ? { channel } : {}), payload: { ...payload, pushedBy: req.user.sub } };
+  if (!req.app.locals.realtime.pushToClient(id, message)) {
+    return sendClientNotFound(res, id);
+  }
+  res.status(202).json({ data: { clientId: id, message } });
+});
+
+export { userStore, USER_IMPORT_PATH };
 export default router;
@@ -0,0 +1,178 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+// Keep access logs out of the test output; set before the logger is loaded
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { requestLogger } = await import('./logger.js');
+const { default: apiRoutes, userStore } = await import('./apiRoutes.js');
+const { feedState } = await import('./feedState.js');
+
+let server;
+let baseUrl;
+let headers;
+
+before(async () => {
+  const app = express();
+  app.set('etag', 'strong');
+  app.use(requestLogger);
+  app.use(express.json());
+  app.use('/api', apiRoutes);
+  // As server/index.js answers unexpected errors
+  app.use((err, req, res, next) => res.status(500).json({ error: 'Internal Server Error', requestId: req.id }));
+
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://localhost:${server.address().port}/api/v1`;
+
+  const login = await fetch(`${baseUrl}/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'admin', password: 'demo' }),
+  });
+  headers = {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${(await login.json()).data.accessToken}`,
+  };
+});
+
+after(() => {
+  server.close();
+});
+
+async function request(method, path, body) {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test('PATCH changes only the given fields', async () => {
+  const [user] = userStore.list();
+  const { status, body } = await request('PATCH', `/users/${user.id}`, { status: 'busy' });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data, { ...user, status: 'busy' });
+  assert.deepEqual(userStore.get(user.id), body.data);
+});
+
+test('PUT needs every editable field', async () => {
+  const [user] = userStore.list();
+  const partial = await request('PUT', `/users/${user.id}`, { name: 'Only Name' });
+  assert.equal(partial.status, 400);
+
+  const replacement = { name: 'Ada Lovelace', email: 'ada@example.com', role: 'Analyst', status: 'away' };
+  const { status, body } = await request('PUT', `/users/${user.id}`, replacement);
+  assert.equal(status, 200);
+  assert.deepEqual(body.data, { ...userStore.get(user.id), ...replacement });
+});
+
+test('updates of unknown users are 404s', async () => {
+  const missing = userStore.list().reduce((max, user) => Math.max(max, user.id), 0) + 100;
+
+  assert.equal((await request('PATCH', `/users/${missing}`, { status: 'busy' })).status, 404);
+  assert.equal((await request('PUT', `/users/${missing}`, {
+    name: 'Nobody', email: 'nobody@example.com', role: 'Admin', status: 'active',
+  })).status, 404);
+  assert.equal((await request('DELETE', `/users/${missing}`)).status, 404);
+});
+
+test("taking another user's email is a conflict; keeping your own is not", async () => {
+  const [, first, second] = userStore.list();
+
+  const patched = await request('PATCH', `/users/${first.id}`, { email: second.email.toUpperCase() });
+  assert.equal(patched.status, 409);
+
+  const replaced = await request('PUT', `/users/${first.id}`, {
+    name: first.name, email: second.email, role: first.role, status: first.status,
+  });
+  assert.equal(replaced.status, 409);
+  assert.equal(userStore.get(first.id).email, first.email);
+
+  const own = await request('PATCH', `/users/${first.id}`, { email: first.email.toUpperCase(), name: 'Renamed' });
+  assert.equal(own.status, 200);
+  assert.equal(own.body.data.name, 'Renamed');
+});
+
+test('a deleted user is gone from detail and list', async () => {
+  const user = userStore.list().at(-1);
+
+  const removed = await request('DELETE', `/users/${user.id}`);
+  assert.equal(removed.status, 200);
+  assert.equal(removed.body.data.id, user.id);
+
+  assert.equal((await request('GET', `/users/${user.id}?delay=0`)).status, 404);
+  const list = await request('GET', `/users?limit=100&delay=0`);
+  assert.ok(list.body.data.every((u) => u.id !== user.id));
+  assert.equal((await request('DELETE', `/users/${user.id}`)).status, 404);
+});
+
+test('an unexpected error in the delayed list handler is a 500, not a crash', async (t) => {
+  t.mock.method(userStore, 'list', () => {
+    throw new Error('store unavailable');
+  });
+
+  const failed = await request('GET', '/users?delay=0');
+  assert.equal(failed.status, 500);
+  assert.ok(failed.body.requestId);
+
+  t.mock.restoreAll();
+  assert.equal((await request('GET', '/users?delay=0')).status, 200);
+});
+
+for (const path of ['/users/3?delay=0', '/dashboard?delay=0', '/dashboard?delay=0&seed=etag', '/users?delay=0']) {
+  test(`GET ${path} revalidates to a 304 with its ETag`, async () => {
+    const first = await fetch(`${baseUrl}${path}`, { headers });
+    const etag = first.headers.get('etag');
+    assert.equal(first.status, 200);
+    assert.match(etag, /^"/);
+
+    // As src/api/client.js sends it; fetch would otherwise add `no-cache`
+    const second = await fetch(`${baseUrl}${path}`, {
+      headers: { ...headers, 'If-None-Match': etag, 'Cache-Control': 'max-age=0' },
+    });
+    assert.equal(second.status, 304);
+  });
+}
+
+test('a seeded analytics request repeats, window included', async () => {
+  const first = await request('GET', '/analytics?delay=0&seed=report-7');
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const second = await request('GET', '/analytics?delay=0&seed=report-7');
+
+  assert.equal(first.status, 200);
+  assert.deepEqual(second.body, first.body);
+  assert.equal(first.body.data.timeSeries.at(-1).timestamp, '2024-12-31T23:00:00.000Z');
+});
+
+test('feed history pages back with nextBefore and keeps the filter', async () => {
+  const tracked = Array.from({ length: 5 }, (_, i) => feedState.track({
+    id: `history-${i}`,
+    type: i % 2 === 0 ? 'alert' : 'info',
+    severity: 'high',
+    message: `history ${i}`,
+    timestamp: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString(),
+  }));
+  const newest = tracked.map((item) => item.id).reverse();
+
+  const first = await request('GET', '/feed?limit=2');
+  assert.deepEqual(first.body.data.map((item) => item.id), newest.slice(0, 2));
+  assert.equal(first.body.pagination.nextBefore, newest[1]);
+
+  const second = await request('GET', `/feed?limit=2&before=${first.body.pagination.nextBefore}`);
+  assert.deepEqual(second.body.data.map((item) => item.id), newest.slice(2, 4));
+
+  const alerts = await request('GET', '/feed?limit=2&type=alert');
+  assert.deepEqual(alerts.body.data.map((item) => item.id), ['history-4', 'history-2']);
+  const olderAlerts = await request('GET', `/feed?limit=2&type=alert&before=${alerts.body.pagination.nextBefore}`);
+  assert.deepEqual(olderAlerts.body.data.map((item) => item.id), ['history-0']);
+  assert.deepEqual(olderAlerts.body.pagination, { limit: 2, hasMore: false, nextBefore: null });
+
+  const unknown = await request('GET', '/feed?before=msg-gone');
+  assert.equal(unknown.status, 400);
+  assert.match(JSON.stringify(unknown.body), /aged out/);
+});
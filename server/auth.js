@@ -0,0 +1,239 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { permissionsFor } from './permissions.js';
+
+/**
+ * Signed, expiring tokens for the REST API and WebSocket.
+ *
+ * Tokens are `base64url(payload).base64url(hmac)`, signed with AUTH_SECRET.
+ * Without AUTH_SECRET a random secret is generated per boot, so a restart
+ * invalidates every outstanding token and clients simply log in again.
+ */
+
+const AUTH_SECRET = process.env.AUTH_SECRET || randomBytes(32).toString('hex');
+const ACCESS_TOKEN_TTL = (parseInt(process.env.AUTH_TOKEN_TTL) || 3600) * 1000;
+const REFRESH_TOKEN_TTL = (parseInt(process.env.AUTH_REFRESH_TTL) || 7 * 86400) * 1000;
+const DEMO_PASSWORD = process.env.AUTH_DEMO_PASSWORD || 'demo';
+
+// Demo accounts, one per role. `userId` links each account to a seeded
+// user record so presence shows up against that user.
+const ACCOUNTS = {
+  admin: { username: 'admin', name: 'Demo Admin', role: 'Admin', userId: 1 },
+  developer: { username: 'developer', name: 'Demo Developer', role: 'Developer', userId: 2 },
+  designer: { username: 'designer', name: 'Demo Designer', role: 'Designer', userId: 3 },
+  manager: { username: 'manager', name: 'Demo Manager', role: 'Manager', userId: 4 },
+  analyst: { username: 'analyst', name: 'Demo Analyst', role: 'Analyst', userId: 5 },
+  devops: { username: 'devops', name: 'Demo DevOps', role: 'DevOps', userId: 6 },
+};
+
+// sid -> time by which every token of that session has expired; see revokeSession()
+const revokedSessions = new Map();
+
+class AuthError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+  }
+}
+
+function sign(data) {
+  return createHmac('sha256', AUTH_SECRET).update(data).digest('base64url');
+}
+
+function issueToken(account, type, sid) {
+  const now = Date.now();
+  const payload = {
+    sub: account.username,
+    sid,
+    name: account.name,
+    role: account.role,
+    type,
+    iat: now,
+    exp: now + (type === 'refresh' ? REFRESH_TOKEN_TTL : ACCESS_TOKEN_TTL),
+    jti: randomBytes(8).toString('hex'),
+  };
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return { token: `${body}.${sign(body)}`, payload };
+}
+
+/**
+ * Issue an access/refresh token pair. `expiresIn` is in seconds. A login
+ * starts a session (`sid`); refreshes carry it over, so revoking the
+ * session invalidates every token descended from that login.
+ */
+function issueTokens(account, sid = randomBytes(8).toString('hex')) {
+  const access = issueToken(account, 'access', sid);
+  const refresh = issueToken(account, 'refresh', sid);
+
+  return {
+    accessToken: access.token,
+    refreshToken: refresh.token,
+    expiresIn: Math.round(ACCESS_TOKEN_TTL / 1000),
+    expiresAt: new Date(access.payload.exp).toISOString(),
+    user: {
+      username: account.username,
+      name: account.name,
+      role: account.role,
+      userId: account.userId,
+      permissions: permissionsFor(account.role),
+    },
+  };
+}
+
+/**
+ * Verify a token's signature, type and expiry. Throws AuthError.
+ */
+function verifyToken(token, expectedType = 'access') {
+  if (typeof token !== 'string' || !token.includes('.')) {
+    throw new AuthError('invalid_token', 'Malformed token');
+  }
+
+  const [body, signature] = token.split('.');
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(signature || '');
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    throw new AuthError('invalid_token', 'Invalid token signature');
+  }
+
+  const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  if (payload.type !== expectedType) {
+    throw new AuthError('invalid_token', `Expected a ${expectedType} token`);
+  }
+  if (Date.now() >= payload.exp) {
+    throw new AuthError('token_expired', 'Token has expired');
+  }
+  if (revokedSessions.has(payload.sid)) {
+    throw new AuthError('token_revoked', 'Session has been revoked');
+  }
+
+  return payload;
+}
+
+/**
+ * Reject every token of the session a verified token belongs to, access
+ * and refresh alike, so the client cannot simply refresh its way back in.
+ * Entries are dropped once the session's tokens would have expired anyway.
+ */
+function revokeSession(payload) {
+  const now = Date.now();
+  revokedSessions.forEach((until, sid) => {
+    if (until <= now) revokedSessions.delete(sid);
+  });
+  // A refresh issued just before revocation outlives this token
+  revokedSessions.set(payload.sid, now + REFRESH_TOKEN_TTL);
+}
+
+function findAccount(username) {
+  const key = String(username || '').toLowerCase();
+  // Own keys only, or "constructor" would log in as Object
+  return Object.hasOwn(ACCOUNTS, key) ? ACCOUNTS[key] : null;
+}
+
+function authenticate(username, password) {
+  const account = findAccount(username);
+  if (!account || password !== DEMO_PASSWORD) {
+    throw new AuthError('invalid_credentials', 'Invalid username or password');
+  }
+  return account;
+}
+
+function sendAuthError(res, err) {
+  res.set('WWW-Authenticate', `Bearer error="${err.code}"`);
+  return res.status(401).json({ error: err.message, code: err.code });
+}
+
+/**
+ * Express middleware: requires `Authorization: Bearer <access token>`
+ * and exposes the verified payload as `req.user`.
+ */
+function requireAuth(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return sendAuthError(res, new AuthError('missing_token', 'Authentication required'));
+  }
+
+  try {
+    req.user = verifyToken(token, 'access');
+    next();
+  } catch (err) {
+    if (err instanceof AuthError) return sendAuthError(res, err);
+    next(err);
+  }
+}
+
+const TOKEN_PAIR_RESPONSE = {
+  description: 'Access/refresh token pair and the signed-in user',
+  schema: {
+    type: 'object',
+    properties: {
+      data: {
+        type: 'object',
+        properties: {
+          accessToken: { type: 'string' },
+          refreshToken: { type: 'string' },
+          expiresIn: { type: 'integer', description: 'Access token lifetime in seconds' },
+          expiresAt: { type: 'string', format: 'date-time' },
+          user: { type: 'object' },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Register the public /v1/auth routes on a RouteRegistry.
+ */
+function mountAuthRoutes(routes) {
+  // POST /api/v1/auth/login - exchange demo credentials for tokens
+  routes.post('/v1/auth/login', {
+    summary: 'Log in with demo credentials',
+    tags: ['Auth'],
+    auth: false,
+    body: {
+      type: 'object',
+      required: ['username', 'password'],
+      properties: {
+        username: { type: 'string', minLength: 1 },
+        password: { type: 'string', minLength: 1 },
+      },
+    },
+    responses: { 200: TOKEN_PAIR_RESPONSE },
+  }, (req, res) => {
+    try {
+      const { username, password } = req.valid.body;
+      res.json({ data: issueTokens(authenticate(username, password)) });
+    } catch (err) {
+      if (err instanceof AuthError) return sendAuthError(res, err);
+      throw err;
+    }
+  });
+
+  // POST /api/v1/auth/refresh - exchange a refresh token for a new pair
+  routes.post('/v1/auth/refresh', {
+    summary: 'Exchange a refresh token for a new token pair',
+    tags: ['Auth'],
+    auth: false,
+    body: {
+      type: 'object',
+      required: ['refreshToken'],
+      properties: { refreshToken: { type: 'string' } },
+    },
+    responses: { 200: TOKEN_PAIR_RESPONSE },
+  }, (req, res) => {
+    try {
+      const payload = verifyToken(req.valid.body.refreshToken, 'refresh');
+      const account = findAccount(payload.sub);
+      if (!account) {
+        throw new AuthError('invalid_token', 'Unknown account');
+      }
+      res.json({ data: issueTokens(account, payload.sid) });
+    } catch (err) {
+      if (err instanceof AuthError) return sendAuthError(res, err);
+      throw err;
+    }
+  });
+}
+
+export { AuthError, verifyToken, revokeSession, findAccount, requireAuth, mountAuthRoutes };
@@ -0,0 +1,118 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+import { AuthError, verifyToken, revokeSession, findAccount, requireAuth, mountAuthRoutes } from './auth.js';
+import { RouteRegistry } from './schema.js';
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const router = express.Router();
+  mountAuthRoutes(new RouteRegistry(router));
+  router.get('/v1/me', requireAuth, (req, res) => res.json({ data: req.user }));
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api', router);
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://localhost:${server.address().port}/api/v1`;
+});
+
+after(() => {
+  server.close();
+});
+
+async function post(path, body) {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+async function login(username = 'developer') {
+  const { status, body } = await post('/auth/login', { username, password: 'demo' });
+  assert.equal(status, 200);
+  return body.data;
+}
+
+function rejects(token, type, code) {
+  assert.throws(() => verifyToken(token, type), (err) => err instanceof AuthError && err.code === code);
+}
+
+test('login issues access and refresh tokens for the account', async () => {
+  const tokens = await login('Developer');
+  const payload = verifyToken(tokens.accessToken, 'access');
+
+  assert.equal(payload.sub, 'developer');
+  assert.equal(payload.role, 'Developer');
+  assert.equal(verifyToken(tokens.refreshToken, 'refresh').sid, payload.sid);
+  assert.deepEqual(tokens.user.permissions, ['feed:post', 'feed:triage', 'analytics:subscribe']);
+});
+
+test('wrong passwords and unknown or inherited usernames are refused', async () => {
+  for (const username of ['developer', 'nobody', 'constructor', '__proto__']) {
+    const password = username === 'developer' ? 'wrong' : 'demo';
+    const { status, body } = await post('/auth/login', { username, password });
+    assert.equal(status, 401);
+    assert.equal(body.code, 'invalid_credentials');
+  }
+  assert.equal(findAccount('toString'), null);
+});
+
+test('tokens must be well formed, correctly signed and of the expected type', async () => {
+  const { accessToken, refreshToken } = await login();
+  const [body, signature] = accessToken.split('.');
+  const forged = Buffer.from(JSON.stringify({ ...verifyToken(accessToken), role: 'Admin' })).toString('base64url');
+
+  rejects('no-dot', 'access', 'invalid_token');
+  rejects(`${forged}.${signature}`, 'access', 'invalid_token');
+  rejects(`${body}.`, 'access', 'invalid_token');
+  rejects(refreshToken, 'access', 'invalid_token');
+  rejects(accessToken, 'refresh', 'invalid_token');
+});
+
+test('tokens expire', async (t) => {
+  const { accessToken } = await login();
+  const { exp } = verifyToken(accessToken);
+
+  t.mock.method(Date, 'now', () => exp);
+  rejects(accessToken, 'access', 'token_expired');
+});
+
+test('refreshing keeps the session; revoking it rejects every token of the session', async () => {
+  const first = await login();
+  const { status, body } = await post('/auth/refresh', { refreshToken: first.refreshToken });
+  assert.equal(status, 200);
+
+  const refreshed = verifyToken(body.data.accessToken);
+  assert.equal(refreshed.sid, verifyToken(first.accessToken).sid);
+
+  const other = await login();
+  revokeSession(refreshed);
+
+  rejects(first.accessToken, 'access', 'token_revoked');
+  rejects(body.data.refreshToken, 'refresh', 'token_revoked');
+  assert.equal((await post('/auth/refresh', { refreshToken: first.refreshToken })).body.code, 'token_revoked');
+  assert.equal(verifyToken(other.accessToken).sub, 'developer');
+});
+
+test('requireAuth wants a bearer access token', async () => {
+  const { accessToken, refreshToken } = await login('analyst');
+  const me = (token) => fetch(`${baseUrl}/me`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+
+  const ok = await me(accessToken);
+  assert.equal(ok.status, 200);
+  assert.equal((await ok.json()).data.sub, 'analyst');
+
+  const missing = await me(null);
+  assert.equal(missing.status, 401);
+  assert.equal(missing.headers.get('www-authenticate'), 'Bearer error="missing_token"');
+
+  assert.equal((await me(refreshToken)).status, 401);
+});
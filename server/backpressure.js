@@ -0,0 +1,115 @@
+/**
+ * Per-client outbound backpressure for broadcasts.
+ *
+ * While a socket's `bufferedAmount` is under the high-water mark messages
+ * go straight out. Beyond it they wait in a bounded backlog that is drained
+ * as the socket catches up, and the client's policy decides what happens
+ * when the backlog is full:
+ *
+ *   coalesce     - keep only the latest queued analytics update, then drop oldest
+ *   drop-oldest  - drop the oldest queued message
+ *   disconnect   - close with SLOW_CONSUMER_CLOSE_CODE
+ */
+
+const POLICIES = ['coalesce', 'drop-oldest', 'disconnect'];
+const SLOW_CONSUMER_CLOSE_CODE = 4008;
+
+// Only the latest value of these matters, so older queued ones can go
+const COALESCE_TYPES = new Set(['analytics:update']);
+
+const DEFAULTS = {
+  policy: 'coalesce',
+  highWaterMark: 64 * 1024,
+  maxBacklog: 100,
+};
+
+class OutboundQueue {
+  /**
+   * @param {WebSocket} ws
+   * @param {(message: object) => void} send - Encodes and writes one message
+   * @param {object} [options] - policy, highWaterMark (bytes), maxBacklog (messages)
+   */
+  constructor(ws, send, options = {}) {
+    this.ws = ws;
+    this.send = send;
+    this.policy = POLICIES.includes(options.policy) ? options.policy : DEFAULTS.policy;
+    this.highWaterMark = options.highWaterMark ?? DEFAULTS.highWaterMark;
+    this.maxBacklog = options.maxBacklog || DEFAULTS.maxBacklog;
+    this.backlog = [];
+    this.sent = 0;
+    this.dropped = 0;
+    this.coalesced = 0;
+  }
+
+  push(message) {
+    if (this.backlog.length === 0 && this._hasRoom()) {
+      this._write(message);
+      return;
+    }
+
+    if (this.policy === 'coalesce' && COALESCE_TYPES.has(message.type)) {
+      const index = this.backlog.findIndex((queued) => queued.message.type === message.type);
+      if (index !== -1) {
+        // Keep the original queue position so lag stays honest
+        this.backlog[index] = { ...this.backlog[index], message };
+        this.coalesced++;
+        return;
+      }
+    }
+
+    if (this.backlog.length >= this.maxBacklog) {
+      if (this.policy === 'disconnect') {
+        this.ws.close(SLOW_CONSUMER_CLOSE_CODE, 'Slow consumer');
+        return;
+      }
+      this.backlog.shift();
+      this.dropped++;
+    }
+
+    this.backlog.push({ message, queuedAt: Date.now() });
+  }
+
+  /**
+   * Send queued messages while the socket has room.
+   */
+  drain() {
+    while (this.backlog.length > 0 && this._hasRoom()) {
+      this._write(this.backlog.shift().message);
+    }
+  }
+
+  clear() {
+    this.backlog = [];
+  }
+
+  stats(now = Date.now()) {
+    return {
+      policy: this.policy,
+      bufferedAmount: this.ws.bufferedAmount,
+      backlog: this.backlog.length,
+      lagMs: this.backlog.length ? now - this.backlog[0].queuedAt : 0,
+      sent: this.sent,
+      dropped: this.dropped,
+      coalesced: this.coalesced,
+    };
+  }
+
+  _hasRoom() {
+    return this.ws.bufferedAmount < this.highWaterMark;
+  }
+
+  _write(message) {
+    this.send(message);
+    this.sent++;
+  }
+}
+
+/**
+ * Pick the policy from `?backpressure=` on the upgrade URL, else the default.
+ */
+function policyFromRequest(req, fallback = DEFAULTS.policy) {
+  const requested = new URL(req.url, 'http://localhost').searchParams.get('backpressure');
+  return POLICIES.includes(requested) ? requested : fallback;
+}
+
+export { OutboundQueue, policyFromRequest, POLICIES, SLOW_CONSUMER_CLOSE_CODE };
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { OutboundQueue, policyFromRequest, SLOW_CONSUMER_CLOSE_CODE } from './backpressure.js';
+
+/**
+ * A socket whose buffer is full until `catchUp()`, recording what was sent.
+ */
+function createSocket() {
+  return {
+    bufferedAmount: 0,
+    closed: null,
+    close(code, reason) {
+      this.closed = { code, reason };
+    },
+    stall() {
+      this.bufferedAmount = 1024;
+    },
+    catchUp() {
+      this.bufferedAmount = 0;
+    },
+  };
+}
+
+function createQueue(options) {
+  const ws = createSocket();
+  const sent = [];
+  const queue = new OutboundQueue(ws, (message) => sent.push(message), { highWaterMark: 1024, maxBacklog: 3, ...options });
+  return { ws, sent, queue };
+}
+
+const feed = (n) => ({ type: 'feed:message', payload: { n } });
+const analytics = (n) => ({ type: 'analytics:update', payload: { n } });
+
+test('messages go straight out while the socket has room', () => {
+  const { sent, queue } = createQueue();
+  queue.push(feed(1));
+  queue.push(feed(2));
+
+  assert.deepEqual(sent, [feed(1), feed(2)]);
+  assert.equal(queue.stats().sent, 2);
+});
+
+test('a stalled socket queues messages and drain sends them in order', () => {
+  const { ws, sent, queue } = createQueue();
+  ws.stall();
+  queue.push(feed(1));
+  queue.push(feed(2));
+  assert.deepEqual(sent, []);
+  assert.equal(queue.stats().backlog, 2);
+
+  // Room again, but nothing may overtake the backlog
+  ws.catchUp();
+  queue.push(feed(3));
+  assert.deepEqual(sent, []);
+
+  queue.drain();
+  assert.deepEqual(sent, [feed(1), feed(2), feed(3)]);
+});
+
+test('coalesce keeps only the latest analytics update in its queue position', () => {
+  const { ws, sent, queue } = createQueue({ policy: 'coalesce' });
+  ws.stall();
+  queue.push(analytics(1));
+  queue.push(feed(1));
+  queue.push(analytics(2));
+
+  ws.catchUp();
+  queue.drain();
+  assert.deepEqual(sent, [analytics(2), feed(1)]);
+  assert.equal(queue.stats().coalesced, 1);
+});
+
+test('a full backlog drops the oldest message under drop-oldest', () => {
+  const { ws, sent, queue } = createQueue({ policy: 'drop-oldest' });
+  ws.stall();
+  [1, 2, 3, 4].forEach((n) => queue.push(analytics(n)));
+
+  ws.catchUp();
+  queue.drain();
+  assert.deepEqual(sent, [analytics(2), analytics(3), analytics(4)]);
+  assert.equal(queue.stats().dropped, 1);
+});
+
+test('a full backlog closes the socket under disconnect', () => {
+  const { ws, queue } = createQueue({ policy: 'disconnect' });
+  ws.stall();
+  [1, 2, 3, 4].forEach((n) => queue.push(feed(n)));
+
+  assert.deepEqual(ws.closed, { code: SLOW_CONSUMER_CLOSE_CODE, reason: 'Slow consumer' });
+});
+
+test('lag is the age of the oldest queued message', () => {
+  const { ws, queue } = createQueue();
+  ws.stall();
+  queue.push(feed(1));
+  const { queuedAt } = queue.backlog[0];
+
+  assert.equal(queue.stats(queuedAt + 250).lagMs, 250);
+  queue.clear();
+  assert.equal(queue.stats().lagMs, 0);
+});
+
+test('the policy comes from ?backpressure= when it is a known one', () => {
+  assert.equal(policyFromRequest({ url: '/ws?backpressure=disconnect' }), 'disconnect');
+  assert.equal(policyFromRequest({ url: '/ws?backpressure=bogus' }), 'coalesce');
+  assert.equal(policyFromRequest({ url: '/ws' }, 'drop-oldest'), 'drop-oldest');
+});
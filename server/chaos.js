@@ -0,0 +1,231 @@
+import { createRandom } from './mockData.js';
+
+/**
+ * Fault injection for exercising client retry and reconnect logic on
+ * purpose. Off by default; configured at runtime through
+ * PUT /api/v1/admin/chaos.
+ *
+ * HTTP rules are matched in order against the path below /api (`*` is a
+ * wildcard, e.g. `/v1/users*`); the first match may add latency, answer
+ * with a 5xx or 429 instead of the handler, or cut the JSON body short.
+ * WebSocket rules apply to a channel (or `*`): a delivery on the channel
+ * may drop the connection abruptly, and pings to its subscribers may be
+ * skipped so the client's heartbeat monitor fires.
+ *
+ * Injected responses carry `X-Chaos: <fault>` so they are easy to tell
+ * apart from real failures.
+ */
+
+const LATENCY_DISTRIBUTIONS = ['fixed', 'uniform', 'normal', 'exponential'];
+const MAX_LATENCY = 30000;
+const CHAOS_HEADER = 'X-Chaos';
+// The admin route itself is never disrupted, so chaos can always be turned off
+const EXEMPT_PATH = '/v1/admin/chaos';
+
+const DEFAULT_CONFIG = {
+  enabled: false,
+  seed: null,
+  http: [],
+  ws: [],
+};
+
+class ChaosError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.name = 'ChaosError';
+    this.code = 'invalid_chaos_config';
+    this.field = field;
+  }
+}
+
+function patternToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Checks what the request schema can't express: the parameters each
+ * distribution needs. Throws ChaosError naming the field.
+ */
+function checkLatency(latency, field) {
+  const { distribution } = latency;
+  const need = {
+    fixed: ['ms'],
+    uniform: ['min', 'max'],
+    normal: ['mean', 'stddev'],
+    exponential: ['mean'],
+  }[distribution];
+
+  need.forEach((name) => {
+    if (typeof latency[name] !== 'number') {
+      throw new ChaosError(`${field}.${name}`, `${field}.${name} is required for a ${distribution} distribution`);
+    }
+  });
+  if (distribution === 'uniform' && latency.min > latency.max) {
+    throw new ChaosError(`${field}.min`, `${field}.min must not exceed ${field}.max`);
+  }
+}
+
+class ChaosController {
+  constructor() {
+    this.middleware = this.middleware.bind(this);
+    this.reset();
+  }
+
+  reset() {
+    this.configure(DEFAULT_CONFIG);
+  }
+
+  /**
+   * Replace the whole configuration and restart the counters. With a
+   * `seed` the same sequence of requests meets the same faults.
+   */
+  configure(config) {
+    const http = (config.http || []).map((rule, i) => {
+      if (rule.latency) checkLatency(rule.latency, `http[${i}].latency`);
+      return { ...rule, pattern: patternToRegExp(rule.match) };
+    });
+
+    this.config = {
+      enabled: Boolean(config.enabled),
+      seed: config.seed ?? null,
+      http: http.map(({ pattern, ...rule }) => rule),
+      ws: config.ws || [],
+    };
+    this.httpRules = http;
+    this.random = createRandom(this.config.seed);
+    this.stats = {
+      since: new Date().toISOString(),
+      delayed: 0,
+      errors: 0,
+      rateLimited: 0,
+      truncated: 0,
+      drops: 0,
+      heartbeatsSuppressed: 0,
+    };
+    return this.snapshot();
+  }
+
+  snapshot() {
+    return { ...this.config, stats: { ...this.stats } };
+  }
+
+  _chance(rate) {
+    return rate > 0 && this.random.next() < rate;
+  }
+
+  _latency({ distribution, ms, min, max, mean, stddev }) {
+    let value;
+    switch (distribution) {
+      case 'uniform':
+        value = min + this.random.next() * (max - min);
+        break;
+      case 'normal': {
+        // Box-Muller
+        const u = 1 - this.random.next();
+        const v = this.random.next();
+        value = mean + stddev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        break;
+      }
+      case 'exponential':
+        value = -mean * Math.log(1 - this.random.next());
+        break;
+      default:
+        value = ms;
+    }
+    return Math.round(Math.min(MAX_LATENCY, Math.max(0, value)));
+  }
+
+  _httpRule(req) {
+    if (!this.config.enabled || req.path.startsWith(EXEMPT_PATH)) return null;
+    return this.httpRules.find((rule) => (
+      rule.pattern.test(req.path) && (!rule.methods || rule.methods.includes(req.method))
+    )) || null;
+  }
+
+  /**
+   * Express middleware; mount it where `req.path` is relative to /api.
+   */
+  middleware(req, res, next) {
+    const rule = this._httpRule(req);
+    if (!rule) return next();
+
+    const delay = rule.latency ? this._latency(rule.latency) : 0;
+    if (delay > 0) this.stats.delayed++;
+
+    setTimeout(() => {
+      if (res.headersSent || req.socket.destroyed) return;
+
+      if (this._chance(rule.errorRate)) {
+        const statuses = rule.errorStatuses || [500];
+        const status = statuses[Math.floor(this.random.next() * statuses.length)];
+        this.stats.errors++;
+        res.set(CHAOS_HEADER, 'error');
+        return res.status(status).json({
+          error: `Injected ${status} error`,
+          message: 'Fault injected by the chaos layer',
+          code: 'chaos_fault',
+        });
+      }
+
+      if (this._chance(rule.rateLimitRate)) {
+        const retryAfter = rule.retryAfter ?? 1;
+        this.stats.rateLimited++;
+        res.set(CHAOS_HEADER, 'rate_limit');
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          error: 'Too Many Requests',
+          message: 'Rate limit injected by the chaos layer',
+          retryAfter,
+        });
+      }
+
+      if (this._chance(rule.truncateRate)) {
+        this._truncateJson(res);
+      }
+
+      next();
+    }, delay);
+  }
+
+  // Send only the first half of the next JSON body
+  _truncateJson(res) {
+    const controller = this;
+    res.json = function truncatedJson(body) {
+      const text = JSON.stringify(body);
+      controller.stats.truncated++;
+      this.set(CHAOS_HEADER, 'truncated');
+      this.type('json');
+      return this.send(text.slice(0, Math.floor(text.length / 2)));
+    };
+  }
+
+  _wsRules(channels) {
+    if (!this.config.enabled) return [];
+    return this.config.ws.filter((rule) => rule.channel === '*' || channels.includes(rule.channel));
+  }
+
+  /**
+   * Whether delivering a `channel` message should drop the connection instead.
+   */
+  shouldDrop(channel) {
+    const rate = Math.max(0, ...this._wsRules([channel]).map((rule) => rule.dropRate || 0));
+    if (!this._chance(rate)) return false;
+    this.stats.drops++;
+    return true;
+  }
+
+  /**
+   * Whether to skip a heartbeat ping to a client subscribed to `channels`.
+   */
+  shouldSuppressHeartbeat(channels) {
+    const rate = Math.max(0, ...this._wsRules([...channels]).map((rule) => rule.heartbeatSuppressRate || 0));
+    if (!this._chance(rate)) return false;
+    this.stats.heartbeatsSuppressed++;
+    return true;
+  }
+}
+
+const chaos = new ChaosController();
+
+export { LATENCY_DISTRIBUTIONS, CHAOS_HEADER, ChaosController, ChaosError, chaos };
@@ -0,0 +1,117 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+import { ChaosController, ChaosError, CHAOS_HEADER } from './chaos.js';
+
+const controller = new ChaosController();
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use('/api', controller.middleware);
+  app.get('/api/v1/users', (req, res) => res.json({ data: ['ada', 'bob', 'cy'] }));
+  app.get('/api/v1/admin/chaos', (req, res) => res.json(controller.snapshot()));
+
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://localhost:${server.address().port}/api`;
+});
+
+after(() => {
+  server.close();
+});
+
+async function get(path) {
+  const res = await fetch(`${baseUrl}${path}`);
+  return { status: res.status, chaos: res.headers.get(CHAOS_HEADER), text: await res.text() };
+}
+
+async function statuses(path, count) {
+  const results = [];
+  for (let i = 0; i < count; i++) results.push((await get(path)).status);
+  return results;
+}
+
+function configureHttp(rule, overrides = {}) {
+  controller.configure({ enabled: true, seed: 'chaos-test', http: [{ match: '/v1/users*', ...rule }], ...overrides });
+}
+
+test('a rate of 0 never injects a fault', async () => {
+  configureHttp({ errorRate: 0, rateLimitRate: 0, truncateRate: 0 });
+
+  assert.deepEqual(await statuses('/v1/users', 10), Array(10).fill(200));
+  const { errors, rateLimited, truncated } = controller.snapshot().stats;
+  assert.deepEqual({ errors, rateLimited, truncated }, { errors: 0, rateLimited: 0, truncated: 0 });
+});
+
+test('a rate of 1 injects the fault every time', async () => {
+  configureHttp({ errorRate: 1, errorStatuses: [503] });
+  assert.deepEqual(await statuses('/v1/users', 5), Array(5).fill(503));
+  assert.equal((await get('/v1/users')).chaos, 'error');
+  assert.equal(controller.snapshot().stats.errors, 6);
+
+  configureHttp({ rateLimitRate: 1, retryAfter: 7 });
+  const res = await fetch(`${baseUrl}/v1/users`);
+  assert.equal(res.status, 429);
+  assert.equal(res.headers.get('Retry-After'), '7');
+  assert.equal(res.headers.get(CHAOS_HEADER), 'rate_limit');
+});
+
+test('truncation cuts the JSON body in half', async () => {
+  configureHttp({ truncateRate: 1 });
+  const { status, chaos, text } = await get('/v1/users');
+  const full = JSON.stringify({ data: ['ada', 'bob', 'cy'] });
+
+  assert.equal(status, 200);
+  assert.equal(chaos, 'truncated');
+  assert.equal(text, full.slice(0, Math.floor(full.length / 2)));
+});
+
+test('nothing is injected while disabled, off-pattern or on the chaos route', async () => {
+  configureHttp({ errorRate: 1 }, { enabled: false });
+  assert.equal((await get('/v1/users')).status, 200);
+
+  controller.configure({ enabled: true, http: [{ match: '*', errorRate: 1 }] });
+  assert.equal((await get('/v1/admin/chaos')).status, 200);
+  assert.equal((await get('/v1/users')).status, 500);
+
+  configureHttp({ errorRate: 1, methods: ['POST'] });
+  assert.equal((await get('/v1/users')).status, 200);
+});
+
+test('WebSocket drop and heartbeat rates of 0 and 1', () => {
+  controller.configure({ enabled: true, ws: [{ channel: 'feed', dropRate: 1, heartbeatSuppressRate: 0 }] });
+  assert.equal(controller.shouldDrop('feed'), true);
+  assert.equal(controller.shouldDrop('analytics'), false);
+  assert.equal(controller.shouldSuppressHeartbeat(['feed']), false);
+
+  controller.configure({ enabled: true, ws: [{ channel: '*', dropRate: 0, heartbeatSuppressRate: 1 }] });
+  assert.equal(controller.shouldDrop('feed'), false);
+  assert.equal(controller.shouldSuppressHeartbeat(new Set(['analytics'])), true);
+  assert.deepEqual(
+    { drops: controller.stats.drops, heartbeatsSuppressed: controller.stats.heartbeatsSuppressed },
+    { drops: 0, heartbeatsSuppressed: 1 }
+  );
+});
+
+test('the same seed meets the same faults', async () => {
+  configureHttp({ errorRate: 0.5 });
+  const first = await statuses('/v1/users', 12);
+  configureHttp({ errorRate: 0.5 });
+  assert.deepEqual(await statuses('/v1/users', 12), first);
+  assert.ok(first.includes(200) && first.includes(500));
+});
+
+test('latency rules need the parameters of their distribution', () => {
+  assert.throws(
+    () => controller.configure({ http: [{ match: '*', latency: { distribution: 'uniform', min: 10 } }] }),
+    (err) => err instanceof ChaosError && err.field === 'http[0].latency.max'
+  );
+  assert.throws(
+    () => controller.configure({ http: [{ match: '*', latency: { distribution: 'uniform', min: 20, max: 10 } }] }),
+    (err) => err instanceof ChaosError && err.field === 'http[0].latency.min'
+  );
+});
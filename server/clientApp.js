@@ -0,0 +1,57 @@
+import express, { Router } from 'express';
+import { existsSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Serves the production build (`vite build` -> dist/) so one port hosts
+ * the API, the WebSocket and the UI.
+ *
+ * Vite content-hashes everything under /assets, so those files are cached
+ * for a year as immutable; a new build means new URLs. index.html must be
+ * revalidated every time, since it is what points at the current hashes.
+ * Any other GET that wants HTML and isn't an API, WebSocket or health
+ * path gets index.html, so client-side routes survive a reload.
+ */
+
+const DEFAULT_DIST_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../dist');
+// Owned by the server; never answered with the SPA
+const SERVER_PATHS = /^\/(api|ws|health)(\/|$)/;
+
+function noCache(res) {
+  res.set('Cache-Control', 'no-cache');
+}
+
+/**
+ * Router for the built client, or null when there is no build in `distDir`.
+ */
+function createClientRouter(distDir = DEFAULT_DIST_DIR) {
+  const indexPath = path.join(distDir, 'index.html');
+  if (!existsSync(indexPath)) return null;
+
+  const router = Router();
+
+  router.use('/assets', express.static(path.join(distDir, 'assets'), {
+    index: false,
+    immutable: true,
+    maxAge: '1y',
+  }));
+  // A missing hashed asset is a stale page asking for an old build, not a route
+  router.use('/assets', (req, res) => res.sendStatus(404));
+
+  // Files copied from public/ keep their names, so they're revalidated too
+  router.use(express.static(distDir, {
+    index: false,
+    setHeaders: noCache,
+  }));
+
+  router.get('*', (req, res, next) => {
+    if (SERVER_PATHS.test(req.path) || !req.accepts('html')) return next();
+    noCache(res);
+    res.sendFile(indexPath);
+  });
+
+  return router;
+}
+
+export { createClientRouter };
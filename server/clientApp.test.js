@@ -0,0 +1,81 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import express from 'express';
+
+import { createClientRouter } from './clientApp.js';
+
+const INDEX_HTML = '<!doctype html><div id="root"></div>';
+
+let distDir;
+let server;
+let baseUrl;
+
+before(async () => {
+  // A minimal build: index.html, one hashed asset and one public/ file
+  distDir = mkdtempSync(path.join(tmpdir(), 'client-app-'));
+  mkdirSync(path.join(distDir, 'assets'));
+  writeFileSync(path.join(distDir, 'index.html'), INDEX_HTML);
+  writeFileSync(path.join(distDir, 'assets', 'index-abc123.js'), 'console.log(1);');
+  writeFileSync(path.join(distDir, 'favicon.svg'), '<svg/>');
+
+  const app = express();
+  app.use(createClientRouter(distDir));
+  app.use((req, res) => res.status(404).json({ error: 'Not Found' }));
+
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  rmSync(distDir, { recursive: true, force: true });
+});
+
+function get(pathname, accept = 'text/html') {
+  return fetch(`${baseUrl}${pathname}`, { headers: { Accept: accept } });
+}
+
+test('without a build there is no router', () => {
+  assert.equal(createClientRouter(path.join(distDir, 'missing')), null);
+});
+
+test('client-side routes get index.html, revalidated every time', async () => {
+  for (const pathname of ['/', '/users/42', '/settings/apidocs']) {
+    const res = await get(pathname);
+    assert.equal(res.status, 200, pathname);
+    assert.equal(res.headers.get('Cache-Control'), 'no-cache');
+    assert.equal(await res.text(), INDEX_HTML);
+  }
+});
+
+test('API, WebSocket and health paths are never answered with the app', async () => {
+  for (const pathname of ['/api', '/api/v1/users', '/ws', '/health', '/health/ready']) {
+    const res = await get(pathname);
+    assert.equal(res.status, 404, pathname);
+    assert.deepEqual(await res.json(), { error: 'Not Found' });
+  }
+  // Only the exact segment is reserved
+  assert.equal((await get('/apis')).status, 200);
+});
+
+test('requests that do not want HTML fall through', async () => {
+  assert.equal((await get('/users/42', 'application/json')).status, 404);
+});
+
+test('hashed assets are immutable; a missing one is a 404, not the app', async () => {
+  const asset = await get('/assets/index-abc123.js', '*/*');
+  assert.equal(asset.status, 200);
+  assert.match(asset.headers.get('Cache-Control'), /max-age=31536000, immutable/);
+
+  const stale = await get('/assets/index-old999.js');
+  assert.equal(stale.status, 404);
+  assert.notEqual(await stale.text(), INDEX_HTML);
+
+  const favicon = await get('/favicon.svg', '*/*');
+  assert.equal(favicon.headers.get('Cache-Control'), 'no-cache');
+});
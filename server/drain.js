@@ -0,0 +1,63 @@
+/**
+ * Graceful drain for shutdowns and restarts. Once draining, new requests
+ * get a 503 with `Connection: close` and a Retry-After hint, while
+ * requests already in flight (including the `?delay=` ones) may finish
+ * within the grace period.
+ */
+
+const DEFAULT_GRACE_PERIOD = 10000;
+const RETRY_AFTER_SECONDS = 2;
+
+class DrainController {
+  constructor(options = {}) {
+    this.gracePeriod = options.gracePeriod ?? DEFAULT_GRACE_PERIOD;
+    this.draining = false;
+    this.inFlight = new Set();
+    this._onIdle = null;
+    this.middleware = this.middleware.bind(this);
+  }
+
+  middleware(req, res, next) {
+    if (this.draining) {
+      res.set('Connection', 'close');
+      res.set('Retry-After', String(RETRY_AFTER_SECONDS));
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: 'Server is shutting down; retry shortly',
+        code: 'server_draining',
+        retryAfter: RETRY_AFTER_SECONDS,
+      });
+    }
+
+    this.inFlight.add(res);
+    res.on('close', () => {
+      this.inFlight.delete(res);
+      if (this.draining && this.inFlight.size === 0 && this._onIdle) this._onIdle();
+    });
+    next();
+  }
+
+  /**
+   * Refuse new requests and wait for in-flight ones. Resolves with how many
+   * were still running when the grace period ran out.
+   */
+  drain() {
+    this.draining = true;
+    if (this.inFlight.size === 0) return Promise.resolve({ abandoned: 0 });
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this._onIdle = null;
+        resolve({ abandoned: this.inFlight.size });
+      }, this.gracePeriod);
+
+      this._onIdle = () => {
+        clearTimeout(timer);
+        this._onIdle = null;
+        resolve({ abandoned: 0 });
+      };
+    });
+  }
+}
+
+export { DrainController };
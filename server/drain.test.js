@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+import { DrainController } from './drain.js';
+
+/**
+ * App behind a DrainController with a `/slow` route that answers only
+ * once `release()` is called.
+ */
+async function startApp(options) {
+  const controller = new DrainController(options);
+  const waiting = [];
+  const app = express();
+  app.use(controller.middleware);
+  app.get('/fast', (req, res) => res.json({ ok: true }));
+  app.get('/slow', (req, res) => waiting.push(() => res.json({ ok: true })));
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const url = `http://localhost:${server.address().port}`;
+
+  return {
+    controller,
+    get: (path) => fetch(`${url}${path}`),
+    // Resolves, with the pending response, once the request reached its handler
+    slow: async () => {
+      const response = fetch(`${url}/slow`);
+      while (waiting.length === 0) await new Promise((resolve) => setTimeout(resolve, 5));
+      return { response };
+    },
+    release: () => waiting.splice(0).forEach((respond) => respond()),
+    close: () => {
+      server.close();
+      server.closeAllConnections();
+    },
+  };
+}
+
+test('once draining, new requests get a 503 with Retry-After', async () => {
+  const app = await startApp();
+  assert.equal((await app.get('/fast')).status, 200);
+
+  assert.deepEqual(await app.controller.drain(), { abandoned: 0 });
+  const res = await app.get('/fast');
+  assert.equal(res.status, 503);
+  assert.equal(res.headers.get('Retry-After'), '2');
+  assert.equal(res.headers.get('Connection'), 'close');
+  assert.equal((await res.json()).code, 'server_draining');
+
+  app.close();
+});
+
+test('drain waits for requests already in flight', async () => {
+  const app = await startApp({ gracePeriod: 5000 });
+  const { response: inFlight } = await app.slow();
+
+  let drained = false;
+  const draining = app.controller.drain().then((result) => {
+    drained = true;
+    return result;
+  });
+  assert.equal((await app.get('/fast')).status, 503);
+  assert.equal(drained, false);
+
+  app.release();
+  assert.equal((await inFlight).status, 200);
+  assert.deepEqual(await draining, { abandoned: 0 });
+
+  app.close();
+});
+
+test('requests still running after the grace period are reported as abandoned', async () => {
+  const app = await startApp({ gracePeriod: 50 });
+  const { response: inFlight } = await app.slow();
+
+  assert.deepEqual(await app.controller.drain(), { abandoned: 1 });
+
+  app.release();
+  await inFlight;
+  app.close();
+});
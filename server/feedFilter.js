@@ -0,0 +1,70 @@
+import { QueryError } from './pagination.js';
+import { feedTypes, feedSeverities, feedSources } from './mockData.js';
+
+/**
+ * Per-subscription feed filters, evaluated before a message is sent so
+ * clients only pay for what they display. Each field is either `null`
+ * (match anything) or a list of allowed values; `text` is a
+ * case-insensitive substring match on the message body.
+ */
+
+const FILTER_FIELDS = {
+  types: { key: 'type', allowed: feedTypes },
+  severities: { key: 'severity', allowed: feedSeverities },
+  // Messages posted with feed:send carry source "user"
+  sources: { key: 'source', allowed: [...feedSources, 'user'] },
+};
+
+const MAX_TEXT_LENGTH = 200;
+
+function parseList(field, value) {
+  if (value == null || value === '' || value === 'all') return null;
+
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const values = [...new Set(list.map((v) => String(v).trim()).filter(Boolean))];
+  if (values.length === 0) return null;
+
+  const { allowed } = FILTER_FIELDS[field];
+  const unknown = values.find((v) => !allowed.includes(v));
+  if (unknown) {
+    throw new QueryError(field, `Unknown ${field} value "${unknown}". Allowed: ${allowed.join(', ')}`);
+  }
+  return values;
+}
+
+/**
+ * Normalize a `subscribe` filter. Returns null when nothing is filtered.
+ * Throws QueryError for unknown values.
+ */
+function parseFeedFilter(input) {
+  if (input == null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new QueryError('filter', 'filter must be an object');
+  }
+
+  const filter = {};
+  Object.keys(FILTER_FIELDS).forEach((field) => {
+    filter[field] = parseList(field, input[field]);
+  });
+
+  const text = input.text == null ? '' : String(input.text).trim();
+  if (text.length > MAX_TEXT_LENGTH) {
+    throw new QueryError('text', `text must be at most ${MAX_TEXT_LENGTH} characters`);
+  }
+  filter.text = text || null;
+
+  return Object.values(filter).some((value) => value !== null) ? filter : null;
+}
+
+function matchesFeedFilter(filter, message) {
+  if (!filter) return true;
+
+  const listsMatch = Object.entries(FILTER_FIELDS).every(
+    ([field, { key }]) => !filter[field] || filter[field].includes(message[key])
+  );
+  if (!listsMatch) return false;
+
+  return !filter.text || String(message.message || '').toLowerCase().includes(filter.text.toLowerCase());
+}
+
+export { parseFeedFilter, matchesFeedFilter };
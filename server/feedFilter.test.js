@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseFeedFilter, matchesFeedFilter } from './feedFilter.js';
+import { QueryError } from './pagination.js';
+
+const MESSAGE = {
+  id: 'msg-1',
+  type: 'alert',
+  severity: 'critical',
+  source: 'security',
+  message: 'CPU usage spike detected on server-03',
+};
+
+test('empty filters normalise to null', () => {
+  assert.equal(parseFeedFilter(null), null);
+  assert.equal(parseFeedFilter({}), null);
+  assert.equal(parseFeedFilter({ types: 'all', severities: '', sources: [], text: '   ' }), null);
+});
+
+test('lists accept arrays or comma-separated strings and drop duplicates', () => {
+  assert.deepEqual(parseFeedFilter({ types: 'alert, warning,alert', sources: ['user'] }), {
+    types: ['alert', 'warning'],
+    severities: null,
+    sources: ['user'],
+    text: null,
+  });
+});
+
+test('unknown values and malformed filters are rejected with the field', () => {
+  const rejectedField = (input) => {
+    try {
+      parseFeedFilter(input);
+    } catch (err) {
+      assert.ok(err instanceof QueryError);
+      return err.field;
+    }
+    return assert.fail('expected a QueryError');
+  };
+
+  assert.equal(rejectedField({ types: 'alert,bogus' }), 'types');
+  assert.equal(rejectedField({ severities: ['constructor'] }), 'severities');
+  assert.equal(rejectedField({ text: 'x'.repeat(201) }), 'text');
+  assert.equal(rejectedField(['alert']), 'filter');
+  assert.equal(rejectedField('alert'), 'filter');
+});
+
+test('a message matches when every set field allows it', () => {
+  const match = (input) => matchesFeedFilter(parseFeedFilter(input), MESSAGE);
+
+  assert.equal(match(null), true);
+  assert.equal(match({ types: 'alert,warning', severities: 'critical' }), true);
+  assert.equal(match({ types: 'alert', severities: 'low' }), false);
+  assert.equal(match({ sources: 'user' }), false);
+});
+
+test('text is a case-insensitive substring of the message', () => {
+  const match = (text) => matchesFeedFilter(parseFeedFilter({ text }), MESSAGE);
+
+  assert.equal(match('cpu USAGE'), true);
+  assert.equal(match('memory'), false);
+  assert.equal(matchesFeedFilter(parseFeedFilter({ text: 'cpu' }), { ...MESSAGE, message: undefined }), false);
+});
@@ -0,0 +1,149 @@
+/**
+ * Recent feed messages plus their triage state (acknowledged, assigned,
+ * snoozed). The WebSocket handler records every published message here and
+ * applies `feed:ack` / `feed:assign` / `feed:snooze` against it, so all
+ * subscribers see the same state and an alert is only acknowledged once.
+ * It also backs the paginated GET /v1/feed history.
+ */
+
+const DEFAULT_MAX_ITEMS = 1000;
+const MAX_SNOOZE_MINUTES = 24 * 60;
+
+class FeedStateError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'FeedStateError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function actor(user) {
+  return { username: user.sub, name: user.name };
+}
+
+class FeedState {
+  constructor(options = {}) {
+    this.maxItems = options.maxItems || DEFAULT_MAX_ITEMS;
+    // Insertion-ordered, so the first key is always the oldest message
+    this.items = new Map();
+  }
+
+  track(message) {
+    const item = {
+      ...message,
+      acknowledged: false,
+      acknowledgedBy: null,
+      acknowledgedAt: null,
+      assignee: null,
+      assignedBy: null,
+      assignedAt: null,
+      snoozedUntil: null,
+      snoozedBy: null,
+    };
+    this.items.set(item.id, item);
+
+    if (this.items.size > this.maxItems) {
+      this.items.delete(this.items.keys().next().value);
+    }
+    return item;
+  }
+
+  get(id) {
+    return this.items.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.items.values());
+  }
+
+  /**
+   * One page of history, newest first: up to `limit` messages older than
+   * the message `before` (or the newest ones) that satisfy `predicate`.
+   */
+  history({ before = null, limit, predicate = () => true }) {
+    const items = this.list();
+    let end = items.length;
+    if (before) {
+      end = items.findIndex((item) => item.id === before);
+      if (end === -1) {
+        throw new FeedStateError('not_found', `Feed message ${before} not found`);
+      }
+    }
+
+    const page = [];
+    let index = end - 1;
+    for (; index >= 0 && page.length < limit; index--) {
+      if (predicate(items[index])) page.push(items[index]);
+    }
+
+    // Anything left further back that would match?
+    const hasMore = items.slice(0, index + 1).some(predicate);
+    return { items: page, hasMore };
+  }
+
+  acknowledge(id, user) {
+    const item = this._require(id);
+    if (item.acknowledged) {
+      throw new FeedStateError(
+        'already_acknowledged',
+        `Already acknowledged by ${item.acknowledgedBy.name}`,
+        { acknowledgedBy: item.acknowledgedBy, acknowledgedAt: item.acknowledgedAt }
+      );
+    }
+
+    return this._update(item, {
+      acknowledged: true,
+      acknowledgedBy: actor(user),
+      acknowledgedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Assign to an account, or unassign with `assignee: null`.
+   */
+  assign(id, assignee, user) {
+    const item = this._require(id);
+    return this._update(item, {
+      assignee,
+      assignedBy: assignee ? actor(user) : null,
+      assignedAt: assignee ? new Date().toISOString() : null,
+    });
+  }
+
+  /**
+   * Snooze for `minutes`; 0 clears an active snooze.
+   */
+  snooze(id, minutes, user) {
+    const item = this._require(id);
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_SNOOZE_MINUTES) {
+      throw new FeedStateError(
+        'invalid_duration',
+        `minutes must be an integer between 0 and ${MAX_SNOOZE_MINUTES}`
+      );
+    }
+
+    return this._update(item, {
+      snoozedUntil: minutes ? new Date(Date.now() + minutes * 60000).toISOString() : null,
+      snoozedBy: minutes ? actor(user) : null,
+    });
+  }
+
+  _require(id) {
+    const item = this.items.get(id);
+    if (!item) {
+      throw new FeedStateError('not_found', `Feed message ${id} not found`);
+    }
+    return item;
+  }
+
+  _update(item, changes) {
+    const updated = { ...item, ...changes };
+    this.items.set(item.id, updated);
+    return updated;
+  }
+}
+
+const feedState = new FeedState();
+
+export { FeedState, FeedStateError, feedState };
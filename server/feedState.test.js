@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FeedState, FeedStateError } from './feedState.js';
+
+const ADA = { sub: 'ada', name: 'Ada' };
+const BOB = { sub: 'bob', name: 'Bob' };
+
+function stateWith(...ids) {
+  const state = new FeedState();
+  ids.forEach((id) => state.track({ id, type: 'alert', severity: 'high', message: id }));
+  return state;
+}
+
+function failsWith(fn, code) {
+  assert.throws(fn, (err) => err instanceof FeedStateError && err.code === code);
+}
+
+test('tracked messages start untriaged and the oldest age out', () => {
+  const state = new FeedState({ maxItems: 2 });
+  ['a', 'b', 'c'].forEach((id) => state.track({ id, acknowledged: true }));
+
+  assert.deepEqual(state.list().map((item) => item.id), ['b', 'c']);
+  assert.equal(state.get('a'), null);
+  assert.equal(state.get('c').acknowledged, false);
+  assert.equal(state.get('c').assignee, null);
+});
+
+test('a message is acknowledged once, by whoever gets there first', () => {
+  const state = stateWith('a');
+  const acknowledged = state.acknowledge('a', ADA);
+
+  assert.equal(acknowledged.acknowledged, true);
+  assert.deepEqual(acknowledged.acknowledgedBy, { username: 'ada', name: 'Ada' });
+  assert.ok(acknowledged.acknowledgedAt);
+  assert.deepEqual(state.get('a'), acknowledged);
+
+  assert.throws(() => state.acknowledge('a', BOB), (err) => {
+    assert.equal(err.code, 'already_acknowledged');
+    assert.match(err.message, /by Ada/);
+    assert.deepEqual(err.details.acknowledgedBy, acknowledged.acknowledgedBy);
+    return true;
+  });
+});
+
+test('assigning records who assigned; unassigning clears it', () => {
+  const state = stateWith('a');
+  const assignee = { username: 'bob', name: 'Bob' };
+
+  const assigned = state.assign('a', assignee, ADA);
+  assert.deepEqual(assigned.assignee, assignee);
+  assert.deepEqual(assigned.assignedBy, { username: 'ada', name: 'Ada' });
+  assert.ok(assigned.assignedAt);
+
+  const unassigned = state.assign('a', null, BOB);
+  assert.equal(unassigned.assignee, null);
+  assert.equal(unassigned.assignedBy, null);
+  assert.equal(unassigned.assignedAt, null);
+});
+
+test('snoozing sets an expiry; zero minutes clears it', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-05-01T10:00:00.000Z') });
+  const state = stateWith('a');
+
+  const snoozed = state.snooze('a', 30, ADA);
+  assert.equal(snoozed.snoozedUntil, '2026-05-01T10:30:00.000Z');
+  assert.deepEqual(snoozed.snoozedBy, { username: 'ada', name: 'Ada' });
+
+  const cleared = state.snooze('a', 0, ADA);
+  assert.equal(cleared.snoozedUntil, null);
+  assert.equal(cleared.snoozedBy, null);
+});
+
+test('snooze durations must be whole minutes within a day', () => {
+  const state = stateWith('a');
+  for (const minutes of [-1, 1.5, 24 * 60 + 1, '10', undefined]) {
+    failsWith(() => state.snooze('a', minutes, ADA), 'invalid_duration');
+  }
+  assert.equal(state.snooze('a', 24 * 60, ADA).snoozedBy.username, 'ada');
+});
+
+test('triage actions on unknown messages fail with not_found', () => {
+  const state = stateWith('a');
+  failsWith(() => state.acknowledge('nope', ADA), 'not_found');
+  failsWith(() => state.assign('nope', null, ADA), 'not_found');
+  failsWith(() => state.snooze('nope', 5, ADA), 'not_found');
+});
+
+test('history pages back from a message, newest first', () => {
+  const state = stateWith('a', 'b', 'c', 'd', 'e');
+  const ids = ({ items }) => items.map((item) => item.id);
+
+  const first = state.history({ limit: 2 });
+  assert.deepEqual(ids(first), ['e', 'd']);
+  assert.equal(first.hasMore, true);
+
+  const second = state.history({ before: 'd', limit: 2 });
+  assert.deepEqual(ids(second), ['c', 'b']);
+  assert.equal(second.hasMore, true);
+
+  const last = state.history({ before: 'b', limit: 2 });
+  assert.deepEqual(ids(last), ['a']);
+  assert.equal(last.hasMore, false);
+
+  failsWith(() => state.history({ before: 'nope', limit: 2 }), 'not_found');
+});
+
+test('history skips messages the predicate rejects and says whether more match', () => {
+  const state = stateWith('a1', 'b1', 'a2', 'b2', 'a3');
+  const onlyA = (item) => item.id.startsWith('a');
+
+  const page = state.history({ limit: 2, predicate: onlyA });
+  assert.deepEqual(page.items.map((item) => item.id), ['a3', 'a2']);
+  assert.equal(page.hasMore, true);
+
+  const rest = state.history({ before: 'a2', limit: 2, predicate: onlyA });
+  assert.deepEqual(rest.items.map((item) => item.id), ['a1']);
+  assert.equal(rest.hasMore, false);
+
+  assert.equal(state.history({ before: 'a2', limit: 1, predicate: (item) => item.id === 'b1' }).hasMore, false);
+});
@@ -1,15 +1,60 @@
 import express from 'express';
 import cors from 'cors';
+import compression from 'compression';
 import { createServer } from 'http';
 import { WebSocketServer } from 'ws';
-import apiRoutes from './apiRoutes.js';
-import { setupWebSocket } from './wsHandler.js';
+import apiRoutes, { userStore, USER_IMPORT_PATH } from './apiRoutes.js';
+import { setupWebSocket, selectProtocol } from './wsHandler.js';
+import { logger, requestLogger, REQUEST_ID_HEADER } from './logger.js';
+import { chaos, CHAOS_HEADER } from './chaos.js';
+import { DrainController } from './drain.js';
+import { createClientRouter } from './clientApp.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+// In-flight requests get this long to finish on shutdown
+const SHUTDOWN_GRACE_PERIOD = (parseInt(process.env.SHUTDOWN_GRACE_PERIOD) || 10) * 1000;
+// Sent to realtime clients as the earliest sensible time to reconnect
+const SHUTDOWN_RECONNECT_AFTER = (parseInt(process.env.SHUTDOWN_RECONNECT_AFTER) || 3) * 1000;
 
-app.use(cors());
-app.use(express.json());
+const drainController = new DrainController({ gracePeriod: SHUTDOWN_GRACE_PERIOD });
+
+// Strong ETags on every JSON response; Express answers If-None-Match with 304
+app.set('etag', 'strong');
+
+// Request ids and access logs first, so every response carries one
+app.use(requestLogger);
+// SSE frames must reach the client as they're written, not when a gzip block fills
+app.use(compression({
+  filter: (req, res) => !String(res.getHeader('Content-Type')).startsWith('text/event-stream')
+    && compression.filter(req, res),
+}));
+app.use(cors({ exposedHeaders: ['ETag', REQUEST_ID_HEADER, CHAOS_HEADER] }));
+// 503s once a shutdown starts; tracks in-flight requests until then
+app.use(drainController.middleware);
+// Roster imports are parsed, with a larger limit, by their own route
+const jsonParser = express.json();
+app.use((req, res, next) => (req.path === `/api${USER_IMPORT_PATH}` ? next() : jsonParser(req, res, next)));
+
+const server = createServer(app);
+
+// WebSocket server
+const wss = new WebSocketServer({ server, path: '/ws', handleProtocols: selectProtocol });
+const realtime = setupWebSocket(wss, {
+  seed: process.env.WS_SEED ?? process.env.MOCK_SEED,
+  presenceIdleTimeout: (parseInt(process.env.PRESENCE_IDLE_TIMEOUT) || 300) * 1000,
+  backpressure: {
+    policy: process.env.WS_BACKPRESSURE,
+    highWaterMark: process.env.WS_HIGH_WATER_MARK ? Number(process.env.WS_HIGH_WATER_MARK) : undefined,
+    maxBacklog: parseInt(process.env.WS_MAX_BACKLOG) || undefined,
+  },
+});
+
+// The admin and SSE stream routes in apiRoutes attach to and manage live connections
+app.locals.realtime = realtime;
+
+// Fault injection, off until configured via /api/v1/admin/chaos
+app.use('/api', chaos.middleware);
 
 // API routes
 app.use('/api', apiRoutes);
@@ -19,24 +64,71 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', uptime: process.uptime() });
 });
 
-const server = createServer(app);
+// Production UI from dist/, when built; in development Vite serves it
+const clientRouter = createClientRouter();
+if (clientRouter) {
+  app.use(clientRouter);
+}
 
-// WebSocket server
-const wss = new WebSocketServer({ server, path: '/ws' });
-const cleanupWs = setupWebSocket(wss);
+// Errors nothing else handled: malformed or oversized bodies and handler crashes
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Invalid JSON', message: 'Request body is not valid JSON', requestId: req.id });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Payload Too Large', message: `Request body exceeds ${err.limit} bytes`, requestId: req.id });
+  }
 
-server.listen(PORT, () => {
-  console.log(`[Server] REST API running at http://localhost:${PORT}/api`);
-  console.log(`[Server] WebSocket running at ws://localhost:${PORT}/ws`);
-  console.log(`[Server] Health check at http://localhost:${PORT}/health`);
+  req.log.error('unhandled error', { error: err });
+  res.status(err.status || 500).json({ error: 'Internal server error', requestId: req.id });
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n[Server] Shutting down...');
-  cleanupWs();
-  server.close(() => {
-    console.log('[Server] Closed.');
-    process.exit(0);
+server.listen(PORT, () => {
+  logger.info('server listening', {
+    api: `http://localhost:${PORT}/api`,
+    websocket: `ws://localhost:${PORT}/ws`,
+    sse: `http://localhost:${PORT}/api/v1/stream`,
+    health: `http://localhost:${PORT}/health`,
+    ui: clientRouter ? `http://localhost:${PORT}/` : 'not built (run `npm run build`)',
+    storage: userStore.filePath || 'in-memory',
   });
 });
+
+/**
+ * Graceful shutdown: refuse new HTTP and WebSocket connections, tell
+ * realtime clients when to come back, let in-flight requests finish within
+ * the grace period, then flush storage and exit. A second signal exits at once.
+ */
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) {
+    logger.warn('forced exit', { signal });
+    process.exit(1);
+  }
+  shuttingDown = true;
+  logger.info('server draining', {
+    signal,
+    gracePeriodMs: SHUTDOWN_GRACE_PERIOD,
+    reconnectAfterMs: SHUTDOWN_RECONNECT_AFTER,
+  });
+
+  realtime.drain({ reconnectAfter: SHUTDOWN_RECONNECT_AFTER });
+  server.close();
+  server.closeIdleConnections();
+  // The notice goes out ahead of the close frame on each socket and stream
+  realtime.close();
+
+  const { abandoned } = await drainController.drain();
+  if (abandoned > 0) {
+    logger.warn('grace period over, abandoning requests', { abandoned });
+    server.closeAllConnections();
+  }
+
+  await userStore.flush();
+  logger.info('server closed');
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -0,0 +1,132 @@
+import { randomUUID } from 'crypto';
+
+/**
+ * Structured logging. Every line is one JSON object
+ * (`{ time, level, msg, ...fields }`) so logs can be grepped by field,
+ * notably `requestId`: each HTTP request gets an id (an incoming
+ * `X-Request-ID` is kept when it looks sane), which is echoed in the
+ * response header and attached to the request's access-log line. Clients
+ * surface it with their errors so a report can be matched to the log.
+ *
+ * LOG_LEVEL (debug, info, warn, error; default info) sets the threshold.
+ */
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+};
+
+const REQUEST_ID_HEADER = 'X-Request-ID';
+// Ids from upstream proxies are accepted if they can't break a log line
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+class Logger {
+  constructor(options = {}) {
+    this.level = LEVELS[options.level] ? options.level : 'info';
+    this.fields = options.fields || {};
+  }
+
+  /**
+   * Logger that adds `fields` to every line, e.g. `{ requestId }`.
+   */
+  child(fields) {
+    return new Logger({ level: this.level, fields: { ...this.fields, ...fields } });
+  }
+
+  log(level, msg, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) return;
+
+    const entry = { time: new Date().toISOString(), level, msg, ...this.fields };
+    Object.entries(fields).forEach(([key, value]) => {
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    });
+
+    const line = `${JSON.stringify(entry)}\n`;
+    if (LEVELS[level] >= LEVELS.warn) {
+      process.stderr.write(line);
+    } else {
+      process.stdout.write(line);
+    }
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+}
+
+function serializeError(err) {
+  return {
+    name: err.name,
+    message: err.message,
+    ...(err.code ? { code: err.code } : {}),
+    stack: err.stack,
+  };
+}
+
+const logger = new Logger({ level: process.env.LOG_LEVEL });
+
+/**
+ * Express middleware: assigns `req.id` (and `req.log`, a logger bound to
+ * it), echoes it as `X-Request-ID`, and logs one line per finished
+ * request with its route, status, duration and rate-limit state.
+ */
+function requestLogger(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  const startedAt = process.hrtime.bigint();
+
+  const logRequest = (aborted) => {
+    const status = res.statusCode;
+    const fields = {
+      method: req.method,
+      // Route pattern (`/api/v1/users/:id`) groups requests; path is what was asked for
+      route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+      path: req.originalUrl.split('?')[0],
+      status,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+    };
+    if (aborted) fields.aborted = true;
+    if (req.user) fields.user = req.user.sub;
+    // Faults injected by chaos.js, so they aren't mistaken for real ones
+    if (res.get('X-Chaos')) fields.chaos = res.get('X-Chaos');
+
+    const limit = res.get('X-RateLimit-Limit');
+    if (limit) {
+      fields.rateLimit = {
+        limit: Number(limit),
+        remaining: Number(res.get('X-RateLimit-Remaining')),
+        reset: Number(res.get('X-RateLimit-Reset')),
+        limited: status === 429,
+      };
+    }
+
+    req.log.log(status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info', 'request', fields);
+  };
+
+  res.on('finish', () => logRequest(false));
+  // Client went away before the response was sent (long polls, streams)
+  res.on('close', () => {
+    if (!res.writableFinished) logRequest(true);
+  });
+
+  next();
+}
+
+export { Logger, REQUEST_ID_HEADER, logger, requestLogger };
@@ -0,0 +1,107 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+import { Logger, REQUEST_ID_HEADER, requestLogger } from './logger.js';
+
+/**
+ * Lines `fn` writes, per stream. The streams are swapped back before
+ * returning so the test runner's own output is untouched.
+ */
+function captureOutput(fn) {
+  const lines = { stdout: [], stderr: [] };
+  const writes = { stdout: process.stdout.write, stderr: process.stderr.write };
+  process.stdout.write = (chunk) => lines.stdout.push(JSON.parse(chunk));
+  process.stderr.write = (chunk) => lines.stderr.push(JSON.parse(chunk));
+  try {
+    fn();
+  } finally {
+    process.stdout.write = writes.stdout;
+    process.stderr.write = writes.stderr;
+  }
+  return lines;
+}
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(requestLogger);
+  app.get('/items/:id', (req, res) => res.json({ id: req.params.id, requestId: req.id }));
+
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+test('lines are JSON with the level threshold applied; warnings go to stderr', () => {
+  const log = new Logger({ level: 'info' });
+  const { stdout, stderr } = captureOutput(() => {
+    log.debug('hidden');
+    log.info('shown', { count: 2 });
+    log.error('failed', { error: new Error('boom') });
+  });
+
+  assert.equal(stdout.length, 1);
+  const { time, ...line } = stdout[0];
+  assert.ok(!Number.isNaN(Date.parse(time)));
+  assert.deepEqual(line, { level: 'info', msg: 'shown', count: 2 });
+  assert.equal(stderr.length, 1);
+  assert.equal(stderr[0].error.message, 'boom');
+  assert.match(stderr[0].error.stack, /^Error: boom/);
+});
+
+test('unknown levels fall back to info and child loggers add their fields', () => {
+  const log = new Logger({ level: 'verbose' });
+  assert.equal(log.level, 'info');
+
+  const { stdout } = captureOutput(() => log.child({ requestId: 'r-1' }).info('hello', { requestId: 'r-2', extra: true }));
+  assert.equal(stdout[0].requestId, 'r-2');
+  assert.equal(stdout[0].extra, true);
+});
+
+async function get(path, headers = {}) {
+  const res = await fetch(`${baseUrl}${path}`, { headers });
+  return { id: res.headers.get(REQUEST_ID_HEADER), body: await res.json() };
+}
+
+test('a sane incoming X-Request-ID is kept and echoed', async (t) => {
+  t.mock.method(Logger.prototype, 'log', () => {});
+  const { id, body } = await get('/items/7', { [REQUEST_ID_HEADER]: 'upstream-1234' });
+
+  assert.equal(id, 'upstream-1234');
+  assert.equal(body.requestId, 'upstream-1234');
+});
+
+test('missing or unsafe request ids are replaced with a fresh one', async (t) => {
+  t.mock.method(Logger.prototype, 'log', () => {});
+  const fresh = await get('/items/7');
+  const unsafe = await get('/items/7', { [REQUEST_ID_HEADER]: 'bad id"\\' });
+
+  assert.match(fresh.id, /^[0-9a-f-]{36}$/);
+  assert.match(unsafe.id, /^[0-9a-f-]{36}$/);
+  assert.notEqual(fresh.id, unsafe.id);
+});
+
+test('each finished request is logged once with its id, route and status', async (t) => {
+  const logged = t.mock.method(Logger.prototype, 'log', () => {});
+  await get('/items/7?x=1', { [REQUEST_ID_HEADER]: 'log-check' });
+  // The access log is written on `finish`, just after the response
+  await new Promise((resolve) => setImmediate(resolve));
+
+  const lines = logged.mock.calls.filter((call) => call.this.fields.requestId === 'log-check');
+  assert.equal(lines.length, 1);
+  const [level, msg, fields] = lines[0].arguments;
+  assert.equal(level, 'info');
+  assert.equal(msg, 'request');
+  assert.deepEqual(
+    { method: fields.method, route: fields.route, path: fields.path, status: fields.status },
+    { method: 'GET', route: '/items/:id', path: '/items/7', status: 200 }
+  );
+});
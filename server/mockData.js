@@ -13,103 +13,174 @@ const lastNames = [
 const roles = ['Admin', 'Developer', 'Designer', 'Manager', 'Analyst', 'DevOps'];
 const statuses = ['active', 'inactive', 'away', 'busy'];
 const feedTypes = ['alert', 'notification', 'update', 'warning', 'info'];
+const feedSeverities = ['low', 'medium', 'high', 'critical'];
+const feedSources = ['system', 'monitoring', 'ci-cd', 'security', 'infra'];
 
-function randomItem(arr) {
-  return arr[Math.floor(Math.random() * arr.length)];
+// Seeded sources date generated records from here instead of the clock
+const MOCK_EPOCH = Date.parse('2025-01-01T00:00:00.000Z');
+// How far a seeded source's clock moves per tick()
+const TICK_MS = 1000;
+
+/**
+ * Create a random source. With a seed (number or string) the sequence is
+ * deterministic (mulberry32) and time is virtual: `now()` starts at
+ * MOCK_EPOCH and `tick()`, called once per generated event, moves it a
+ * second forward so events keep their order. Without a seed it falls back
+ * to Math.random and the real clock, and `tick()` just reads it.
+ */
+function createRandom(seed) {
+  const seeded = seed !== undefined && seed !== null && seed !== '';
+  let next = Math.random;
+  let clock = MOCK_EPOCH;
+
+  if (seeded) {
+    let state = hashSeed(String(seed));
+    next = () => {
+      state = (state + 0x6d2b79f5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  return {
+    seed: seeded ? String(seed) : null,
+    next,
+    int: (min, max) => Math.floor(next() * (max - min + 1)) + min,
+    item: (arr) => arr[Math.floor(next() * arr.length)],
+    now: seeded ? () => clock : Date.now,
+    tick: seeded ? () => (clock += TICK_MS) : Date.now,
+  };
+}
+
+// FNV-1a, so string seeds like "bug-1234" work as well as numbers
+function hashSeed(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Shared source for callers that don't pass their own; MOCK_SEED pins it
+const defaultRandom = createRandom(process.env.MOCK_SEED);
+
+function randomItem(arr, rng = defaultRandom) {
+  return rng.item(arr);
 }
 
-function randomInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+function randomInt(min, max, rng = defaultRandom) {
+  return rng.int(min, max);
 }
 
-function generateUser(id) {
-  const firstName = randomItem(firstNames);
-  const lastName = randomItem(lastNames);
+// Ten base-36 characters, so ids repeat with the seed rather than the clock
+function randomId(rng = defaultRandom) {
+  let id = '';
+  for (let i = 0; i < 10; i++) {
+    id += rng.int(0, 35).toString(36);
+  }
+  return id;
+}
+
+function generateUser(id, rng = defaultRandom) {
+  const firstName = randomItem(firstNames, rng);
+  const lastName = randomItem(lastNames, rng);
   return {
     id,
     name: `${firstName} ${lastName}`,
-    email: `${firstName.toLowerCase()}.${lastName.toLowerCase()}@example.com`,
-    role: randomItem(roles),
-    status: randomItem(statuses),
+    // Names repeat across 50 users; the id keeps every email unique
+    email: `${firstName.toLowerCase()}.${lastName.toLowerCase()}.${id}@example.com`,
+    role: randomItem(roles, rng),
+    status: randomItem(statuses, rng),
     avatar: `https://api.dicebear.com/7.x/avataaars/svg?seed=${id}`,
-    joinedAt: new Date(Date.now() - randomInt(1, 365) * 86400000).toISOString(),
-    lastActive: new Date(Date.now() - randomInt(0, 48) * 3600000).toISOString(),
+    joinedAt: new Date(rng.now() - randomInt(1, 365, rng) * 86400000).toISOString(),
+    lastActive: new Date(rng.now() - randomInt(0, 48, rng) * 3600000).toISOString(),
     metrics: {
-      tasksCompleted: randomInt(10, 500),
-      avgResponseTime: randomInt(100, 2000),
-      satisfactionScore: (Math.random() * 2 + 3).toFixed(1),
+      tasksCompleted: randomInt(10, 500, rng),
+      avgResponseTime: randomInt(100, 2000, rng),
+      satisfactionScore: (rng.next() * 2 + 3).toFixed(1),
     },
   };
 }
 
-function generateUsers(count = 50) {
-  return Array.from({ length: count }, (_, i) => generateUser(i + 1));
+function generateUsers(count = 50, rng = defaultRandom) {
+  return Array.from({ length: count }, (_, i) => generateUser(i + 1, rng));
 }
 
-function generateAnalytics() {
-  const now = Date.now();
-  const dataPoints = Array.from({ length: 24 }, (_, i) => ({
-    timestamp: new Date(now - (23 - i) * 3600000).toISOString(),
-    activeUsers: randomInt(100, 1000),
-    requests: randomInt(5000, 50000),
-    errorRate: (Math.random() * 5).toFixed(2),
-    avgLatency: randomInt(50, 500),
-    cpuUsage: randomInt(20, 90),
-    memoryUsage: randomInt(40, 85),
-  }));
+/**
+ * Raw analytics samples every `stepMs` in [from, to). Counters such as
+ * `requests` scale with the step so they can be summed into larger buckets.
+ */
+function generateAnalyticsSamples(from, to, stepMs, rng = defaultRandom) {
+  const samples = [];
+  const perHour = stepMs / 3600000;
+
+  for (let t = from; t < to; t += stepMs) {
+    samples.push({
+      timestamp: t,
+      activeUsers: randomInt(100, 1000, rng),
+      requests: Math.round(randomInt(5000, 50000, rng) * perHour),
+      errorRate: rng.next() * 5,
+      avgLatency: randomInt(50, 500, rng),
+      cpuUsage: randomInt(20, 90, rng),
+      memoryUsage: randomInt(40, 85, rng),
+    });
+  }
+
+  return samples;
+}
 
+function generateAnalyticsSummary(rng = defaultRandom) {
   return {
-    summary: {
-      totalUsers: randomInt(5000, 20000),
-      activeToday: randomInt(500, 3000),
-      totalRequests: randomInt(100000, 1000000),
-      avgResponseTime: randomInt(100, 500),
-      uptime: (99 + Math.random()).toFixed(3),
-      errorRate: (Math.random() * 2).toFixed(2),
-    },
-    timeSeries: dataPoints,
+    totalUsers: randomInt(5000, 20000, rng),
+    activeToday: randomInt(500, 3000, rng),
+    totalRequests: randomInt(100000, 1000000, rng),
+    avgResponseTime: randomInt(100, 500, rng),
+    uptime: (99 + rng.next()).toFixed(3),
+    errorRate: (rng.next() * 2).toFixed(2),
   };
 }
 
-function generateDashboardWidgets() {
+function generateDashboardWidgets(rng = defaultRandom) {
   return [
     {
       id: 'widget-users',
       type: 'metric',
       title: 'Active Users',
-      value: randomInt(500, 3000),
-      change: (Math.random() * 20 - 10).toFixed(1),
+      value: randomInt(500, 3000, rng),
+      change: (rng.next() * 20 - 10).toFixed(1),
       period: 'last 24h',
     },
     {
       id: 'widget-requests',
       type: 'metric',
       title: 'API Requests',
-      value: randomInt(50000, 200000),
-      change: (Math.random() * 30 - 5).toFixed(1),
+      value: randomInt(50000, 200000, rng),
+      change: (rng.next() * 30 - 5).toFixed(1),
       period: 'last 24h',
     },
     {
       id: 'widget-errors',
       type: 'metric',
       title: 'Error Rate',
-      value: (Math.random() * 3).toFixed(2) + '%',
-      change: (Math.random() * 2 - 1).toFixed(1),
+      value: (rng.next() * 3).toFixed(2) + '%',
+      change: (rng.next() * 2 - 1).toFixed(1),
       period: 'last 24h',
     },
     {
       id: 'widget-latency',
       type: 'metric',
       title: 'Avg Latency',
-      value: randomInt(80, 300) + 'ms',
-      change: (Math.random() * 10 - 5).toFixed(1),
+      value: randomInt(80, 300, rng) + 'ms',
+      change: (rng.next() * 10 - 5).toFixed(1),
       period: 'last 24h',
     },
     {
       id: 'widget-uptime',
       type: 'metric',
       title: 'Uptime',
-      value: (99 + Math.random()).toFixed(3) + '%',
+      value: (99 + rng.next()).toFixed(3) + '%',
       change: '0.0',
       period: 'last 30d',
     },
@@ -117,29 +188,14 @@ function generateDashboardWidgets() {
       id: 'widget-deploys',
       type: 'metric',
       title: 'Deployments',
-      value: randomInt(5, 30),
-      change: (Math.random() * 10).toFixed(1),
+      value: randomInt(5, 30, rng),
+      change: (rng.next() * 10).toFixed(1),
       period: 'last 7d',
     },
   ];
 }
 
-function generatePerformanceMetrics() {
-  return {
-    fcp: randomInt(800, 2500),
-    lcp: randomInt(1500, 4000),
-    cls: (Math.random() * 0.3).toFixed(3),
-    fid: randomInt(10, 100),
-    ttfb: randomInt(50, 500),
-    inp: randomInt(50, 300),
-    longTasks: randomInt(0, 10),
-    domNodes: randomInt(500, 3000),
-    jsHeapSize: randomInt(10, 100),
-    resourceCount: randomInt(20, 80),
-  };
-}
-
-function generateFeedMessage(id) {
+function generateFeedMessage(id, rng = defaultRandom) {
   const messages = [
     'Deployment completed successfully on production',
     'CPU usage spike detected on server-03',
@@ -156,12 +212,12 @@ function generateFeedMessage(id) {
   ];
 
   return {
-    id: id || `msg-${Date.now()}-${randomInt(1000, 9999)}`,
-    type: randomItem(feedTypes),
-    message: randomItem(messages),
-    timestamp: new Date().toISOString(),
-    source: randomItem(['system', 'monitoring', 'ci-cd', 'security', 'infra']),
-    severity: randomItem(['low', 'medium', 'high', 'critical']),
+    id: id || `msg-${randomId(rng)}`,
+    type: randomItem(feedTypes, rng),
+    message: randomItem(messages, rng),
+    timestamp: new Date(rng.tick()).toISOString(),
+    source: randomItem(feedSources, rng),
+    severity: randomItem(feedSeverities, rng),
     acknowledged: false,
   };
 }
@@ -169,9 +225,15 @@ function generateFeedMessage(id) {
 export {
   generateUsers,
   generateUser,
-  generateAnalytics,
+  generateAnalyticsSamples,
+  generateAnalyticsSummary,
   generateDashboardWidgets,
-  generatePerformanceMetrics,
   generateFeedMessage,
   randomInt,
+  createRandom,
+  roles,
+  statuses,
+  feedTypes,
+  feedSeverities,
+  feedSources,
 };
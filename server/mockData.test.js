@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRandom, generateUsers, generateFeedMessage, generateDashboardWidgets } from './mockData.js';
+
+function feedMessages(rng, count) {
+  return Array.from({ length: count }, () => generateFeedMessage(undefined, rng));
+}
+
+test('the same seed gives the same users and feed messages', () => {
+  assert.deepEqual(generateUsers(20, createRandom('bug-1234')), generateUsers(20, createRandom('bug-1234')));
+  assert.deepEqual(feedMessages(createRandom(42), 10), feedMessages(createRandom(42), 10));
+  assert.deepEqual(generateDashboardWidgets(createRandom(7)), generateDashboardWidgets(createRandom(7)));
+});
+
+test('numeric and string seeds are the same seed', () => {
+  assert.deepEqual(generateUsers(5, createRandom(42)), generateUsers(5, createRandom('42')));
+});
+
+test('different seeds give different data', () => {
+  assert.notDeepEqual(generateUsers(5, createRandom('a')), generateUsers(5, createRandom('b')));
+});
+
+test('seeded records are dated from the fixed epoch, not the clock', async () => {
+  const before = { users: generateUsers(3, createRandom(1)), feed: feedMessages(createRandom(1), 3) };
+  await new Promise((resolve) => setTimeout(resolve, 5));
+
+  assert.deepEqual(generateUsers(3, createRandom(1)), before.users);
+  assert.deepEqual(feedMessages(createRandom(1), 3), before.feed);
+});
+
+test('each seeded feed message is a tick later than the last', () => {
+  const rng = createRandom('ticks');
+  assert.equal(new Date(rng.now()).toISOString(), '2025-01-01T00:00:00.000Z');
+
+  const timestamps = feedMessages(rng, 3).map((message) => message.timestamp);
+  assert.deepEqual(timestamps, ['2025-01-01T00:00:01.000Z', '2025-01-01T00:00:02.000Z', '2025-01-01T00:00:03.000Z']);
+  assert.equal(new Date(rng.now()).toISOString(), timestamps.at(-1));
+});
+
+test('without a seed the source is unpinned', () => {
+  const rng = createRandom();
+  assert.equal(rng.seed, null);
+  assert.ok(Math.abs(rng.now() - Date.now()) < 1000);
+  assert.ok(Math.abs(rng.tick() - Date.now()) < 1000);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encode, decode } from '../shared/msgpack.js';
+
+const roundTrip = (value) => decode(encode(value));
+
+test('scalars survive a round trip at every width', () => {
+  const values = [
+    null, true, false, 0, 127, 128, 255, 256, 65535, 65536, 0xffffffff,
+    -1, -32, -33, -128, -129, -32768, -32769, -0x80000000,
+    1.5, -0.25, Date.UTC(2026, 0, 1), Number.MAX_SAFE_INTEGER,
+    '', 'héllo ✓', 'x'.repeat(31), 'x'.repeat(32), 'x'.repeat(256), 'x'.repeat(70000),
+  ];
+  values.forEach((value) => assert.equal(roundTrip(value), value));
+});
+
+test('arrays, maps and binary survive a round trip', () => {
+  const message = {
+    type: 'feed:message',
+    channel: 'feed',
+    payload: { id: 'msg-1', tags: ['a', 'b'], nested: { deep: [1, { two: 2 }] }, sequence: 12 },
+    wide: Object.fromEntries(Array.from({ length: 20 }, (_, i) => [`k${i}`, i])),
+    long: Array.from({ length: 20 }, (_, i) => i),
+  };
+  assert.deepEqual(roundTrip(message), message);
+
+  const bytes = new Uint8Array([0, 1, 254, 255]);
+  assert.deepEqual(roundTrip(bytes), bytes);
+});
+
+test('undefined map values and functions are skipped, as in JSON', () => {
+  const date = new Date('2026-01-01T00:00:00.000Z');
+  assert.deepEqual(roundTrip({ a: 1, b: undefined, c: () => {}, at: date }), { a: 1, at: date.toISOString() });
+  assert.deepEqual(roundTrip([undefined]), [null]);
+});
+
+test('a __proto__ key decodes as an own property, not the prototype', () => {
+  const decoded = roundTrip(JSON.parse('{"__proto__":{"polluted":true},"ok":1}'));
+
+  assert.equal(Object.getPrototypeOf(decoded), Object.prototype);
+  assert.deepEqual(Object.keys(decoded), ['__proto__', 'ok']);
+  assert.deepEqual(Object.getOwnPropertyDescriptor(decoded, '__proto__').value, { polluted: true });
+  assert.equal({}.polluted, undefined);
+  assert.equal(decoded.polluted, undefined);
+});
+
+test('truncated, trailing and unsupported input is rejected', () => {
+  const bytes = encode({ text: 'hello' });
+  assert.throws(() => decode(bytes.subarray(0, bytes.length - 1)), RangeError);
+  assert.throws(() => decode(new Uint8Array([...bytes, 0])), RangeError);
+  assert.throws(() => decode(new Uint8Array([0xc1])), TypeError);
+});
+
+test('Node Buffers and ArrayBuffers decode like Uint8Arrays', () => {
+  const bytes = encode({ ok: true });
+  assert.deepEqual(decode(Buffer.from(bytes)), { ok: true });
+  assert.deepEqual(decode(bytes.slice().buffer), { ok: true });
+});
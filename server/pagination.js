@@ -0,0 +1,155 @@
+/**
+ * Sorting and opaque cursor pagination for in-memory collections.
+ *
+ * A cursor encodes the sort key of the item it points at plus the sort spec
+ * it was issued for. Pages are sliced relative to that key rather than an
+ * offset, so records created or deleted between requests never cause
+ * duplicates or gaps. `id` is always the final tiebreaker.
+ */
+
+class QueryError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.name = 'QueryError';
+    this.field = field;
+  }
+}
+
+function getPath(record, path) {
+  return path.split('.').reduce((value, key) => (value == null ? value : value[key]), record);
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a == null) return -1;
+  if (b == null) return 1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Parse `sort=name,-joinedAt` into [{ field, direction }].
+ */
+function parseSort(value, allowedFields, defaultSort = 'id') {
+  const raw = value || defaultSort;
+
+  return raw.split(',').filter(Boolean).map((part) => {
+    const direction = part.startsWith('-') ? -1 : 1;
+    const field = part.replace(/^[-+]/, '');
+    if (field !== 'id' && !allowedFields.includes(field)) {
+      throw new QueryError('sort', `Cannot sort by "${field}". Allowed: ${allowedFields.join(', ')}`);
+    }
+    return { field, direction };
+  });
+}
+
+function formatSort(sort) {
+  return sort.map(({ field, direction }) => (direction < 0 ? `-${field}` : field)).join(',');
+}
+
+function sortKey(record, sort) {
+  return [...sort.map(({ field }) => getPath(record, field)), record.id];
+}
+
+function compareKeys(a, b, sort) {
+  for (let i = 0; i < sort.length; i++) {
+    const diff = compareValues(a[i], b[i]) * sort[i].direction;
+    if (diff !== 0) return diff;
+  }
+  return compareValues(a[sort.length], b[sort.length]);
+}
+
+function encodeCursor(direction, key, sort) {
+  const json = JSON.stringify({ d: direction, k: key, s: formatSort(sort) });
+  return Buffer.from(json).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new QueryError('cursor', 'Malformed cursor');
+  }
+
+  if (!parsed || !Array.isArray(parsed.k) || !['after', 'before'].includes(parsed.d)) {
+    throw new QueryError('cursor', 'Malformed cursor');
+  }
+  if (parsed.s !== formatSort(sort)) {
+    throw new QueryError('cursor', 'Cursor was issued for a different sort order');
+  }
+
+  return { direction: parsed.d, key: parsed.k };
+}
+
+function sortEntries(records, sort) {
+  return records
+    .map((record) => ({ record, key: sortKey(record, sort) }))
+    .sort((a, b) => compareKeys(a.key, b.key, sort));
+}
+
+/**
+ * Sort `records` in the order pages would list them, without paging.
+ */
+function sortRecords(records, sort) {
+  return sortEntries(records, sort).map((item) => item.record);
+}
+
+/**
+ * Sort `records` and return one page plus a pagination envelope.
+ * With a cursor the page starts after (or ends before) the cursor's key;
+ * without one, the legacy 1-based `page` offset is used.
+ */
+function paginate(records, { sort, limit, page = 1, cursor = null }) {
+  const sorted = sortEntries(records, sort);
+
+  let start;
+  let end;
+  if (cursor) {
+    const { direction, key } = decodeCursor(cursor, sort);
+    // The cursor item itself is excluded in both directions
+    const boundary = sorted.findIndex((item) =>
+      direction === 'after'
+        ? compareKeys(item.key, key, sort) > 0
+        : compareKeys(item.key, key, sort) >= 0
+    );
+    const index = boundary === -1 ? sorted.length : boundary;
+
+    if (direction === 'after') {
+      start = index;
+      end = Math.min(sorted.length, index + limit);
+    } else {
+      // A short first page rather than one that runs past the cursor
+      start = Math.max(0, index - limit);
+      end = index;
+    }
+  } else {
+    start = (page - 1) * limit;
+    end = Math.min(sorted.length, start + limit);
+  }
+
+  const slice = sorted.slice(start, end);
+  const hasNext = end < sorted.length;
+  const hasPrev = start > 0;
+
+  return {
+    data: slice.map((item) => item.record),
+    pagination: {
+      page: Math.floor(start / limit) + 1,
+      limit,
+      total: sorted.length,
+      totalPages: Math.ceil(sorted.length / limit),
+      hasNext,
+      hasPrev,
+      sort: formatSort(sort),
+      nextCursor: hasNext && slice.length > 0
+        ? encodeCursor('after', slice[slice.length - 1].key, sort)
+        : null,
+      prevCursor: hasPrev && slice.length > 0
+        ? encodeCursor('before', slice[0].key, sort)
+        : null,
+    },
+  };
+}
+
+export { QueryError, parseSort, paginate, sortRecords, getPath };
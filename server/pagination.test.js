@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { QueryError, parseSort, paginate, sortRecords } from './pagination.js';
+
+const RECORDS = [
+  { id: 1, name: 'Carol', team: { size: 3 } },
+  { id: 2, name: 'alice', team: { size: 1 } },
+  { id: 3, name: 'Bob', team: { size: 3 } },
+  { id: 4, name: 'Dave', team: { size: 2 } },
+  { id: 5, name: 'Bob', team: { size: 1 } },
+];
+
+const ids = (records) => records.map((record) => record.id);
+
+test('parseSort reads directions and refuses unknown fields', () => {
+  assert.deepEqual(parseSort('name,-team.size', ['name', 'team.size']), [
+    { field: 'name', direction: 1 },
+    { field: 'team.size', direction: -1 },
+  ]);
+  assert.deepEqual(parseSort(undefined, ['name']), [{ field: 'id', direction: 1 }]);
+  assert.throws(() => parseSort('password', ['name']), (err) => err instanceof QueryError && err.field === 'sort');
+});
+
+test('records sort by each field in turn with id as the tiebreaker', () => {
+  assert.deepEqual(ids(sortRecords(RECORDS, parseSort('name', ['name']))), [2, 3, 5, 1, 4]);
+  assert.deepEqual(ids(sortRecords(RECORDS, parseSort('-team.size,-name', ['name', 'team.size']))), [1, 3, 4, 5, 2]);
+});
+
+test('page offsets and cursors walk the same order', () => {
+  const sort = parseSort('name', ['name']);
+
+  const first = paginate(RECORDS, { sort, limit: 2 });
+  assert.deepEqual(ids(first.data), [2, 3]);
+  assert.equal(first.pagination.hasPrev, false);
+  assert.equal(first.pagination.prevCursor, null);
+
+  const second = paginate(RECORDS, { sort, limit: 2, cursor: first.pagination.nextCursor });
+  assert.deepEqual(ids(second.data), ids(paginate(RECORDS, { sort, limit: 2, page: 2 }).data));
+
+  const last = paginate(RECORDS, { sort, limit: 2, cursor: second.pagination.nextCursor });
+  assert.deepEqual(ids(last.data), [4]);
+  assert.equal(last.pagination.nextCursor, null);
+
+  const back = paginate(RECORDS, { sort, limit: 2, cursor: last.pagination.prevCursor });
+  assert.deepEqual(ids(back.data), ids(second.data));
+});
+
+test('cursors skip neither records nor repeat them when the collection changes', () => {
+  const sort = parseSort('name', ['name']);
+  const first = paginate(RECORDS, { sort, limit: 2 });
+
+  // Insert before the cursor and delete the cursor item itself
+  const changed = [{ id: 6, name: 'Aaron' }, ...RECORDS.filter((record) => record.id !== 3)];
+  const next = paginate(changed, { sort, limit: 2, cursor: first.pagination.nextCursor });
+  assert.deepEqual(ids(next.data), [5, 1]);
+});
+
+test('paging back after earlier records were deleted stops at the cursor', () => {
+  const sort = parseSort('id', ['id']);
+  const records = Array.from({ length: 30 }, (_, i) => ({ id: i + 1 }));
+  const second = paginate(records, { sort, limit: 10, page: 2 });
+  assert.deepEqual(ids(second.data), [11, 12, 13, 14, 15, 16, 17, 18, 19, 20]);
+
+  const remaining = records.filter((record) => ![1, 2, 3].includes(record.id));
+  const back = paginate(remaining, { sort, limit: 10, cursor: second.pagination.prevCursor });
+  assert.deepEqual(ids(back.data), [4, 5, 6, 7, 8, 9, 10]);
+  assert.equal(back.pagination.hasPrev, false);
+  assert.equal(back.pagination.hasNext, true);
+  assert.equal(back.pagination.prevCursor, null);
+});
+
+test('cursors are rejected when malformed or issued for another sort', () => {
+  const { nextCursor } = paginate(RECORDS, { sort: parseSort('name', ['name']), limit: 2 }).pagination;
+
+  const rejection = (cursor, sort) => {
+    try {
+      paginate(RECORDS, { sort, limit: 2, cursor });
+    } catch (err) {
+      assert.ok(err instanceof QueryError);
+      return err.message;
+    }
+    return assert.fail('expected a QueryError');
+  };
+
+  assert.match(rejection(nextCursor, parseSort('-name', ['name'])), /different sort order/);
+  assert.match(rejection('not-a-cursor', parseSort('name', ['name'])), /Malformed/);
+  assert.match(rejection(Buffer.from('{"d":"sideways","k":[],"s":"name"}').toString('base64url'), parseSort('name', ['name'])), /Malformed/);
+});
@@ -0,0 +1,75 @@
+/**
+ * Role-based permissions shared by the REST routes and the WebSocket handler.
+ * Denials carry `code: 'permission_denied'` plus the missing permission so
+ * the UI can explain what the current role is not allowed to do.
+ */
+
+const PERMISSIONS = {
+  USERS_CREATE: 'users:create',
+  USERS_UPDATE: 'users:update',
+  USERS_DELETE: 'users:delete',
+  FEED_POST: 'feed:post',
+  FEED_TRIAGE: 'feed:triage',
+  ANALYTICS_SUBSCRIBE: 'analytics:subscribe',
+  CHAOS_MANAGE: 'chaos:manage',
+  CONNECTIONS_MANAGE: 'connections:manage',
+};
+
+const ROLE_PERMISSIONS = {
+  Admin: Object.values(PERMISSIONS),
+  Manager: [
+    PERMISSIONS.USERS_CREATE,
+    PERMISSIONS.USERS_UPDATE,
+    PERMISSIONS.FEED_POST,
+    PERMISSIONS.FEED_TRIAGE,
+    PERMISSIONS.ANALYTICS_SUBSCRIBE,
+  ],
+  DevOps: [PERMISSIONS.FEED_POST, PERMISSIONS.FEED_TRIAGE, PERMISSIONS.ANALYTICS_SUBSCRIBE],
+  Developer: [PERMISSIONS.FEED_POST, PERMISSIONS.FEED_TRIAGE, PERMISSIONS.ANALYTICS_SUBSCRIBE],
+  Analyst: [PERMISSIONS.ANALYTICS_SUBSCRIBE],
+  Designer: [PERMISSIONS.FEED_POST],
+};
+
+// WebSocket channels that need more than a plain authenticated connection
+const CHANNEL_PERMISSIONS = {
+  analytics: PERMISSIONS.ANALYTICS_SUBSCRIBE,
+};
+
+/**
+ * The permission reading `channel` needs (subscribing, resuming or
+ * fetching a message from it), or null when authenticating is enough.
+ */
+function channelPermission(channel) {
+  return Object.hasOwn(CHANNEL_PERMISSIONS, channel) ? CHANNEL_PERMISSIONS[channel] : null;
+}
+
+function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+function can(user, permission) {
+  return Boolean(user) && permissionsFor(user.role).includes(permission);
+}
+
+function permissionDenied(user, permission) {
+  return {
+    code: 'permission_denied',
+    message: `Role "${user?.role || 'unknown'}" is not allowed to ${permission}`,
+    permission,
+    role: user?.role || null,
+  };
+}
+
+/**
+ * Express middleware; expects requireAuth to have set `req.user`.
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (can(req.user, permission)) return next();
+
+    const denial = permissionDenied(req.user, permission);
+    res.status(403).json({ error: denial.message, ...denial });
+  };
+}
+
+export { PERMISSIONS, permissionsFor, channelPermission, can, permissionDenied, requirePermission };
@@ -0,0 +1,88 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { PERMISSIONS, permissionsFor, can, requirePermission } = await import('./permissions.js');
+const { PERMISSION_LABELS, hasPermission, describeDenial } = await import('../src/utils/permissions.js');
+const { default: apiRoutes } = await import('./apiRoutes.js');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', apiRoutes);
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://localhost:${server.address().port}/api/v1`;
+});
+
+after(() => {
+  server.close();
+});
+
+async function login(username) {
+  const res = await fetch(`${baseUrl}/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password: 'demo' }),
+  });
+  return (await res.json()).data.accessToken;
+}
+
+test('the client labels exactly the permissions the server knows', () => {
+  assert.deepEqual(Object.keys(PERMISSION_LABELS).sort(), Object.values(PERMISSIONS).sort());
+});
+
+test('client checks agree with the server for every role', () => {
+  for (const role of ['Admin', 'Manager', 'DevOps', 'Developer', 'Analyst', 'Designer', 'Unknown']) {
+    // The client reads the list the server sends with auth:success
+    const user = { role, permissions: permissionsFor(role) };
+    for (const permission of Object.values(PERMISSIONS)) {
+      assert.equal(hasPermission(user, permission), can(user, permission), `${role} / ${permission}`);
+    }
+  }
+});
+
+test('requirePermission passes holders on and answers others with a 403', () => {
+  const middleware = requirePermission(PERMISSIONS.USERS_DELETE);
+  let passed = false;
+  middleware({ user: { role: 'Admin' } }, null, () => {
+    passed = true;
+  });
+  assert.equal(passed, true);
+
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+    },
+  };
+  middleware({ user: { role: 'Manager' } }, res, () => assert.fail('next called for a denied role'));
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.code, 'permission_denied');
+  assert.equal(res.body.permission, PERMISSIONS.USERS_DELETE);
+});
+
+test('a gated route refuses a role without the permission', async () => {
+  const res = await fetch(`${baseUrl}/users`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${await login('analyst')}` },
+    body: JSON.stringify({ name: 'New User', email: 'new.user@example.com' }),
+  });
+  const body = await res.json();
+
+  assert.equal(res.status, 403);
+  assert.deepEqual(
+    { code: body.code, permission: body.permission, role: body.role },
+    { code: 'permission_denied', permission: PERMISSIONS.USERS_CREATE, role: 'Analyst' }
+  );
+  assert.equal(describeDenial(body), 'Your role (Analyst) is not allowed to create users.');
+});
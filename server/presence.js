@@ -0,0 +1,108 @@
+/**
+ * Live presence for authenticated WebSocket clients, keyed by user id.
+ *
+ * A user is present while at least one of their connections is open; the
+ * status they publish is shared by all of their tabs. Users who publish
+ * nothing for `idleTimeout` are marked away (`idle: true`) until they do.
+ * Every change is reported through `onChange(type, entry)` with type
+ * `presence:join`, `presence:leave` or `presence:status`.
+ */
+
+const PRESENCE_STATUSES = ['active', 'away', 'busy'];
+const DEFAULT_IDLE_TIMEOUT = 5 * 60 * 1000;
+
+class PresenceTracker {
+  constructor(options = {}) {
+    this.idleTimeout = options.idleTimeout || DEFAULT_IDLE_TIMEOUT;
+    this.onChange = options.onChange || (() => {});
+    this.users = new Map();
+    // clientId -> userId
+    this.connections = new Map();
+  }
+
+  /**
+   * No-op for a connection already counted for this user; a connection
+   * that re-authenticates as someone else leaves as the previous user.
+   */
+  connect(clientId, account) {
+    if (this.connections.has(clientId)) {
+      if (this.connections.get(clientId) === account.userId) return;
+      this.disconnect(clientId);
+    }
+    this.connections.set(clientId, account.userId);
+
+    const existing = this.users.get(account.userId);
+    if (existing) {
+      existing.clients.add(clientId);
+      return;
+    }
+
+    const now = new Date().toISOString();
+    const entry = {
+      userId: account.userId,
+      username: account.username,
+      name: account.name,
+      status: 'active',
+      idle: false,
+      since: now,
+      lastActiveAt: now,
+      clients: new Set([clientId]),
+    };
+    this.users.set(account.userId, entry);
+    this.onChange('presence:join', toPublic(entry));
+  }
+
+  disconnect(clientId) {
+    const userId = this.connections.get(clientId);
+    if (userId === undefined) return;
+    this.connections.delete(clientId);
+
+    const entry = this.users.get(userId);
+    entry.clients.delete(clientId);
+    if (entry.clients.size === 0) {
+      this.users.delete(userId);
+      this.onChange('presence:leave', { ...toPublic(entry), lastActiveAt: new Date().toISOString() });
+    }
+  }
+
+  /**
+   * Record a published status; doubles as an activity signal.
+   */
+  setStatus(clientId, status) {
+    const entry = this.users.get(this.connections.get(clientId));
+    if (!entry) return null;
+
+    const changed = entry.status !== status || entry.idle;
+    entry.status = status;
+    entry.idle = false;
+    entry.lastActiveAt = new Date().toISOString();
+
+    if (changed) {
+      this.onChange('presence:status', toPublic(entry));
+    }
+    return toPublic(entry);
+  }
+
+  /**
+   * Mark users that have been quiet for longer than idleTimeout as away.
+   */
+  sweep(now = Date.now()) {
+    this.users.forEach((entry) => {
+      if (!entry.idle && now - Date.parse(entry.lastActiveAt) >= this.idleTimeout) {
+        entry.idle = true;
+        entry.status = 'away';
+        this.onChange('presence:status', toPublic(entry));
+      }
+    });
+  }
+
+  snapshot() {
+    return Array.from(this.users.values(), toPublic);
+  }
+}
+
+function toPublic({ clients, ...entry }) {
+  return { ...entry, connections: clients.size };
+}
+
+export { PresenceTracker, PRESENCE_STATUSES };
@@ -0,0 +1,176 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import express from 'express';
+import WebSocket, { WebSocketServer } from 'ws';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { PresenceTracker } = await import('./presence.js');
+const { setupWebSocket, selectProtocol } = await import('./wsHandler.js');
+const { mountAuthRoutes } = await import('./auth.js');
+const { RouteRegistry } = await import('./schema.js');
+
+const ADA = { userId: 1, username: 'ada', name: 'Ada' };
+const BOB = { userId: 2, username: 'bob', name: 'Bob' };
+
+function createTracker() {
+  const changes = [];
+  const tracker = new PresenceTracker({
+    idleTimeout: 1000,
+    onChange: (type, entry) => changes.push([type, entry.username, entry.status, entry.connections]),
+  });
+  return { tracker, changes };
+}
+
+test('a user joins with their first connection and leaves with their last', () => {
+  const { tracker, changes } = createTracker();
+  tracker.connect('c1', ADA);
+  tracker.connect('c2', ADA);
+  tracker.connect('c2', ADA);
+  tracker.connect('c3', BOB);
+
+  assert.deepEqual(tracker.snapshot().map((u) => [u.username, u.connections]), [['ada', 2], ['bob', 1]]);
+
+  tracker.disconnect('c1');
+  tracker.disconnect('c1');
+  tracker.disconnect('c2');
+  assert.deepEqual(changes, [
+    ['presence:join', 'ada', 'active', 1],
+    ['presence:join', 'bob', 'active', 1],
+    ['presence:leave', 'ada', 'active', 0],
+  ]);
+  assert.deepEqual(tracker.snapshot().map((u) => u.username), ['bob']);
+});
+
+test('a connection that re-authenticates as another user moves its presence', () => {
+  const { tracker, changes } = createTracker();
+  tracker.connect('c1', ADA);
+  tracker.connect('c2', ADA);
+  tracker.connect('c1', BOB);
+
+  assert.deepEqual(tracker.snapshot().map((u) => [u.username, u.connections]), [['ada', 1], ['bob', 1]]);
+
+  tracker.connect('c2', BOB);
+  assert.deepEqual(tracker.snapshot().map((u) => [u.username, u.connections]), [['bob', 2]]);
+  assert.deepEqual(changes, [
+    ['presence:join', 'ada', 'active', 1],
+    ['presence:join', 'bob', 'active', 1],
+    ['presence:leave', 'ada', 'active', 0],
+  ]);
+});
+
+test('status changes are reported once and shared by every tab', () => {
+  const { tracker, changes } = createTracker();
+  tracker.connect('c1', ADA);
+  tracker.connect('c2', ADA);
+
+  assert.equal(tracker.setStatus('c2', 'busy').status, 'busy');
+  tracker.setStatus('c1', 'busy');
+  assert.equal(tracker.setStatus('unknown', 'busy'), null);
+
+  assert.deepEqual(changes.slice(1), [['presence:status', 'ada', 'busy', 2]]);
+});
+
+test('quiet users are swept to away until they publish again', () => {
+  const { tracker, changes } = createTracker();
+  tracker.connect('c1', ADA);
+  const { lastActiveAt } = tracker.snapshot()[0];
+
+  tracker.sweep(Date.parse(lastActiveAt) + 999);
+  assert.equal(tracker.snapshot()[0].idle, false);
+
+  tracker.sweep(Date.parse(lastActiveAt) + 1000);
+  tracker.sweep(Date.parse(lastActiveAt) + 5000);
+  assert.equal(tracker.snapshot()[0].status, 'away');
+  assert.equal(tracker.snapshot()[0].idle, true);
+
+  tracker.setStatus('c1', 'active');
+  assert.deepEqual(changes.slice(1).map(([type, , status]) => [type, status]), [
+    ['presence:status', 'away'],
+    ['presence:status', 'active'],
+  ]);
+});
+
+let server;
+let realtime;
+let port;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  const router = express.Router();
+  mountAuthRoutes(new RouteRegistry(router));
+  app.use('/api', router);
+
+  server = createServer(app);
+  const wss = new WebSocketServer({ server, path: '/ws', handleProtocols: selectProtocol });
+  realtime = setupWebSocket(wss, { seed: 'presence-test' });
+
+  await new Promise((resolve) => {
+    server.listen(0, resolve);
+  });
+  port = server.address().port;
+});
+
+after(() => {
+  realtime.close();
+  server.close();
+});
+
+/**
+ * Open a socket, optionally authenticate, then send `message` and collect
+ * frames until one whose type is listed in `until` arrives.
+ */
+async function exchange({ username, message, until }) {
+  let token = null;
+  if (username) {
+    const res = await fetch(`http://localhost:${port}/api/v1/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password: 'demo' }),
+    });
+    token = (await res.json()).data.accessToken;
+  }
+
+  const ws = new WebSocket(`ws://localhost:${port}/ws`);
+  const frames = [];
+  await new Promise((resolve, reject) => {
+    ws.on('error', reject);
+    ws.on('message', (data) => {
+      const frame = JSON.parse(data);
+      frames.push(frame);
+
+      if (frame.type === 'auth:required') {
+        if (token) ws.send(JSON.stringify({ type: 'auth:token', payload: { token } }));
+        else ws.send(JSON.stringify(message));
+      } else if (frame.type === 'auth:success') {
+        ws.send(JSON.stringify(message));
+      } else if (until.includes(frame.type)) {
+        resolve();
+      }
+    });
+  });
+  ws.close();
+  return frames;
+}
+
+test('unauthenticated connections cannot subscribe to presence', async () => {
+  const frames = await exchange({
+    message: { type: 'subscribe', payload: { channel: 'presence' } },
+    until: ['error', 'presence:snapshot'],
+  });
+
+  assert.equal(frames.at(-1).payload.code, 'auth_required');
+  assert.equal(frames.some((f) => f.type === 'presence:snapshot' || f.type === 'subscribe:success'), false);
+});
+
+test('authenticated connections get a presence snapshot on subscribe', async () => {
+  const frames = await exchange({
+    username: 'designer',
+    message: { type: 'subscribe', payload: { channel: 'presence' } },
+    until: ['presence:snapshot'],
+  });
+
+  assert.deepEqual(frames.at(-1).payload.users.map((u) => u.username), ['designer']);
+});
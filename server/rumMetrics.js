@@ -0,0 +1,158 @@
+/**
+ * Real-user monitoring. Browsers POST batches of measurements (web vitals,
+ * render times) to /v1/metrics; GET /v1/metrics reports p50/p75/p95 per
+ * route and metric. Only the most recent samples of each route+metric are
+ * kept, so the percentiles describe current field data.
+ */
+
+const RUM_METRICS = {
+  fcp: { unit: 'ms', max: 60000 },
+  lcp: { unit: 'ms', max: 60000 },
+  ttfb: { unit: 'ms', max: 60000 },
+  cls: { unit: '', max: 10 },
+  render: { unit: 'ms', max: 60000 },
+};
+
+const PERCENTILES = [50, 75, 95];
+const DEFAULT_WINDOW_SIZE = 500;
+const MAX_SAMPLES_PER_BEACON = 100;
+const MAX_ROUTE_LENGTH = 200;
+// Further routes share one bucket so arbitrary paths can't grow memory
+const MAX_ROUTES = 100;
+const OTHER_ROUTE = '(other)';
+
+/**
+ * `/users/42?tab=x` -> `/users/:id`, so per-record pages aggregate together.
+ */
+function normalizeRoute(path) {
+  const segments = String(path).split(/[?#]/)[0].split('/').filter(Boolean);
+  const normalized = segments.map((segment) => (
+    /^\d+$/.test(segment) || /^[0-9a-f-]{16,}$/i.test(segment) ? ':id' : segment
+  ));
+  return `/${normalized.join('/')}`;
+}
+
+/**
+ * Validate a beacon body `{ samples: [{ route, metric, value }] }`.
+ * A malformed body is an error; individual bad samples are only rejected,
+ * since a beacon's sender never reads the response.
+ */
+function parseBeacon(body) {
+  if (!body || !Array.isArray(body.samples)) {
+    return { errors: [{ field: 'samples', message: 'samples must be an array' }] };
+  }
+  if (body.samples.length > MAX_SAMPLES_PER_BEACON) {
+    return {
+      errors: [{ field: 'samples', message: `At most ${MAX_SAMPLES_PER_BEACON} samples per request` }],
+    };
+  }
+
+  const samples = [];
+  const rejected = [];
+  body.samples.forEach((sample, index) => {
+    const { route, metric, value } = sample || {};
+    // Own keys only: `constructor` or `__proto__` must not pass as a metric
+    const definition = Object.hasOwn(RUM_METRICS, metric) ? RUM_METRICS[metric] : null;
+
+    let message = null;
+    if (!definition) {
+      message = `metric must be one of: ${Object.keys(RUM_METRICS).join(', ')}`;
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > definition.max) {
+      message = `value must be a number between 0 and ${definition.max}`;
+    } else if (typeof route !== 'string' || !route.startsWith('/') || route.length > MAX_ROUTE_LENGTH) {
+      message = `route must be a path starting with "/" (at most ${MAX_ROUTE_LENGTH} characters)`;
+    }
+
+    if (message) {
+      rejected.push({ index, message });
+    } else {
+      samples.push({ route: normalizeRoute(route), metric, value });
+    }
+  });
+
+  return { errors: [], samples, rejected };
+}
+
+// Nearest-rank percentile of an ascending array
+function percentile(sorted, p) {
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+}
+
+function summarize(values, metric) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const { unit } = RUM_METRICS[metric];
+  const round = (value) => (unit === 'ms' ? Math.round(value * 10) / 10 : Math.round(value * 1000) / 1000);
+
+  const summary = { count: sorted.length, unit };
+  PERCENTILES.forEach((p) => {
+    summary[`p${p}`] = round(percentile(sorted, p));
+  });
+  return summary;
+}
+
+class MetricsAggregator {
+  constructor(options = {}) {
+    this.windowSize = options.windowSize || DEFAULT_WINDOW_SIZE;
+    // route -> metric -> recent values, oldest first
+    this.series = new Map();
+    this.totalSamples = 0;
+    this.since = null;
+  }
+
+  record({ route, metric, value }) {
+    const key = this.series.has(route) || this.series.size < MAX_ROUTES ? route : OTHER_ROUTE;
+    if (!this.series.has(key)) {
+      this.series.set(key, new Map());
+    }
+
+    const metrics = this.series.get(key);
+    if (!metrics.has(metric)) {
+      metrics.set(metric, []);
+    }
+
+    const values = metrics.get(metric);
+    values.push(value);
+    if (values.length > this.windowSize) {
+      values.shift();
+    }
+
+    this.totalSamples++;
+    this.since = this.since || new Date().toISOString();
+  }
+
+  /**
+   * Percentiles per route and across all routes; `route` limits `routes`
+   * to that one.
+   */
+  summary({ route = null } = {}) {
+    const routes = {};
+    const overall = new Map();
+
+    this.series.forEach((metrics, name) => {
+      metrics.forEach((values, metric) => {
+        if (!overall.has(metric)) overall.set(metric, []);
+        overall.get(metric).push(...values);
+      });
+      if (route && name !== normalizeRoute(route)) return;
+
+      routes[name] = {};
+      metrics.forEach((values, metric) => {
+        routes[name][metric] = summarize(values, metric);
+      });
+    });
+
+    return {
+      routes,
+      overall: Object.fromEntries(
+        [...overall].map(([metric, values]) => [metric, summarize(values, metric)])
+      ),
+      totalSamples: this.totalSamples,
+      since: this.since,
+    };
+  }
+}
+
+const rumMetrics = new MetricsAggregator();
+
+export { RUM_METRICS, MAX_SAMPLES_PER_BEACON, MetricsAggregator, parseBeacon, normalizeRoute, rumMetrics };
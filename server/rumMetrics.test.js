@@ -0,0 +1,123 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { requestLogger } = await import('./logger.js');
+const { default: apiRoutes } = await import('./apiRoutes.js');
+const { MetricsAggregator, parseBeacon, normalizeRoute, MAX_SAMPLES_PER_BEACON } = await import('./rumMetrics.js');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(requestLogger);
+  app.use(express.json());
+  app.use('/api', apiRoutes);
+
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://localhost:${server.address().port}/api/v1`;
+});
+
+after(() => {
+  server.close();
+});
+
+test('routes are normalised so per-record pages share a bucket', () => {
+  assert.equal(normalizeRoute('/users/42?tab=activity'), '/users/:id');
+  assert.equal(normalizeRoute('/feed/0f8fad5b-d9cb-469f-a165#top'), '/feed/:id');
+  assert.equal(normalizeRoute('/'), '/');
+});
+
+test('parseBeacon rejects bad samples one by one', () => {
+  const { errors, samples, rejected } = parseBeacon({
+    samples: [
+      { route: '/users/7', metric: 'lcp', value: 1200 },
+      { route: '/users', metric: 'lcp', value: -1 },
+      { route: 'users', metric: 'fcp', value: 10 },
+      null,
+    ],
+  });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(samples, [{ route: '/users/:id', metric: 'lcp', value: 1200 }]);
+  assert.deepEqual(rejected.map((r) => r.index), [1, 2, 3]);
+});
+
+test('parseBeacon fails a body without a samples array or with too many', () => {
+  assert.equal(parseBeacon({}).errors.length, 1);
+  const samples = Array.from({ length: MAX_SAMPLES_PER_BEACON + 1 }, () => ({ route: '/', metric: 'fcp', value: 1 }));
+  assert.equal(parseBeacon({ samples }).errors.length, 1);
+});
+
+test('inherited property names are not metrics', () => {
+  const samples = ['toString', 'constructor', '__proto__', 'hasOwnProperty']
+    .map((metric) => ({ route: '/', metric, value: 1 }));
+  const result = parseBeacon({ samples });
+
+  assert.deepEqual(result.samples, []);
+  assert.equal(result.rejected.length, samples.length);
+});
+
+test('summary reports nearest-rank percentiles per route and overall', () => {
+  const aggregator = new MetricsAggregator();
+  for (let value = 1; value <= 100; value++) {
+    aggregator.record({ route: value % 2 ? '/a' : '/b', metric: 'ttfb', value });
+  }
+
+  const summary = aggregator.summary();
+  assert.deepEqual(summary.overall.ttfb, { count: 100, unit: 'ms', p50: 50, p75: 75, p95: 95 });
+  assert.equal(summary.routes['/a'].ttfb.count, 50);
+  assert.equal(summary.totalSamples, 100);
+
+  assert.deepEqual(Object.keys(aggregator.summary({ route: '/b' }).routes), ['/b']);
+});
+
+test('only the most recent samples are kept', () => {
+  const aggregator = new MetricsAggregator({ windowSize: 3 });
+  [100, 1, 2, 3].forEach((value) => aggregator.record({ route: '/', metric: 'render', value }));
+
+  assert.deepEqual(aggregator.summary().overall.render, { count: 3, unit: 'ms', p50: 2, p75: 3, p95: 3 });
+});
+
+test('a beacon naming Object.prototype keys does not break GET /v1/metrics', async () => {
+  const beacon = await fetch(`${baseUrl}/metrics`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      samples: [
+        { route: '/', metric: 'toString', value: 1 },
+        { route: '/', metric: 'constructor', value: 1 },
+        { route: '/', metric: '__proto__', value: 1 },
+        { route: '/', metric: 'fcp', value: 1 },
+      ],
+    }),
+  });
+  assert.equal(beacon.status, 202);
+  assert.deepEqual((await beacon.json()).data.accepted, 1);
+
+  const login = await fetch(`${baseUrl}/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'analyst', password: 'demo' }),
+  });
+  const headers = { Authorization: `Bearer ${(await login.json()).data.accessToken}` };
+
+  const res = await fetch(`${baseUrl}/metrics?delay=0`, { headers });
+  assert.equal(res.status, 200);
+  const { data } = await res.json();
+  assert.deepEqual(Object.keys(data.overall), ['fcp']);
+});
+
+test('samples that are not objects fail validation', async () => {
+  const res = await fetch(`${baseUrl}/metrics`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ samples: ['fcp', { route: '/', metric: 'fcp', value: '1' }] }),
+  });
+  assert.equal(res.status, 400);
+});
@@ -0,0 +1,391 @@
+import { requirePermission } from './permissions.js';
+
+/**
+ * Declarative route schemas. A route declares its `params`, `query` and
+ * `body` in a subset of JSON Schema; requests are validated and coerced
+ * before the handler runs (the results land on `req.valid`), and the same
+ * declarations generate the OpenAPI document served at /api/openapi.json.
+ *
+ * Supported keywords: type (string, integer, number, boolean, array,
+ * object), enum, format (email, date-time), minimum, maximum, minLength,
+ * maxLength, minItems, maxItems, items, properties, required, default and
+ * description; `$ref`s are documented but not followed.
+ * `params` / `query` map names to schemas; a query schema may set
+ * `required: true`. Query arrays are comma-separated (`role=Admin,DevOps`).
+ * Strings are trimmed before they are checked and handed on.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const LOCATIONS = {
+  params: 'path',
+  query: 'query',
+  body: 'body',
+};
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+function sendValidationError(res, errors) {
+  return res.status(400).json({
+    error: 'Validation failed',
+    message: errors.map((e) => e.message).join('; '),
+    details: errors,
+  });
+}
+
+/**
+ * Turn a path or query string into the schema's type. Returns
+ * `{ value }` or `{ error }`.
+ */
+function coerceString(raw, schema) {
+  const value = Array.isArray(raw) ? raw.join(',') : String(raw).trim();
+
+  switch (schema.type) {
+    case 'integer':
+      return /^-?\d+$/.test(value) ? { value: Number(value) } : { error: 'must be an integer' };
+    case 'number':
+      return value !== '' && Number.isFinite(Number(value)) ? { value: Number(value) } : { error: 'must be a number' };
+    case 'boolean':
+      if (['true', '1'].includes(value)) return { value: true };
+      if (['false', '0'].includes(value)) return { value: false };
+      return { error: 'must be true or false' };
+    case 'array': {
+      const items = [];
+      for (const part of value.split(',').map((v) => v.trim()).filter(Boolean)) {
+        const coerced = coerceString(part, schema.items || { type: 'string' });
+        if (coerced.error) return coerced;
+        items.push(coerced.value);
+      }
+      return { value: items };
+    }
+    default:
+      return { value };
+  }
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check `value` against `schema`, pushing `{ field, in, message }` onto
+ * `errors`. Returns the (trimmed) value. Reports one error per field.
+ */
+function checkValue(value, schema, field, location, errors) {
+  const fail = (message) => {
+    errors.push({ field, in: location, message: `${field} ${message}` });
+    return value;
+  };
+
+  const actual = typeOf(value);
+  const typeMatches = schema.type === undefined
+    || actual === schema.type
+    || (schema.type === 'number' && actual === 'integer');
+  if (!typeMatches) {
+    return fail(`must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+  }
+
+  if (typeof value === 'string') {
+    value = value.trim();
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return fail(schema.minLength === 1 ? 'must be a non-empty string' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.format === 'email' && !EMAIL_PATTERN.test(value)) {
+      return fail('must be a valid email address');
+    }
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      return fail('must be an ISO 8601 date');
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return fail(`must have at most ${schema.maxItems} items`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.map((item, i) => checkValue(item, schema.items, `${field}[${i}]`, location, errors));
+  }
+
+  if (actual === 'object' && schema.properties) {
+    return checkObject(value, schema, location, errors, `${field}.`);
+  }
+
+  return value;
+}
+
+function checkObject(value, schema, location, errors, prefix = '') {
+  const result = { ...value };
+
+  (schema.required || []).forEach((name) => {
+    if (value[name] === undefined || value[name] === null || value[name] === '') {
+      errors.push({ field: `${prefix}${name}`, in: location, message: `${prefix}${name} is required` });
+    }
+  });
+
+  Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+    const field = `${prefix}${name}`;
+    if (value[name] === undefined || errors.some((e) => e.field === field)) return;
+    result[name] = checkValue(value[name], propertySchema, field, location, errors);
+  });
+
+  return result;
+}
+
+/**
+ * Validate an object outside a request, e.g. one row of a bulk import.
+ * Returns `{ value, errors }`.
+ */
+function validateObject(value, schema, location = LOCATIONS.body) {
+  const errors = [];
+  const result = checkObject(value, schema, location, errors);
+  return { value: result, errors };
+}
+
+/**
+ * Validate a map of string inputs (path params or query) against
+ * `{ name: schema }`, applying defaults.
+ */
+function checkStrings(input, schemas, location, errors) {
+  const result = {};
+
+  Object.entries(schemas || {}).forEach(([name, schema]) => {
+    const raw = input[name];
+    if (raw === undefined || raw === '') {
+      if (schema.required || location === LOCATIONS.params) {
+        errors.push({ field: name, in: location, message: `${name} is required` });
+      } else if (schema.default !== undefined) {
+        result[name] = schema.default;
+      }
+      return;
+    }
+
+    const coerced = coerceString(raw, schema);
+    if (coerced.error) {
+      errors.push({ field: name, in: location, message: `${name} ${coerced.error}` });
+      return;
+    }
+    result[name] = checkValue(coerced.value, schema, name, location, errors);
+  });
+
+  return result;
+}
+
+/**
+ * Express middleware validating params, query and body against `spec`.
+ */
+function validateRequest(spec) {
+  return (req, res, next) => {
+    const errors = [];
+    const valid = {
+      params: checkStrings(req.params, spec.params, LOCATIONS.params, errors),
+      query: checkStrings(req.query, spec.query, LOCATIONS.query, errors),
+      body: undefined,
+    };
+
+    if (spec.body) {
+      const body = req.body;
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        errors.push({ field: 'body', in: LOCATIONS.body, message: 'body must be a JSON object' });
+      } else {
+        valid.body = checkObject(body, spec.body, LOCATIONS.body, errors);
+      }
+    }
+
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    req.valid = valid;
+    next();
+  };
+}
+
+// Schema as it should appear in the document (no parameter-level keys)
+function documentSchema(schema) {
+  const { required, description, ...rest } = schema;
+  return Array.isArray(required) ? { ...rest, required } : rest;
+}
+
+function toParameter(name, schema, location) {
+  const parameter = {
+    name,
+    in: location,
+    required: location === LOCATIONS.params ? true : Boolean(schema.required),
+    schema: documentSchema(schema),
+  };
+  if (schema.description) parameter.description = schema.description;
+  if (schema.type === 'array') {
+    parameter.style = 'form';
+    parameter.explode = false;
+  }
+  return parameter;
+}
+
+/**
+ * Registers routes on an Express router together with their schemas:
+ * `registry.get(path, spec, handler)`. `spec` may hold summary,
+ * description, tags, params, query, body, responses
+ * (`{ status: description | { description, schema } }`), `auth: false`
+ * for public routes and a `permission` (or list of them) to require.
+ * Handlers that parse their own body describe it with `requestBody`, an
+ * OpenAPI request body object that is documented but not validated.
+ */
+class RouteRegistry {
+  constructor(router) {
+    this.router = router;
+    this.routes = [];
+
+    METHODS.forEach((method) => {
+      this[method] = (path, spec, handler) => this.route(method, path, spec, handler);
+    });
+  }
+
+  route(method, path, spec, handler) {
+    this.routes.push({ method, path, spec });
+
+    const middleware = [];
+    [].concat(spec.permission || []).forEach((permission) => middleware.push(requirePermission(permission)));
+    middleware.push(validateRequest(spec));
+
+    this.router[method](path, ...middleware, handler);
+  }
+
+  /**
+   * OpenAPI 3.0 document for every registered route. `basePath` is where
+   * the router is mounted.
+   */
+  openApi({ info, basePath = '', components = {} }) {
+    const paths = {};
+
+    this.routes.forEach(({ method, path, spec }) => {
+      const openApiPath = `${basePath}${path.replace(/:(\w+)/g, '{$1}')}`;
+
+      const parameters = [
+        ...Object.entries(spec.params || {}).map(([name, schema]) => toParameter(name, schema, LOCATIONS.params)),
+        ...Object.entries(spec.query || {}).map(([name, schema]) => toParameter(name, schema, LOCATIONS.query)),
+      ];
+
+      const responses = {};
+      Object.entries(spec.responses || { 200: 'OK' }).forEach(([status, response]) => {
+        const { description, schema } = typeof response === 'string' ? { description: response } : response;
+        responses[status] = schema
+          ? { description, content: { 'application/json': { schema } } }
+          : { description };
+      });
+      if (parameters.length > 0 || spec.body) {
+        responses[400] = { $ref: '#/components/responses/ValidationError' };
+      }
+      if (spec.auth !== false) {
+        responses[401] = { $ref: '#/components/responses/Unauthorized' };
+      }
+      if (spec.permission) {
+        responses[403] = { $ref: '#/components/responses/Forbidden' };
+      }
+      responses[429] = { $ref: '#/components/responses/RateLimited' };
+
+      const operation = {
+        summary: spec.summary,
+        ...(spec.description ? { description: spec.description } : {}),
+        tags: spec.tags || [],
+        operationId: spec.operationId || `${method}${openApiPath.replace(/[^a-zA-Z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : ''))}`,
+        ...(parameters.length > 0 ? { parameters } : {}),
+        ...(spec.body
+          ? { requestBody: { required: true, content: { 'application/json': { schema: documentSchema(spec.body) } } } }
+          : {}),
+        ...(spec.requestBody ? { requestBody: spec.requestBody } : {}),
+        responses,
+        ...(spec.auth === false ? { security: [] } : {}),
+        ...(spec.permission ? { 'x-permission': spec.permission } : {}),
+      };
+
+      paths[openApiPath] = { ...paths[openApiPath], [method]: operation };
+    });
+
+    return {
+      openapi: '3.0.3',
+      info,
+      paths,
+      security: [{ bearerAuth: [] }],
+      components: {
+        ...components,
+        securitySchemes: {
+          bearerAuth: { type: 'http', scheme: 'bearer' },
+        },
+        schemas: {
+          ValidationError: {
+            type: 'object',
+            properties: {
+              error: { type: 'string' },
+              message: { type: 'string' },
+              details: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    field: { type: 'string' },
+                    in: { type: 'string', enum: Object.values(LOCATIONS) },
+                    message: { type: 'string' },
+                  },
+                },
+              },
+            },
+          },
+          Error: {
+            type: 'object',
+            properties: {
+              error: { type: 'string' },
+              message: { type: 'string' },
+              code: { type: 'string' },
+            },
+          },
+          ...components.schemas,
+        },
+        responses: {
+          ValidationError: {
+            description: 'Invalid params, query or body',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } },
+          },
+          Unauthorized: {
+            description: 'Missing, invalid or expired access token',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+          },
+          Forbidden: {
+            description: 'The role lacks the required permission',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+          },
+          RateLimited: {
+            description: 'Too many requests; see Retry-After',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+          },
+          ...components.responses,
+        },
+      },
+    };
+  }
+}
+
+export { RouteRegistry, validateRequest, validateObject, sendValidationError };
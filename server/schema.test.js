@@ -0,0 +1,149 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+import { RouteRegistry, validateObject } from './schema.js';
+
+const USER_SCHEMA = {
+  type: 'object',
+  required: ['name', 'email'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 20 },
+    email: { type: 'string', format: 'email' },
+    role: { type: 'string', enum: ['Admin', 'Analyst'] },
+    age: { type: 'integer', minimum: 0 },
+    tags: { type: 'array', maxItems: 2, items: { type: 'string' } },
+    team: { type: 'object', properties: { size: { type: 'number', maximum: 10 } } },
+  },
+};
+
+const messages = (errors) => errors.map((e) => e.message);
+
+test('valid objects come back with strings trimmed', () => {
+  const { value, errors } = validateObject({ name: '  Ada ', email: 'ada@example.com', age: 36 }, USER_SCHEMA);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { name: 'Ada', email: 'ada@example.com', age: 36 });
+});
+
+test('each keyword reports its own error, one per field', () => {
+  const { errors } = validateObject({
+    name: '   ',
+    email: 'not-an-email',
+    role: 'Root',
+    age: 1.5,
+    tags: ['a', 'b', 'c'],
+    team: { size: 11 },
+  }, USER_SCHEMA);
+
+  assert.deepEqual(messages(errors), [
+    'name must be a non-empty string',
+    'email must be a valid email address',
+    'role must be one of: Admin, Analyst',
+    'age must be an integer',
+    'tags must have at most 2 items',
+    'team.size must be at most 10',
+  ]);
+  assert.ok(errors.every((e) => e.in === 'body'));
+});
+
+test('missing required fields are reported once', () => {
+  const { errors } = validateObject({ email: '' }, USER_SCHEMA);
+  assert.deepEqual(messages(errors), ['name is required', 'email is required']);
+});
+
+test('array items are checked with their index', () => {
+  const { errors } = validateObject({ name: 'A', email: 'a@b.co', tags: ['ok', 3] }, USER_SCHEMA);
+  assert.deepEqual(errors, [{ field: 'tags[1]', in: 'body', message: 'tags[1] must be a string' }]);
+});
+
+let server;
+let baseUrl;
+let registry;
+
+before(async () => {
+  const router = express.Router();
+  registry = new RouteRegistry(router);
+
+  registry.get('/items/:id', {
+    summary: 'Echo validated input',
+    params: { id: { type: 'integer' } },
+    query: {
+      limit: { type: 'integer', minimum: 1, maximum: 50, default: 20 },
+      role: { type: 'array', items: { type: 'string', enum: ['Admin', 'Analyst'] } },
+      verbose: { type: 'boolean' },
+      q: { type: 'string', required: true },
+    },
+  }, (req, res) => res.json(req.valid));
+
+  registry.post('/items', {
+    summary: 'Create an item',
+    auth: false,
+    body: USER_SCHEMA,
+  }, (req, res) => res.status(201).json(req.valid.body));
+
+  const app = express();
+  app.use(express.json());
+  app.use(router);
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+test('path and query strings are coerced, with defaults applied', async () => {
+  const res = await fetch(`${baseUrl}/items/7?role=Admin,Analyst&verbose=1&q=x`);
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), {
+    params: { id: 7 },
+    query: { limit: 20, role: ['Admin', 'Analyst'], verbose: true, q: 'x' },
+  });
+});
+
+test('invalid query strings fail with a 400 listing every problem', async () => {
+  const res = await fetch(`${baseUrl}/items/seven?limit=100&role=Root&verbose=maybe`);
+  assert.equal(res.status, 400);
+
+  const body = await res.json();
+  assert.equal(body.error, 'Validation failed');
+  assert.deepEqual(body.details.map((e) => [e.in, e.field]), [
+    ['path', 'id'],
+    ['query', 'limit'],
+    ['query', 'role[0]'],
+    ['query', 'verbose'],
+    ['query', 'q'],
+  ]);
+});
+
+test('bodies must be JSON objects', async () => {
+  const res = await fetch(`${baseUrl}/items`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '[]',
+  });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).details[0].field, 'body');
+});
+
+test('the OpenAPI document describes registered routes', () => {
+  const doc = registry.openApi({ info: { title: 'Test', version: '1' }, basePath: '/api' });
+  const get = doc.paths['/api/items/{id}'].get;
+  const post = doc.paths['/api/items'].post;
+
+  assert.equal(get.operationId, 'getApiItemsId');
+  assert.deepEqual(get.parameters.map((p) => [p.in, p.name, p.required]), [
+    ['path', 'id', true],
+    ['query', 'limit', false],
+    ['query', 'role', false],
+    ['query', 'verbose', false],
+    ['query', 'q', true],
+  ]);
+  assert.ok(get.responses[401]);
+
+  assert.deepEqual(post.security, []);
+  assert.equal(post.responses[401], undefined);
+  assert.deepEqual(post.requestBody.content['application/json'].schema.required, ['name', 'email']);
+});
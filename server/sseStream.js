@@ -0,0 +1,196 @@
+import { EventEmitter } from 'events';
+import { verifyToken, AuthError } from './auth.js';
+import { SSE_PROTOCOL } from './wsHandler.js';
+
+/**
+ * Server-Sent Events transport for clients whose proxies drop WebSockets.
+ *
+ * GET /api/v1/stream opens a one-way stream carrying the same envelopes as
+ * the WebSocket (`data:` is the JSON envelope). EventSource can't set
+ * headers, so the access token may come as `?access_token=`. Sequenced
+ * messages carry an event id like `feed:12,analytics:4`, which a
+ * reconnecting EventSource sends back as Last-Event-ID to resume.
+ *
+ * Client -> server messages go to POST /api/v1/stream/:clientId/messages
+ * and are handled exactly like WebSocket frames; replies arrive on the stream.
+ */
+
+const KEEPALIVE_INTERVAL = 15000;
+const RETRY_MS = 3000;
+
+const OPEN = 1;
+const CLOSED = 3;
+
+function formatEventId(sequences) {
+  return Object.entries(sequences).map(([channel, sequence]) => `${channel}:${sequence}`).join(',');
+}
+
+function parseEventId(value) {
+  if (!value) return null;
+
+  const sequences = {};
+  String(value).split(',').forEach((part) => {
+    const [channel, sequence] = part.split(':');
+    if (channel && /^\d+$/.test(sequence || '')) {
+      sequences[channel] = Number(sequence);
+    }
+  });
+  return Object.keys(sequences).length ? sequences : null;
+}
+
+/**
+ * Adapts an SSE response to the WebSocket surface wsHandler expects.
+ */
+class SseConnection extends EventEmitter {
+  constructor(res) {
+    super();
+    this.res = res;
+    this.OPEN = OPEN;
+    this.readyState = OPEN;
+    this.protocol = SSE_PROTOCOL;
+    this.sequences = {};
+    this.closeCode = 1006;
+    this.closeReason = '';
+  }
+
+  get bufferedAmount() {
+    return this.res.writableLength;
+  }
+
+  send(message) {
+    let id = '';
+    if (message.channel && message.payload?.sequence !== undefined) {
+      this.sequences[message.channel] = Math.max(this.sequences[message.channel] || 0, message.payload.sequence);
+      id = `id: ${formatEventId(this.sequences)}\n`;
+    }
+    this.res.write(`${id}data: ${JSON.stringify(message)}\n\n`);
+  }
+
+  /**
+   * Tell the client why before ending; EventSource itself has no close codes.
+   */
+  close(code = 1000, reason = '') {
+    if (this.readyState !== OPEN) return;
+    this.closeCode = code;
+    this.closeReason = reason;
+    this.res.write(`event: close\ndata: ${JSON.stringify({ code, reason })}\n\n`);
+    this.res.end();
+  }
+
+  // Abort without the `close` event, like a dropped WebSocket
+  terminate() {
+    if (this.readyState !== OPEN) return;
+    this.res.destroy();
+  }
+
+  // Called once the underlying response is gone
+  handleClosed() {
+    if (this.readyState === CLOSED) return;
+    this.readyState = CLOSED;
+    this.emit('close', this.closeCode, Buffer.from(this.closeReason));
+  }
+}
+
+// clientId -> { connection, clientState, owner } for every open stream;
+// `owner` is the username the stream was opened with
+const streams = new Map();
+
+/**
+ * Register GET /v1/stream on a RouteRegistry. It checks its own token, so
+ * it goes with the public routes: EventSource can't send an Authorization
+ * header. The realtime handler comes from `app.locals.realtime`.
+ */
+function mountStreamRoutes(routes) {
+  // GET /api/v1/stream - open an SSE stream
+  routes.get('/v1/stream', {
+    summary: 'Open a Server-Sent Events stream',
+    description: 'Carries the same envelopes as the WebSocket; send messages with POST /v1/stream/{clientId}/messages.',
+    tags: ['Realtime'],
+    query: {
+      access_token: { type: 'string', description: 'Access token, for clients that cannot set an Authorization header' },
+      lastEventId: { type: 'string', description: 'Resume point when the Last-Event-ID header cannot be set' },
+    },
+    responses: { 200: 'A text/event-stream of message envelopes' },
+  }, (req, res) => {
+    const header = req.get('Authorization') || '';
+    const token = req.valid.query.access_token || (header.startsWith('Bearer ') ? header.slice(7) : null);
+
+    // Reject before switching to a stream so the client sees a normal 401
+    let owner;
+    try {
+      if (!token) throw new AuthError('missing_token', 'Authentication required');
+      owner = verifyToken(token, 'access').sub;
+    } catch (err) {
+      if (!(err instanceof AuthError)) throw err;
+      res.set('WWW-Authenticate', `Bearer error="${err.code}"`);
+      return res.status(401).json({ error: err.message, code: err.code });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop reverse proxies from buffering the stream
+      'X-Accel-Buffering': 'no',
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const connection = new SseConnection(res);
+    const clientState = req.app.locals.realtime.attachClient(connection, req, {
+      token,
+      resumeFrom: parseEventId(req.get('Last-Event-ID') || req.valid.query.lastEventId),
+    });
+    streams.set(clientState.id, { connection, clientState, owner });
+
+    const keepalive = setInterval(() => {
+      res.write(': keepalive\n\n');
+    }, KEEPALIVE_INTERVAL);
+
+    res.on('close', () => {
+      clearInterval(keepalive);
+      streams.delete(clientState.id);
+      connection.handleClosed();
+    });
+  });
+}
+
+/**
+ * Register POST /v1/stream/:clientId/messages, which needs the usual
+ * bearer token, so it goes after the router's requireAuth.
+ */
+function mountStreamMessageRoutes(routes) {
+  // POST /api/v1/stream/:clientId/messages - client -> server message
+  routes.post('/v1/stream/:clientId/messages', {
+    summary: 'Send a message on an SSE stream',
+    description: 'Handled exactly like a WebSocket frame; any reply arrives on the stream.',
+    tags: ['Realtime'],
+    params: { clientId: { type: 'string' } },
+    body: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { type: 'string', minLength: 1 },
+        payload: { description: 'Message payload, as on the WebSocket' },
+      },
+    },
+    responses: {
+      202: 'Message accepted',
+      403: { description: 'The stream belongs to another user', schema: { $ref: '#/components/schemas/Error' } },
+      404: { description: 'No such stream', schema: { $ref: '#/components/schemas/Error' } },
+    },
+  }, (req, res) => {
+    const stream = streams.get(req.valid.params.clientId);
+    if (!stream) {
+      return res.status(404).json({ error: 'Stream not found', code: 'unknown_stream' });
+    }
+    // The opener, not clientState.user, which is cleared when auth fails
+    if (stream.owner !== req.user.sub) {
+      return res.status(403).json({ error: 'Stream belongs to another user', code: 'stream_owner_mismatch' });
+    }
+
+    stream.connection.emit('message', Buffer.from(JSON.stringify(req.valid.body)), false);
+    res.status(202).json({ data: { accepted: true } });
+  });
+}
+
+export { mountStreamRoutes, mountStreamMessageRoutes, parseEventId };
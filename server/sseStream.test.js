@@ -0,0 +1,154 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import express from 'express';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { default: apiRoutes } = await import('./apiRoutes.js');
+const { setupWebSocket } = await import('./wsHandler.js');
+const { parseEventId } = await import('./sseStream.js');
+
+let server;
+let realtime;
+let baseUrl;
+const tokens = {};
+const streams = [];
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', apiRoutes);
+  realtime = setupWebSocket(new EventEmitter(), { seed: 'sse-test' });
+  app.locals.realtime = realtime;
+
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://localhost:${server.address().port}/api/v1`;
+
+  for (const username of ['admin', 'developer']) {
+    const res = await fetch(`${baseUrl}/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password: 'demo' }),
+    });
+    tokens[username] = (await res.json()).data.accessToken;
+  }
+});
+
+after(() => {
+  streams.forEach((stream) => stream.controller.abort());
+  realtime.close();
+  server.close();
+});
+
+/**
+ * Open a stream and read its events: `next(type)` resolves with the next
+ * event whose envelope has that type, as `{ id, message }`.
+ */
+async function openStream(username, headers = {}) {
+  const controller = new AbortController();
+  const res = await fetch(`${baseUrl}/stream?access_token=${tokens[username]}`, {
+    headers,
+    signal: controller.signal,
+  });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffered = '';
+  const events = [];
+
+  const read = async () => {
+    const { value, done } = await reader.read();
+    if (done) throw new Error('stream ended');
+    buffered += value;
+    let end;
+    while ((end = buffered.indexOf('\n\n')) !== -1) {
+      const block = buffered.slice(0, end);
+      buffered = buffered.slice(end + 2);
+      const id = /^id: (.*)$/m.exec(block)?.[1] || null;
+      const data = /^data: (.*)$/m.exec(block)?.[1];
+      if (data && !/^event: /m.test(block)) events.push({ id, message: JSON.parse(data) });
+    }
+  };
+
+  const next = async (type) => {
+    for (;;) {
+      const index = events.findIndex((event) => event.message.type === type);
+      if (index !== -1) return events.splice(0, index + 1).at(-1);
+      await read();
+    }
+  };
+
+  const stream = { controller, next, clientId: (await next('connection:established')).message.payload.clientId };
+  streams.push(stream);
+  return stream;
+}
+
+function sendOnStream(clientId, username, message) {
+  return fetch(`${baseUrl}/stream/${clientId}/messages`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${tokens[username]}` },
+    body: JSON.stringify(message),
+  });
+}
+
+test('event ids list the last sequence per channel', () => {
+  assert.deepEqual(parseEventId('feed:12,analytics:4'), { feed: 12, analytics: 4 });
+  assert.deepEqual(parseEventId('feed:x,:3,analytics:4'), { analytics: 4 });
+  assert.equal(parseEventId(''), null);
+});
+
+test('a stream needs a valid access token', async () => {
+  const missing = await fetch(`${baseUrl}/stream`);
+  assert.equal(missing.status, 401);
+
+  const invalid = await fetch(`${baseUrl}/stream?access_token=nope`);
+  assert.equal(invalid.status, 401);
+  assert.match(invalid.headers.get('www-authenticate'), /^Bearer error=/);
+});
+
+test('a stream is authenticated by its token and handles posted messages', async () => {
+  const stream = await openStream('admin');
+  assert.equal((await stream.next('auth:success')).message.payload.user.username, 'admin');
+
+  const res = await sendOnStream(stream.clientId, 'admin', { type: 'feed:send', payload: { message: 'over sse' } });
+  assert.equal(res.status, 202);
+
+  let event;
+  do {
+    event = await stream.next('feed:message');
+  } while (event.message.payload.message !== 'over sse');
+  assert.equal(parseEventId(event.id).feed, event.message.payload.sequence);
+});
+
+test('only the user who opened a stream can send on it', async () => {
+  const stream = await openStream('admin');
+
+  const other = await sendOnStream(stream.clientId, 'developer', { type: 'feed:send', payload: { message: 'hijack' } });
+  assert.equal(other.status, 403);
+  assert.equal((await other.json()).code, 'stream_owner_mismatch');
+
+  const unknown = await sendOnStream('client-0-0', 'admin', { type: 'heartbeat:pong' });
+  assert.equal(unknown.status, 404);
+});
+
+test('Last-Event-ID resumes the channels on a reopened stream', async () => {
+  const first = await openStream('admin');
+  for (const message of ['one', 'two']) {
+    await sendOnStream(first.clientId, 'admin', { type: 'feed:send', payload: { message } });
+  }
+  let event;
+  do {
+    event = await first.next('feed:message');
+  } while (event.message.payload.message !== 'one');
+  first.controller.abort();
+
+  const reopened = await openStream('admin', { 'Last-Event-ID': event.id });
+  const replayed = await reopened.next('feed:message');
+  assert.equal(replayed.message.payload.replayed, true);
+  assert.equal(replayed.message.payload.sequence, event.message.payload.sequence + 1);
+  assert.equal((await reopened.next('resume:success')).message.payload.channels.feed.resumed, true);
+});
@@ -0,0 +1,146 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+/**
+ * EventSource stand-in; tests drive it through `emit`. readyState is
+ * left CONNECTING on errors, as a browser does while it would retry.
+ */
+class FakeEventSource {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSED = 2;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeEventSource.CONNECTING;
+    this.listeners = {};
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  close() {
+    this.readyState = FakeEventSource.CLOSED;
+  }
+
+  open() {
+    this.readyState = FakeEventSource.OPEN;
+    this.onopen();
+  }
+
+  emit(type, payload, extra = {}) {
+    this.onmessage({ data: JSON.stringify({ type, payload, ...extra }) });
+  }
+
+  drop() {
+    this.readyState = FakeEventSource.CONNECTING;
+    this.onerror({ type: 'error' });
+  }
+}
+
+globalThis.EventSource = FakeEventSource;
+
+const { WebSocketManager, TRANSPORTS } = await import('../src/services/websocket/WebSocketManager.js');
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+let posted;
+
+beforeEach((t) => {
+  FakeEventSource.instances = [];
+  posted = [];
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+  // No jitter, so reconnects come after baseReconnectDelay
+  t.mock.method(Math, 'random', () => 0);
+  t.mock.method(globalThis, 'fetch', async (url, options) => {
+    const clientId = url.match(/\/stream\/([^/]+)\/messages/)[1];
+    posted.push({ clientId, message: JSON.parse(options.body) });
+    const stale = clientId === 'stale';
+    return new Response(JSON.stringify(stale ? { error: 'Stream not found' } : { data: { accepted: true } }), {
+      status: stale ? 404 : 202,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  });
+});
+
+/**
+ * A manager on the SSE transport, opened and authenticated as `clientId`.
+ */
+async function connectSse(clientId, events = {}) {
+  const manager = new WebSocketManager('ws://localhost/ws', {
+    sseUrl: '/api/v1/stream',
+    getAuthToken: async () => 'token',
+    baseReconnectDelay: 1,
+    heartbeatInterval: 60000,
+    ...events,
+  });
+  manager.transport = TRANSPORTS.SSE;
+  manager.connect();
+  await nextTick();
+  establish(clientId);
+  return manager;
+}
+
+function establish(clientId) {
+  const source = FakeEventSource.instances.at(-1);
+  source.open();
+  source.emit('connection:established', { clientId, epoch: 'epoch-1' });
+  source.emit('auth:success', { expiresIn: 900 });
+  return source;
+}
+
+test('a dropped stream closes the transport instead of retrying in place', async () => {
+  const closes = [];
+  let opens = 0;
+  const manager = await connectSse('client-1', {
+    onOpen: () => opens++,
+    onClose: (event) => closes.push(event.code),
+  });
+  const first = FakeEventSource.instances[0];
+  first.emit('feed:message', { id: 'm-7', sequence: 7 }, { channel: 'feed' });
+
+  first.drop();
+  assert.equal(first.readyState, FakeEventSource.CLOSED);
+  assert.deepEqual(closes, [1006]);
+  assert.deepEqual(
+    { connected: manager.getState().connected, authenticated: manager.getState().authenticated },
+    { connected: false, authenticated: false }
+  );
+
+  // connected goes false and back to true, so the components' subscribe
+  // effects run again; the manager reconnects on a new stream and resumes
+  await nextTick();
+  assert.equal(FakeEventSource.instances.length, 2);
+  establish('client-2');
+  await nextTick();
+
+  assert.equal(opens, 2);
+  assert.equal(manager.getState().authenticated, true);
+  const resumes = posted.filter(({ message }) => message.type === 'resume');
+  assert.deepEqual(
+    resumes.map(({ clientId, message }) => ({ clientId, payload: message.payload })),
+    [{ clientId: 'client-2', payload: { channels: { feed: 7 } } }]
+  );
+
+  manager.disconnect();
+});
+
+test('a send to a stream the server has forgotten reconnects', async () => {
+  const closes = [];
+  const manager = await connectSse('stale', { onClose: (event) => closes.push(event.code) });
+
+  manager.send('presence:update', { status: 'active' });
+  await nextTick();
+
+  assert.deepEqual(closes, [1006]);
+  assert.equal(FakeEventSource.instances[0].readyState, FakeEventSource.CLOSED);
+  await nextTick();
+  assert.equal(FakeEventSource.instances.length, 2);
+
+  manager.disconnect();
+});
@@ -0,0 +1,158 @@
+import { promises as fs, existsSync, mkdirSync, readFileSync } from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+/**
+ * Storage adapters for the mock API.
+ *
+ * Every adapter exposes the same synchronous record API (list, get, find,
+ * create, update, remove) so routes don't care where the data lives.
+ * Records are keyed by a numeric `id` that only ever increases, even
+ * after deletes, so ids are never reused.
+ */
+
+class MemoryStore {
+  constructor(options = {}) {
+    this.records = new Map();
+    this.nextId = 1;
+
+    (options.seed || []).forEach((record) => this._put(record));
+  }
+
+  list() {
+    return Array.from(this.records.values());
+  }
+
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  find(predicate) {
+    return this.list().find(predicate) || null;
+  }
+
+  count() {
+    return this.records.size;
+  }
+
+  /**
+   * Create a record. `build` receives the allocated id and returns the record.
+   */
+  create(build) {
+    const id = this.nextId++;
+    const record = { ...build(id), id };
+    this.records.set(id, record);
+    this._onChange();
+    return record;
+  }
+
+  update(id, changes) {
+    const existing = this.records.get(id);
+    if (!existing) return null;
+
+    const updated = { ...existing, ...changes, id };
+    this.records.set(id, updated);
+    this._onChange();
+    return updated;
+  }
+
+  remove(id) {
+    const existing = this.records.get(id);
+    if (!existing) return null;
+
+    this.records.delete(id);
+    this._onChange();
+    return existing;
+  }
+
+  /**
+   * Resolves once all pending writes are durable. No-op in memory.
+   */
+  flush() {
+    return Promise.resolve();
+  }
+
+  _put(record) {
+    this.records.set(record.id, record);
+    this.nextId = Math.max(this.nextId, record.id + 1);
+  }
+
+  _onChange() {}
+}
+
+/**
+ * JSON file adapter - keeps records in memory and writes a snapshot after
+ * every change. Writes go to a temp file that is renamed over the target,
+ * so a crash mid-write never leaves a truncated file behind. Changes made
+ * while a write is queued are coalesced into that write.
+ */
+class JsonFileStore extends MemoryStore {
+  constructor(filePath, options = {}) {
+    super();
+    this.filePath = filePath;
+    this.writeChain = Promise.resolve();
+    this.writeQueued = false;
+
+    mkdirSync(path.dirname(filePath), { recursive: true });
+
+    if (existsSync(filePath)) {
+      const snapshot = JSON.parse(readFileSync(filePath, 'utf8'));
+      (snapshot.records || []).forEach((record) => this._put(record));
+      // Honour the persisted counter so ids of deleted records stay retired
+      this.nextId = Math.max(this.nextId, snapshot.nextId || 1);
+    } else {
+      const seed = typeof options.seed === 'function' ? options.seed() : options.seed || [];
+      seed.forEach((record) => this._put(record));
+      this._onChange();
+    }
+  }
+
+  flush() {
+    return this.writeChain;
+  }
+
+  _onChange() {
+    if (this.writeQueued) return;
+    this.writeQueued = true;
+
+    this.writeChain = this.writeChain
+      .then(() => {
+        this.writeQueued = false;
+        return this._writeSnapshot();
+      })
+      .catch((err) => {
+        logger.error('storage write failed', { file: this.filePath, error: err });
+      });
+  }
+
+  async _writeSnapshot() {
+    const snapshot = { nextId: this.nextId, records: this.list() };
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+
+    await fs.writeFile(tempPath, JSON.stringify(snapshot, null, 2));
+    await fs.rename(tempPath, this.filePath);
+  }
+}
+
+/**
+ * Create the store for a collection. The driver is chosen with
+ * STORAGE_DRIVER (`memory` | `file`); setting DATA_DIR implies `file`.
+ * `seed` is called only when there is no existing data to load.
+ */
+function createStore(collection, options = {}) {
+  const { seed = () => [] } = options;
+  const driver = process.env.STORAGE_DRIVER || (process.env.DATA_DIR ? 'file' : 'memory');
+
+  if (driver === 'file') {
+    const dataDir = path.resolve(process.env.DATA_DIR || 'data');
+    return new JsonFileStore(path.join(dataDir, `${collection}.json`), { seed });
+  }
+
+  if (driver !== 'memory') {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "memory" or "file")`);
+  }
+
+  return new MemoryStore({ seed: seed() });
+}
+
+export { MemoryStore, JsonFileStore, createStore };
@@ -0,0 +1,118 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs, mkdtempSync, readFileSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { MemoryStore, JsonFileStore, createStore } = await import('./storage.js');
+const { logger } = await import('./logger.js');
+
+const SEED = [
+  { id: 1, name: 'Ada' },
+  { id: 2, name: 'Bob' },
+];
+
+let dir;
+let fileCount = 0;
+
+before(() => {
+  dir = mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+});
+
+after(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+function nextFile() {
+  fileCount += 1;
+  return path.join(dir, `users-${fileCount}.json`);
+}
+
+function readSnapshot(filePath) {
+  return JSON.parse(readFileSync(filePath, 'utf8'));
+}
+
+test('ids keep increasing after deletes and are never reused', () => {
+  const store = new MemoryStore({ seed: SEED });
+  store.remove(2);
+  assert.equal(store.create((id) => ({ name: `user ${id}` })).id, 3);
+  assert.equal(store.update(99, { name: 'nobody' }), null);
+  assert.equal(store.remove(99), null);
+});
+
+test('a reloaded file store keeps its records and retired ids', async () => {
+  const filePath = nextFile();
+  const store = new JsonFileStore(filePath, { seed: () => SEED });
+  const created = store.create((id) => ({ name: `user ${id}` }));
+  store.remove(created.id);
+  store.remove(2);
+  await store.flush();
+
+  const reloaded = new JsonFileStore(filePath, { seed: () => assert.fail('seeded over existing data') });
+  assert.deepEqual(reloaded.list(), [SEED[0]]);
+  assert.equal(reloaded.create((id) => ({ name: `user ${id}` })).id, created.id + 1);
+});
+
+test('changes made while a write is queued share one write', async (t) => {
+  const filePath = nextFile();
+  const store = new JsonFileStore(filePath, { seed: () => SEED });
+  await store.flush();
+
+  const writeFile = t.mock.method(fs, 'writeFile');
+  store.update(1, { name: 'Ada L.' });
+  store.create((id) => ({ name: `user ${id}` }));
+  store.remove(2);
+  await store.flush();
+
+  assert.equal(writeFile.mock.callCount(), 1);
+  assert.deepEqual(readSnapshot(filePath), {
+    nextId: 4,
+    records: [{ id: 1, name: 'Ada L.' }, { id: 3, name: 'user 3' }],
+  });
+});
+
+test('an interrupted write leaves the previous file intact', async (t) => {
+  const filePath = nextFile();
+  const store = new JsonFileStore(filePath, { seed: () => SEED });
+  await store.flush();
+  const previous = readFileSync(filePath, 'utf8');
+
+  const logged = t.mock.method(logger, 'error', () => {});
+  t.mock.method(fs, 'writeFile', async (target, data) => {
+    await fs.appendFile(target, data.slice(0, 10));
+    throw new Error('disk full');
+  });
+  store.update(1, { name: 'Ada L.' });
+  await store.flush();
+
+  assert.equal(readFileSync(filePath, 'utf8'), previous);
+  assert.equal(logged.mock.callCount(), 1);
+  assert.match(logged.mock.calls[0].arguments[1].error.message, /disk full/);
+
+  t.mock.restoreAll();
+  store.update(2, { name: 'Bob B.' });
+  await store.flush();
+  assert.deepEqual(readSnapshot(filePath).records.map((r) => r.name), ['Ada L.', 'Bob B.']);
+});
+
+test('createStore picks the driver from the environment', async (t) => {
+  const env = { ...process.env };
+  t.after(() => {
+    process.env = env;
+  });
+
+  delete process.env.STORAGE_DRIVER;
+  delete process.env.DATA_DIR;
+  assert.ok(!(createStore('people', { seed: () => SEED }) instanceof JsonFileStore));
+
+  process.env.DATA_DIR = dir;
+  const fileStore = createStore('people', { seed: () => SEED });
+  assert.ok(fileStore instanceof JsonFileStore);
+  assert.equal(fileStore.filePath, path.join(dir, 'people.json'));
+  await fileStore.flush();
+
+  process.env.STORAGE_DRIVER = 'redis';
+  assert.throws(() => createStore('people'), /Unknown STORAGE_DRIVER "redis"/);
+});
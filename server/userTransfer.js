@@ -0,0 +1,208 @@
+/**
+ * Roster import/export formats. Exports are written to the response in
+ * batches as they are serialised, waiting for the socket to drain, so a
+ * large roster never sits in memory as one string. Imports are parsed
+ * into `{ row, record }` pairs; checking and applying them is up to the
+ * caller, which reports results per row.
+ *
+ * CSV follows RFC 4180: comma separated, double-quoted fields with `""`
+ * escapes, CRLF or LF line endings, and a header row naming the columns.
+ */
+
+const EXPORT_FORMATS = ['csv', 'json'];
+const CSV_COLUMNS = ['id', 'name', 'email', 'role', 'status', 'joinedAt', 'lastActive'];
+const MAX_IMPORT_ROWS = 5000;
+const BATCH_SIZE = 100;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+};
+
+class ImportError extends Error {
+  constructor(message, code = 'invalid_import') {
+    super(message);
+    this.name = 'ImportError';
+    this.code = code;
+  }
+}
+
+// Spreadsheets run cells starting with these as formulas. Values that
+// already look escaped (leading quotes before one) get another quote too,
+// so the one imports strip is always ours.
+const FORMULA_PREFIX = /^'*[=+\-@\t\r]/;
+// What csvCell turns such a cell into; imports undo it
+const ESCAPED_FORMULA = /^'+[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value == null) return '';
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return `${values.map(csvCell).join(',')}\r\n`;
+}
+
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Stream `users` to `res` as an attachment in `format`. Stops early if the
+ * client goes away.
+ */
+async function streamUsers(res, users, format, filename) {
+  res.set('Content-Type', CONTENT_TYPES[format]);
+  res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  res.set('Cache-Control', 'no-store');
+
+  const write = async (chunk) => {
+    if (!res.write(chunk)) await waitForDrain(res);
+    return !res.destroyed;
+  };
+
+  if (!(await write(format === 'csv' ? csvLine(CSV_COLUMNS) : '['))) return;
+
+  for (let start = 0; start < users.length; start += BATCH_SIZE) {
+    const batch = users.slice(start, start + BATCH_SIZE);
+    const chunk = format === 'csv'
+      ? batch.map((user) => csvLine(CSV_COLUMNS.map((column) => user[column]))).join('')
+      : batch.map((user, i) => `${start + i === 0 ? '' : ','}\n${JSON.stringify(user)}`).join('');
+    if (!(await write(chunk))) return;
+  }
+
+  res.end(format === 'csv' ? '' : '\n]\n');
+}
+
+/**
+ * Split CSV text into records of raw strings, each with the line it
+ * starts on (quoted fields may span lines).
+ */
+function parseCsvRecords(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    // Blank lines carry no data
+    if (record.length > 1 || record[0] !== '') records.push({ line: recordLine, values: record });
+    record = [];
+    recordLine = line;
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ImportError(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  if (field !== '' || record.length > 0) endRecord();
+
+  return records;
+}
+
+/**
+ * Rows of a CSV roster: `{ row, record }` with `row` the line number and
+ * `record` keyed by the header's column names. Columns the importer does
+ * not know are returned as `ignoredColumns`.
+ */
+function parseCsvImport(text, knownColumns) {
+  const [header, ...records] = parseCsvRecords(text);
+  if (!header) throw new ImportError('CSV has no header row');
+
+  const columns = header.values.map((name) => name.trim());
+  const missing = ['name', 'email'].filter((name) => !columns.includes(name));
+  if (missing.length > 0) {
+    throw new ImportError(`CSV header is missing required column(s): ${missing.join(', ')}`);
+  }
+
+  const rows = records.map(({ line, values }) => {
+    const record = {};
+    columns.forEach((name, i) => {
+      const value = ESCAPED_FORMULA.test(values[i]) ? values[i].slice(1) : values[i];
+      if (knownColumns.includes(name) && value !== undefined && value !== '') record[name] = value;
+    });
+    return { row: line, record };
+  });
+
+  return { rows, ignoredColumns: columns.filter((name) => !knownColumns.includes(name)) };
+}
+
+/**
+ * Rows of a JSON roster: an array of user objects, or `{ users: [...] }`
+ * (an export can be imported as-is). `row` is the 1-based array position.
+ */
+function parseJsonImport(body) {
+  const list = Array.isArray(body) ? body : body?.users;
+  if (!Array.isArray(list)) {
+    throw new ImportError('JSON import must be an array of users or { "users": [...] }');
+  }
+  return { rows: list.map((record, i) => ({ row: i + 1, record })), ignoredColumns: [] };
+}
+
+/**
+ * Parse an import body by its content type. Throws ImportError for bodies
+ * that cannot be read at all; row problems are left to the caller.
+ */
+function parseImport(body, contentType, knownColumns) {
+  const parsed = typeof body === 'string' && /^text\/(csv|plain)/.test(contentType || '')
+    ? parseCsvImport(body, knownColumns)
+    : parseJsonImport(body);
+
+  if (parsed.rows.length === 0) throw new ImportError('Import contains no rows');
+  if (parsed.rows.length > MAX_IMPORT_ROWS) {
+    throw new ImportError(`Import has ${parsed.rows.length} rows; the limit is ${MAX_IMPORT_ROWS}`, 'import_too_large');
+  }
+  return parsed;
+}
+
+export {
+  EXPORT_FORMATS,
+  CSV_COLUMNS,
+  MAX_IMPORT_ROWS,
+  ImportError,
+  streamUsers,
+  parseImport,
+};
@@ -0,0 +1,123 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+// Keep access logs out of the test output; set before the logger is loaded
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { requestLogger } = await import('./logger.js');
+const { default: apiRoutes, userStore } = await import('./apiRoutes.js');
+
+let server;
+let baseUrl;
+let headers;
+
+before(async () => {
+  const app = express();
+  app.use(requestLogger);
+  app.use(express.json());
+  app.use('/api', apiRoutes);
+
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://localhost:${server.address().port}/api/v1`;
+
+  const login = await fetch(`${baseUrl}/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'admin', password: 'demo' }),
+  });
+  headers = { Authorization: `Bearer ${(await login.json()).data.accessToken}` };
+});
+
+after(() => {
+  server.close();
+});
+
+async function exportUsers(format) {
+  const res = await fetch(`${baseUrl}/users/export?format=${format}`, { headers });
+  assert.equal(res.status, 200);
+  return res.text();
+}
+
+async function importUsers(body, contentType, dryRun = true) {
+  const res = await fetch(`${baseUrl}/users/import?dryRun=${dryRun}`, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': contentType },
+    body,
+  });
+  assert.equal(res.status, 200);
+  return (await res.json()).data;
+}
+
+for (const [format, contentType] of [['csv', 'text/csv'], ['json', 'application/json']]) {
+  test(`a ${format} export imports back unchanged`, async () => {
+    const before = userStore.list();
+    const result = await importUsers(await exportUsers(format), contentType, false);
+
+    assert.deepEqual(result.summary, {
+      total: before.length,
+      created: 0,
+      updated: 0,
+      unchanged: before.length,
+      failed: 0,
+    });
+    assert.deepEqual(userStore.list(), before);
+  });
+}
+
+test('cells escaped against formula injection import back unchanged', async () => {
+  const users = userStore.list().slice(0, 4);
+  const names = ['=HYPERLINK("http://x")', '+1 Plus', '-Dash, Jr.', '@mention'];
+  users.forEach((user, i) => userStore.update(user.id, { name: names[i] }));
+
+  try {
+    const csv = await exportUsers('csv');
+    assert.match(csv, /'=HYPERLINK/);
+
+    const before = userStore.list();
+    const result = await importUsers(csv, 'text/csv', false);
+    assert.equal(result.summary.unchanged, before.length);
+    assert.deepEqual(userStore.list(), before);
+    assert.deepEqual(users.map((user) => userStore.get(user.id).name), names);
+  } finally {
+    users.forEach((user) => userStore.update(user.id, { name: user.name }));
+  }
+});
+
+test('names that already start with an escaping quote import back unchanged', async () => {
+  const users = userStore.list().slice(0, 3);
+  const names = ["'=x", "'-dash", "''@twice"];
+  users.forEach((user, i) => userStore.update(user.id, { name: names[i] }));
+
+  try {
+    const csv = await exportUsers('csv');
+    assert.match(csv, /,''=x,/);
+
+    const result = await importUsers(csv, 'text/csv', false);
+    assert.equal(result.summary.updated, 0);
+    assert.deepEqual(users.map((user) => userStore.get(user.id).name), names);
+  } finally {
+    users.forEach((user) => userStore.update(user.id, { name: user.name }));
+  }
+});
+
+test('rows matching several stored users are reported, not applied', async () => {
+  const [first, second] = userStore.list();
+  const originalEmail = second.email;
+  userStore.update(second.id, { email: first.email.toUpperCase() });
+
+  try {
+    const csv = `name,email\nRenamed,${first.email}\n`;
+    const result = await importUsers(csv, 'text/csv', false);
+
+    assert.equal(result.summary.failed, 1);
+    assert.equal(result.rows[0].action, 'error');
+    assert.match(result.rows[0].errors[0].message, new RegExp(`ids ${first.id}, ${second.id}`));
+    assert.notEqual(userStore.get(first.id).name, 'Renamed');
+    assert.notEqual(userStore.get(second.id).name, 'Renamed');
+  } finally {
+    userStore.update(second.id, { email: originalEmail });
+  }
+});
@@ -1,58 +1,246 @@
-import { generateFeedMessage, randomInt } from './mockData.js';
+import { randomBytes } from 'crypto';
+import { generateFeedMessage, randomInt, createRandom } from './mockData.js';
+import { verifyToken, revokeSession, findAccount, AuthError } from './auth.js';
+import { PERMISSIONS, permissionsFor, channelPermission, can, permissionDenied } from './permissions.js';
+import { parseFeedFilter, matchesFeedFilter } from './feedFilter.js';
+import { QueryError } from './pagination.js';
+import { feedState, FeedStateError } from './feedState.js';
+import { PresenceTracker, PRESENCE_STATUSES } from './presence.js';
+import { isRequest, dispatchRequest } from './wsRequests.js';
+import { encode, decode } from '../shared/msgpack.js';
+import { OutboundQueue, policyFromRequest } from './backpressure.js';
+import { logger } from './logger.js';
+import { chaos } from './chaos.js';
+
+// Triage actions on feed messages; each broadcasts `feed:updated`
+const FEED_ACTIONS = {
+  'feed:ack': (id, payload, user) => feedState.acknowledge(id, user),
+  'feed:assign': (id, payload, user) => {
+    if (payload.assignee == null) return feedState.assign(id, null, user);
+
+    const account = findAccount(payload.assignee);
+    if (!account) {
+      throw new FeedStateError('invalid_assignee', `Unknown assignee "${payload.assignee}"`);
+    }
+    return feedState.assign(id, { username: account.username, name: account.name }, user);
+  },
+  'feed:snooze': (id, payload, user) => feedState.snooze(id, payload.minutes, user),
+};
+
+// Channels whose subscriptions accept a `filter`
+const CHANNEL_FILTERS = {
+  feed: { parse: parseFeedFilter, matches: matchesFeedFilter },
+};
 
 const HEARTBEAT_INTERVAL = 30000;
-const AUTH_TOKEN = 'valid-auth-token-2024';
+const TOKEN_EXPIRED_CLOSE_CODE = 4001;
+const ADMIN_DISCONNECT_CLOSE_CODE = 4003;
+const TRY_AGAIN_LATER_CLOSE_CODE = 1013;
+// setTimeout overflows beyond ~24.8 days
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+const DEFAULT_REPLAY_BUFFER_SIZE = 500;
+const PRESENCE_SWEEP_INTERVAL = 15000;
+const BACKLOG_DRAIN_INTERVAL = 100;
+
+// Sec-WebSocket-Protocol values, in order of preference. Clients that
+// offer neither get JSON text frames.
+const PROTOCOLS = {
+  MSGPACK: 'msgpack',
+  JSON: 'json',
+};
+
+// Pseudo-protocol of the SSE adapter, which takes envelopes unencoded
+const SSE_PROTOCOL = 'sse';
+
+// Identifies this server process; sequence numbers restart with it
+const EPOCH = randomBytes(6).toString('hex');
+
+/**
+ * Per-channel sequence counter plus a bounded buffer of recent messages
+ * that reconnecting clients can replay with `resume`.
+ */
+class ChannelLog {
+  constructor(name, size) {
+    this.name = name;
+    this.size = size;
+    this.sequence = 0;
+    this.buffer = [];
+  }
+
+  append(type, payload) {
+    const entry = { type, channel: this.name, payload: { ...payload, sequence: ++this.sequence } };
+    this.buffer.push(entry);
+    if (this.buffer.length > this.size) {
+      this.buffer.shift();
+    }
+    return entry;
+  }
+
+  /**
+   * Entries with `after < sequence < before`. `gap` is set when the
+   * buffer no longer reaches back to `after + 1`.
+   */
+  since(after, before = Infinity) {
+    const oldest = this.buffer.length ? this.buffer[0].payload.sequence : this.sequence + 1;
+    return {
+      entries: this.buffer.filter(({ payload }) => payload.sequence > after && payload.sequence < before),
+      gap: after + 1 < oldest,
+    };
+  }
+}
 
-function setupWebSocket(wss) {
+/**
+ * @param {object} [options]
+ * @param {string|number} [options.seed] - Seeds the feed/analytics broadcast
+ *   stream so the same seed replays the same sequence of messages.
+ * @param {number} [options.replayBufferSize] - Messages kept per channel for `resume`.
+ * @param {number} [options.presenceIdleTimeout] - Ms without a `presence:update`
+ *   before a user is shown as away.
+ * @param {object} [options.backpressure] - Default policy, highWaterMark and
+ *   maxBacklog for broadcasts; clients may pick a policy with `?backpressure=`.
+ * @returns {object} `attachClient` lets other transports (SSE) plug a
+ *   socket-like connection into the same channels, `drain` announces a
+ *   shutdown, `close` stops broadcasting and disconnects everyone, and
+ *   listClients, getClient, disconnectClient, revokeClient and
+ *   pushToClient back the admin API.
+ */
+function setupWebSocket(wss, options = {}) {
   const clients = new Map();
 
-  wss.on('connection', (ws, req) => {
+  // Dedicated source so REST traffic and client messages can't shift the sequence
+  const broadcastRandom = createRandom(options.seed);
+
+  const replayBufferSize = options.replayBufferSize || DEFAULT_REPLAY_BUFFER_SIZE;
+  const channels = new Map(
+    ['feed', 'analytics'].map((name) => [name, new ChannelLog(name, replayBufferSize)])
+  );
+
+  // Sequence, buffer and fan out a message to the channel's subscribers
+  const publish = (channel, type, payload) => {
+    const entry = channels.get(channel).append(type, payload);
+
+    clients.forEach((client) => {
+      if (
+        client.authenticated &&
+        client.ws.readyState === client.ws.OPEN &&
+        client.subscriptions.has(channel) &&
+        passesFilter(client, entry)
+      ) {
+        if (chaos.shouldDrop(channel)) {
+          dropConnection(client);
+        } else {
+          sendSequenced(client, entry);
+        }
+      }
+    });
+  };
+
+  // Unsequenced fan-out for state that is re-sent as a snapshot on subscribe
+  const broadcast = (channel, type, payload) => {
+    clients.forEach((client) => {
+      if (client.authenticated && client.subscriptions.has(channel)) {
+        if (chaos.shouldDrop(channel)) {
+          dropConnection(client);
+        } else {
+          client.outbound.push({ type, channel, payload });
+        }
+      }
+    });
+  };
+
+  const presence = new PresenceTracker({
+    idleTimeout: options.presenceIdleTimeout,
+    onChange: (type, entry) => broadcast('presence', type, entry),
+  });
+
+  const context = { clients, channels, publish, presence };
+
+  /**
+   * Register a connection. `ws` needs the WebSocket surface we use:
+   * readyState/OPEN, protocol, bufferedAmount, send, close, terminate and
+   * message/close/error events. With `token` the client is authenticated
+   * straight away, and `resumeFrom` then replays missed channel messages.
+   */
+  const attachClient = (ws, req, { token, resumeFrom } = {}) => {
     const clientId = `client-${Date.now()}-${randomInt(1000, 9999)}`;
 
     const clientState = {
       id: clientId,
       ws,
       authenticated: false,
+      user: null,
+      authExpiryTimer: null,
       heartbeatTimer: null,
       heartbeatTimeout: null,
       subscriptions: new Set(['feed']),
+      // channel -> normalized filter from the last subscribe
+      filters: new Map(),
+      // channel -> first sequence delivered live on this connection
+      firstLiveSequence: new Map(),
       messageCount: 0,
       connectedAt: Date.now(),
+      remoteAddress: req.socket?.remoteAddress || null,
+      userAgent: req.headers['user-agent'] || null,
+      // Broadcasts go through here so a stalled client can't grow memory unbounded
+      outbound: new OutboundQueue(ws, (message) => sendMessage(ws, message), {
+        ...options.backpressure,
+        policy: policyFromRequest(req, options.backpressure?.policy),
+      }),
     };
 
     clients.set(clientId, clientState);
-    console.log(`[WS] Client connected: ${clientId}`);
+    logger.info('ws client connected', { clientId, protocol: ws.protocol || PROTOCOLS.JSON });
 
     // Send connection acknowledgment
     sendMessage(ws, {
       type: 'connection:established',
-      payload: { clientId, timestamp: new Date().toISOString() },
+      payload: {
+        clientId,
+        timestamp: new Date().toISOString(),
+        seed: broadcastRandom.seed,
+        epoch: EPOCH,
+      },
     });
 
-    // Request authentication
-    sendMessage(ws, {
-      type: 'auth:required',
-      payload: { message: 'Please authenticate with a valid token' },
-    });
+    if (token) {
+      handleMessage(clientState, { type: 'auth:token', payload: { token } }, context);
+      if (clientState.authenticated && resumeFrom) {
+        handleMessage(clientState, { type: 'resume', payload: { channels: resumeFrom } }, context);
+      }
+    } else {
+      // Request authentication
+      sendMessage(ws, {
+        type: 'auth:required',
+        payload: { message: 'Please authenticate with a valid token' },
+      });
+    }
 
     // Start heartbeat
     clientState.heartbeatTimer = setInterval(() => {
       if (ws.readyState === ws.OPEN) {
+        // A skipped ping arms no timeout here; it's the client's monitor under test
+        if (chaos.shouldSuppressHeartbeat(clientState.subscriptions)) return;
+
         sendMessage(ws, { type: 'heartbeat:ping', payload: { timestamp: Date.now() } });
 
         clientState.heartbeatTimeout = setTimeout(() => {
-          console.log(`[WS] Heartbeat timeout for ${clientId}`);
+          logger.warn('ws heartbeat timeout', { clientId });
           ws.close(4000, 'Heartbeat timeout');
         }, 5000);
       }
     }, HEARTBEAT_INTERVAL);
 
-    ws.on('message', (data) => {
+    ws.on('message', (data, isBinary) => {
       try {
-        const message = JSON.parse(data.toString());
+        // Either encoding is accepted whatever was negotiated
+        const message = isBinary ? decode(data) : JSON.parse(data.toString());
         clientState.messageCount++;
 
-        handleMessage(clientState, message, clients);
+        if (isRequest(message.type)) {
+          sendMessage(ws, dispatchRequest(clientState, message, context));
+        } else {
+          handleMessage(clientState, message, context);
+        }
       } catch (err) {
         sendMessage(ws, {
           type: 'error',
@@ -62,90 +250,202 @@ function setupWebSocket(wss) {
     });
 
     ws.on('close', (code, reason) => {
-      console.log(`[WS] Client disconnected: ${clientId} (code: ${code})`);
+      logger.info('ws client disconnected', { clientId, code });
       clearInterval(clientState.heartbeatTimer);
       clearTimeout(clientState.heartbeatTimeout);
+      clearTimeout(clientState.authExpiryTimer);
+      clientState.outbound.clear();
       clients.delete(clientId);
+      presence.disconnect(clientId);
     });
 
     ws.on('error', (err) => {
-      console.error(`[WS] Error for ${clientId}:`, err.message);
+      logger.error('ws error', { clientId, error: err });
     });
+
+    return clientState;
+  };
+
+  let shutdownNotice = null;
+
+  wss.on('connection', (ws, req) => {
+    // Upgrades that slip in while draining are turned away with the same hint
+    if (shutdownNotice) {
+      sendMessage(ws, shutdownNotice);
+      ws.close(TRY_AGAIN_LATER_CLOSE_CODE, 'Server is shutting down');
+      return;
+    }
+    attachClient(ws, req);
   });
 
   // Broadcast feed messages to subscribed clients periodically
   const feedInterval = setInterval(() => {
-    const message = generateFeedMessage();
-
-    clients.forEach((client) => {
-      if (
-        client.authenticated &&
-        client.ws.readyState === client.ws.OPEN &&
-        client.subscriptions.has('feed')
-      ) {
-        sendMessage(client.ws, {
-          type: 'feed:message',
-          payload: message,
-        });
-      }
-    });
+    publish('feed', 'feed:message', feedState.track(generateFeedMessage(undefined, broadcastRandom)));
   }, 3000);
 
   // Broadcast analytics updates
   const analyticsInterval = setInterval(() => {
     const update = {
-      activeUsers: randomInt(100, 1000),
-      requests: randomInt(5000, 50000),
-      errorRate: (Math.random() * 5).toFixed(2),
-      avgLatency: randomInt(50, 500),
-      timestamp: new Date().toISOString(),
+      activeUsers: randomInt(100, 1000, broadcastRandom),
+      requests: randomInt(5000, 50000, broadcastRandom),
+      errorRate: (broadcastRandom.next() * 5).toFixed(2),
+      avgLatency: randomInt(50, 500, broadcastRandom),
+      timestamp: new Date(broadcastRandom.tick()).toISOString(),
     };
 
-    clients.forEach((client) => {
-      if (
-        client.authenticated &&
-        client.ws.readyState === client.ws.OPEN &&
-        client.subscriptions.has('analytics')
-      ) {
-        sendMessage(client.ws, {
-          type: 'analytics:update',
-          payload: update,
-        });
-      }
-    });
+    publish('analytics', 'analytics:update', update);
   }, 5000);
 
+  const presenceInterval = setInterval(() => {
+    presence.sweep();
+  }, Math.min(PRESENCE_SWEEP_INTERVAL, presence.idleTimeout / 2));
+
+  const drainInterval = setInterval(() => {
+    clients.forEach((client) => client.outbound.drain());
+  }, BACKLOG_DRAIN_INTERVAL);
+
+  /**
+   * Tell every client the server is going away and when to reconnect
+   * (`reconnectAfter`, ms). Sockets stay open until close().
+   */
+  const drain = ({ reconnectAfter, reason = 'Server is shutting down' } = {}) => {
+    shutdownNotice = { type: 'server:shutdown', payload: { reason, reconnectAfter } };
+    clients.forEach((client) => sendMessage(client.ws, shutdownNotice));
+  };
+
   // Cleanup on server shutdown
-  return () => {
+  const close = () => {
     clearInterval(feedInterval);
     clearInterval(analyticsInterval);
+    clearInterval(presenceInterval);
+    clearInterval(drainInterval);
     clients.forEach((client) => {
       clearInterval(client.heartbeatTimer);
       clearTimeout(client.heartbeatTimeout);
+      clearTimeout(client.authExpiryTimer);
       client.ws.close(1001, 'Server shutting down');
     });
     clients.clear();
   };
+
+  // Admin view of a connection
+  const describeClient = (client) => ({
+    id: client.id,
+    transport: client.ws.protocol || PROTOCOLS.JSON,
+    authenticated: client.authenticated,
+    user: client.user ? { username: client.user.sub, name: client.user.name, role: client.user.role } : null,
+    tokenExpiresAt: client.user ? new Date(client.user.exp).toISOString() : null,
+    subscriptions: [...client.subscriptions],
+    filters: Object.fromEntries(client.filters),
+    messageCount: client.messageCount,
+    connectedAt: new Date(client.connectedAt).toISOString(),
+    remoteAddress: client.remoteAddress,
+    userAgent: client.userAgent,
+    outbound: client.outbound.stats(),
+  });
+
+  const listClients = () => [...clients.values()].map(describeClient);
+
+  const getClient = (id) => (clients.has(id) ? describeClient(clients.get(id)) : null);
+
+  // The client's manager reconnects as after any unexpected close
+  const disconnectClient = (id, reason = 'Disconnected by an administrator') => {
+    const client = clients.get(id);
+    if (!client) return false;
+    client.ws.close(ADMIN_DISCONNECT_CLOSE_CODE, reason);
+    return true;
+  };
+
+  /**
+   * Drop the connection's authentication and revoke its session, access
+   * and refresh tokens alike, everywhere. The socket stays open, but only
+   * a new login can authenticate it again.
+   */
+  const revokeClient = (id, reason = 'Authentication revoked by an administrator') => {
+    const client = clients.get(id);
+    if (!client) return null;
+
+    if (client.user) revokeSession(client.user);
+    clearTimeout(client.authExpiryTimer);
+    client.authenticated = false;
+    client.user = null;
+    client.outbound.clear();
+    presence.disconnect(id);
+    sendMessage(client.ws, {
+      type: 'auth:revoked',
+      payload: { message: reason, code: 'token_revoked' },
+    });
+    return describeClient(client);
+  };
+
+  const pushToClient = (id, message) => {
+    const client = clients.get(id);
+    if (!client) return false;
+    sendMessage(client.ws, message);
+    return true;
+  };
+
+  return { attachClient, drain, close, listClients, getClient, disconnectClient, revokeClient, pushToClient };
 }
 
-function handleMessage(clientState, message, clients) {
+function handleMessage(clientState, message, { channels, publish, presence }) {
   const { ws } = clientState;
   const { type, payload } = message;
 
   switch (type) {
     case 'auth:token': {
-      if (payload && payload.token === AUTH_TOKEN) {
-        clientState.authenticated = true;
+      // Re-sending a fresh token at any time extends the session
+      clearTimeout(clientState.authExpiryTimer);
+
+      let user;
+      try {
+        user = verifyToken(payload && payload.token, 'access');
+      } catch (err) {
+        if (!(err instanceof AuthError)) throw err;
+        clientState.authenticated = false;
+        clientState.user = null;
+        presence.disconnect(clientState.id);
         sendMessage(ws, {
-          type: 'auth:success',
-          payload: { clientId: clientState.id, expiresIn: 3600 },
+          type: 'auth:failed',
+          payload: { message: err.message, code: err.code },
         });
+        break;
+      }
+
+      clientState.authenticated = true;
+      clientState.user = user;
+
+      // No-op when this is a token refresh on an already present connection
+      const account = findAccount(user.sub);
+      if (account) {
+        presence.connect(clientState.id, account);
       } else {
+        presence.disconnect(clientState.id);
+      }
+      clientState.authExpiryTimer = setTimeout(() => {
+        logger.info('ws token expired', { clientId: clientState.id });
         sendMessage(ws, {
-          type: 'auth:failed',
-          payload: { message: 'Invalid authentication token' },
+          type: 'auth:expired',
+          payload: { message: 'Token has expired' },
         });
-      }
+        ws.close(TOKEN_EXPIRED_CLOSE_CODE, 'Token expired');
+      }, Math.min(user.exp - Date.now(), MAX_TIMER_DELAY));
+
+      sendMessage(ws, {
+        type: 'auth:success',
+        payload: {
+          clientId: clientState.id,
+          expiresIn: Math.round((user.exp - Date.now()) / 1000),
+          expiresAt: new Date(user.exp).toISOString(),
+          user: {
+            username: user.sub,
+            name: user.name,
+            role: user.role,
+            userId: account ? account.userId : null,
+            permissions: permissionsFor(user.role),
+          },
+        },
+      });
       break;
     }
 
@@ -157,11 +457,45 @@ function handleMessage(clientState, message, clients) {
 
     case 'subscribe': {
       if (payload && payload.channel) {
+        const permission = channelPermission(payload.channel);
+        if (permission && !authorize(clientState, permission, type)) {
+          return;
+        }
+        // Who is online is for signed-in users only, like presence:update
+        if (payload.channel === 'presence' && !requireAuthenticated(clientState, type)) {
+          return;
+        }
+
+        const channelFilter = CHANNEL_FILTERS[payload.channel];
+        let filter = null;
+        if (channelFilter) {
+          try {
+            filter = channelFilter.parse(payload.filter);
+          } catch (err) {
+            if (!(err instanceof QueryError)) throw err;
+            sendMessage(ws, {
+              type: 'error',
+              payload: { message: err.message, code: 'invalid_filter', field: err.field, requestType: type },
+            });
+            return;
+          }
+        }
+
+        // Subscribing again replaces the previous filter
         clientState.subscriptions.add(payload.channel);
+        clientState.filters.set(payload.channel, filter);
         sendMessage(ws, {
           type: 'subscribe:success',
-          payload: { channel: payload.channel },
+          payload: { channel: payload.channel, filter },
         });
+
+        if (payload.channel === 'presence') {
+          sendMessage(ws, {
+            type: 'presence:snapshot',
+            channel: 'presence',
+            payload: { users: presence.snapshot() },
+          });
+        }
       }
       break;
     }
@@ -169,6 +503,7 @@ function handleMessage(clientState, message, clients) {
     case 'unsubscribe': {
       if (payload && payload.channel) {
         clientState.subscriptions.delete(payload.channel);
+        clientState.filters.delete(payload.channel);
         sendMessage(ws, {
           type: 'unsubscribe:success',
           payload: { channel: payload.channel },
@@ -178,30 +513,107 @@ function handleMessage(clientState, message, clients) {
     }
 
     case 'feed:send': {
-      if (!clientState.authenticated) {
-        sendMessage(ws, {
-          type: 'error',
-          payload: { message: 'Authentication required' },
-        });
+      if (!authorize(clientState, PERMISSIONS.FEED_POST, type)) {
         return;
       }
 
+      // Posted now, whatever clock the generated messages run on
       const feedMsg = {
         ...generateFeedMessage(),
         message: payload.message || 'User message',
+        timestamp: new Date().toISOString(),
         source: 'user',
       };
 
       // Broadcast to all authenticated feed subscribers
-      clients.forEach((client) => {
-        if (
-          client.authenticated &&
-          client.ws.readyState === client.ws.OPEN &&
-          client.subscriptions.has('feed')
-        ) {
-          sendMessage(client.ws, { type: 'feed:message', payload: feedMsg });
+      publish('feed', 'feed:message', feedState.track(feedMsg));
+      break;
+    }
+
+    case 'feed:ack':
+    case 'feed:assign':
+    case 'feed:snooze': {
+      if (!authorize(clientState, PERMISSIONS.FEED_TRIAGE, type)) {
+        return;
+      }
+
+      const id = payload && payload.id;
+      let item;
+      try {
+        item = FEED_ACTIONS[type](id, payload || {}, clientState.user);
+      } catch (err) {
+        if (!(err instanceof FeedStateError)) throw err;
+        sendMessage(ws, {
+          type: 'error',
+          payload: { message: err.message, code: err.code, requestType: type, id, ...err.details },
+        });
+        return;
+      }
+
+      // Sequenced like any feed message, so resume replays missed state changes
+      publish('feed', 'feed:updated', {
+        ...item,
+        change: { action: type, by: { username: clientState.user.sub, name: clientState.user.name } },
+      });
+      break;
+    }
+
+    case 'presence:update': {
+      if (!requireAuthenticated(clientState, type)) {
+        return;
+      }
+
+      const status = payload && payload.status;
+      if (!PRESENCE_STATUSES.includes(status)) {
+        sendMessage(ws, {
+          type: 'error',
+          payload: {
+            message: `status must be one of: ${PRESENCE_STATUSES.join(', ')}`,
+            code: 'invalid_status',
+            requestType: type,
+          },
+        });
+        return;
+      }
+
+      presence.setStatus(clientState.id, status);
+      break;
+    }
+
+    case 'resume': {
+      // { channels: { feed: 41, analytics: 12 } } - last sequence seen per channel
+      if (!requireAuthenticated(clientState, type)) {
+        return;
+      }
+
+      const requested = (payload && payload.channels) || {};
+      const result = {};
+
+      Object.entries(requested).forEach(([name, lastSequence]) => {
+        const log = channels.get(name);
+        const permission = channelPermission(name);
+        if (!log || (permission && !can(clientState.user, permission))) {
+          result[name] = { resumed: false };
+          return;
         }
+
+        // Resuming implies the client was subscribed before it dropped
+        clientState.subscriptions.add(name);
+
+        // Stop short of anything already delivered live since (re)connecting
+        const after = Number(lastSequence) || 0;
+        const { entries, gap } = log.since(after, clientState.firstLiveSequence.get(name));
+        const matching = entries.filter((entry) => passesFilter(clientState, entry));
+        // Through the outbound queue, so a long replay is paced like any broadcast
+        matching.forEach((entry) => {
+          clientState.outbound.push({ ...entry, payload: { ...entry.payload, replayed: true } });
+        });
+
+        result[name] = { resumed: true, replayed: matching.length, gap, sequence: log.sequence };
       });
+
+      // Queued behind the replay so it still arrives last
+      clientState.outbound.push({ type: 'resume:success', payload: { channels: result } });
       break;
     }
 
@@ -214,10 +626,79 @@ function handleMessage(clientState, message, clients) {
   }
 }
 
+function requireAuthenticated(clientState, requestType) {
+  if (clientState.authenticated) return true;
+
+  sendMessage(clientState.ws, {
+    type: 'error',
+    payload: { message: 'Authentication required', code: 'auth_required', requestType },
+  });
+  return false;
+}
+
+/**
+ * Check that the client is authenticated and holds `permission`, sending
+ * an `error` frame with a reason code when it doesn't.
+ */
+function authorize(clientState, permission, requestType) {
+  if (!requireAuthenticated(clientState, requestType)) {
+    return false;
+  }
+
+  if (!can(clientState.user, permission)) {
+    sendMessage(clientState.ws, {
+      type: 'error',
+      payload: { ...permissionDenied(clientState.user, permission), requestType },
+    });
+    return false;
+  }
+
+  return true;
+}
+
+function passesFilter(clientState, entry) {
+  const channelFilter = CHANNEL_FILTERS[entry.channel];
+  return !channelFilter || channelFilter.matches(clientState.filters.get(entry.channel), entry.payload);
+}
+
+function sendSequenced(clientState, entry) {
+  if (!clientState.firstLiveSequence.has(entry.channel)) {
+    clientState.firstLiveSequence.set(entry.channel, entry.payload.sequence);
+  }
+  clientState.outbound.push(entry);
+}
+
+/**
+ * Cut a connection without a close handshake, as a flaky network would.
+ */
+function dropConnection(clientState) {
+  logger.warn('ws connection dropped by chaos', { clientId: clientState.id });
+  clientState.ws.terminate();
+}
+
+function encodeFor(ws, message) {
+  switch (ws.protocol) {
+    case PROTOCOLS.MSGPACK:
+      return encode(message);
+    case SSE_PROTOCOL:
+      return message;
+    default:
+      return JSON.stringify(message);
+  }
+}
+
 function sendMessage(ws, message) {
   if (ws.readyState === ws.OPEN) {
-    ws.send(JSON.stringify(message));
+    ws.send(encodeFor(ws, message));
   }
 }
 
-export { setupWebSocket };
+/**
+ * `handleProtocols` for the WebSocketServer: pick the preferred codec the
+ * client offered, or none (plain JSON) if it offered nothing we speak.
+ */
+function selectProtocol(offered) {
+  return Object.values(PROTOCOLS).find((protocol) => offered.has(protocol)) || false;
+}
+
+export { setupWebSocket, selectProtocol, ChannelLog, PROTOCOLS, SSE_PROTOCOL };
@@ -0,0 +1,300 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import express from 'express';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { setupWebSocket, ChannelLog, SSE_PROTOCOL } = await import('./wsHandler.js');
+const { requestLogger } = await import('./logger.js');
+const { default: apiRoutes } = await import('./apiRoutes.js');
+const { SLOW_CONSUMER_CLOSE_CODE } = await import('./backpressure.js');
+
+/**
+ * Socket-like connection for attachClient. Frames are kept unencoded, as
+ * for the SSE adapter.
+ */
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.OPEN = 1;
+    this.readyState = 1;
+    this.protocol = SSE_PROTOCOL;
+    this.bufferedAmount = 0;
+    this.sent = [];
+    this.closeCode = null;
+  }
+
+  send(message) {
+    this.sent.push(message);
+  }
+
+  close(code) {
+    if (this.readyState !== this.OPEN) return;
+    this.readyState = 3;
+    this.closeCode = code;
+    this.emit('close', code);
+  }
+
+  terminate() {
+    this.close(1006);
+  }
+
+  ofType(type) {
+    return this.sent.filter((message) => message.type === type);
+  }
+}
+
+const FAKE_REQUEST = { url: '/ws', headers: {}, socket: {} };
+const REPLAY_BUFFER_SIZE = 5;
+
+let server;
+let baseUrl;
+let realtime;
+let token;
+
+async function login(username) {
+  const res = await fetch(`${baseUrl}/v1/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password: 'demo' }),
+  });
+  return (await res.json()).data.accessToken;
+}
+
+before(async () => {
+  realtime = setupWebSocket(new EventEmitter(), {
+    seed: 'ws-test',
+    replayBufferSize: REPLAY_BUFFER_SIZE,
+    backpressure: { highWaterMark: 1024, maxBacklog: 3 },
+  });
+
+  const app = express();
+  app.locals.realtime = realtime;
+  app.use(requestLogger);
+  app.use(express.json());
+  app.use('/api', apiRoutes);
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://localhost:${server.address().port}/api`;
+  token = await login('admin');
+});
+
+after(() => {
+  realtime.close();
+  server.close();
+});
+
+function connect(options = {}, { bufferedAmount = 0, url = '/ws' } = {}) {
+  const ws = new FakeSocket();
+  ws.bufferedAmount = bufferedAmount;
+  realtime.attachClient(ws, { ...FAKE_REQUEST, url }, { token, ...options });
+  return ws;
+}
+
+/**
+ * Post `count` feed messages from `ws` and return their sequence numbers.
+ */
+function postFeed(ws, count) {
+  const before = ws.ofType('feed:message').length;
+  for (let i = 0; i < count; i++) {
+    ws.emit('message', Buffer.from(JSON.stringify({ type: 'feed:send', payload: { message: `post ${i}` } })), false);
+  }
+  return ws.ofType('feed:message').slice(before).map((message) => message.payload.sequence);
+}
+
+test('channel messages are numbered in order and the buffer keeps the latest', () => {
+  const log = new ChannelLog('feed', 3);
+  const sequences = ['a', 'b', 'c', 'd'].map((id) => log.append('feed:message', { id }).payload.sequence);
+
+  assert.deepEqual(sequences, [1, 2, 3, 4]);
+  assert.equal(log.sequence, 4);
+  assert.deepEqual(log.buffer.map((entry) => entry.payload.id), ['b', 'c', 'd']);
+});
+
+test('since returns the entries between two sequences and flags a gap past the buffer', () => {
+  const log = new ChannelLog('feed', 3);
+  ['a', 'b', 'c', 'd', 'e'].forEach((id) => log.append('feed:message', { id }));
+
+  const ids = ({ entries }) => entries.map((entry) => entry.payload.id);
+  assert.deepEqual(ids(log.since(3)), ['d', 'e']);
+  assert.equal(log.since(3).gap, false);
+  assert.equal(log.since(2).gap, false);
+  assert.deepEqual(ids(log.since(3, 5)), ['d']);
+
+  assert.deepEqual(ids(log.since(1)), ['c', 'd', 'e']);
+  assert.equal(log.since(1).gap, true);
+
+  assert.deepEqual(new ChannelLog('feed', 3).since(0), { entries: [], gap: false });
+});
+
+test('resuming replays missed messages, marked replayed, before resume:success', () => {
+  const publisher = connect();
+  const [first, ...missed] = postFeed(publisher, 3);
+
+  const ws = connect({ resumeFrom: { feed: first } });
+  const replayed = ws.sent.filter((message) => message.payload?.replayed);
+  assert.deepEqual(replayed.map((message) => message.payload.sequence), missed);
+  assert.equal(ws.sent.at(-1).type, 'resume:success');
+  assert.deepEqual(ws.sent.at(-1).payload.channels.feed, {
+    resumed: true,
+    replayed: 2,
+    gap: false,
+    sequence: missed.at(-1),
+  });
+
+  publisher.close();
+  ws.close();
+});
+
+test('resuming from before the buffer reports a gap so the client resyncs', () => {
+  const publisher = connect();
+  const [first] = postFeed(publisher, REPLAY_BUFFER_SIZE + 2);
+
+  const ws = connect({ resumeFrom: { feed: first } });
+  const result = ws.ofType('resume:success')[0].payload.channels.feed;
+  assert.equal(result.gap, true);
+  assert.equal(result.replayed, REPLAY_BUFFER_SIZE);
+
+  publisher.close();
+  ws.close();
+});
+
+test('channels the client cannot read or that do not exist are not resumed', () => {
+  const ws = connect({ resumeFrom: { nope: 0 } });
+  assert.deepEqual(ws.ofType('resume:success')[0].payload.channels, { nope: { resumed: false } });
+  ws.close();
+
+  const anonymous = new FakeSocket();
+  realtime.attachClient(anonymous, FAKE_REQUEST);
+  anonymous.emit('message', Buffer.from(JSON.stringify({ type: 'resume', payload: { channels: { feed: 0 } } })), false);
+  assert.equal(anonymous.ofType('error')[0].payload.code, 'auth_required');
+  anonymous.close();
+});
+
+test('a replay to a stalled client waits in its outbound queue', async () => {
+  const publisher = connect();
+  const [first, ...missed] = postFeed(publisher, 3);
+
+  const ws = connect({ resumeFrom: { feed: first } }, { bufferedAmount: 4096 });
+  assert.equal(ws.sent.some((message) => message.payload?.replayed), false);
+  assert.equal(ws.ofType('resume:success').length, 0);
+
+  ws.bufferedAmount = 0;
+  await new Promise((resolve) => setTimeout(resolve, 250));
+  const replayed = ws.sent.filter((message) => message.payload?.replayed);
+  assert.deepEqual(replayed.map((message) => message.payload.sequence), missed);
+  assert.equal(ws.sent.at(-1).type, 'resume:success');
+
+  publisher.close();
+  ws.close();
+});
+
+test('a replay longer than the backlog is subject to the client policy', () => {
+  const publisher = connect();
+  const [first] = postFeed(publisher, REPLAY_BUFFER_SIZE);
+
+  const ws = connect({ resumeFrom: { feed: first } }, { bufferedAmount: 4096, url: '/ws?backpressure=disconnect' });
+  assert.equal(ws.closeCode, SLOW_CONSUMER_CLOSE_CODE);
+
+  publisher.close();
+});
+
+test('user posts are dated by the real clock, not the seeded one', () => {
+  const ws = connect();
+  const [sequence] = postFeed(ws, 1);
+  const posted = ws.ofType('feed:message').find((message) => message.payload.sequence === sequence).payload;
+
+  assert.equal(posted.source, 'user');
+  assert.ok(Math.abs(Date.parse(posted.timestamp) - Date.now()) < 1000);
+  ws.close();
+});
+
+test('triage actions broadcast feed:updated and report failures to the sender', () => {
+  const actor = connect();
+  const watcher = connect();
+  const [sequence] = postFeed(actor, 1);
+  const { id } = actor.ofType('feed:message').find((message) => message.payload.sequence === sequence).payload;
+
+  const send = (type, payload) => actor.emit('message', Buffer.from(JSON.stringify({ type, payload })), false);
+  send('feed:ack', { id });
+  send('feed:ack', { id });
+  send('feed:assign', { id, assignee: 'nobody' });
+
+  const updated = watcher.ofType('feed:updated').filter((message) => message.payload.id === id);
+  assert.equal(updated.length, 1);
+  assert.equal(updated[0].payload.acknowledged, true);
+  assert.deepEqual(updated[0].payload.change, { action: 'feed:ack', by: { username: 'admin', name: 'Demo Admin' } });
+
+  assert.deepEqual(actor.ofType('error').map((message) => message.payload.code), ['already_acknowledged', 'invalid_assignee']);
+  assert.equal(watcher.ofType('error').length, 0);
+
+  actor.close();
+  watcher.close();
+});
+
+/**
+ * Call an admin connection route as the admin and return the status and
+ * JSON body (null for 204).
+ */
+async function admin(method, path, body) {
+  const res = await fetch(`${baseUrl}/admin/ws/clients${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: res.status, body: res.status === 204 ? null : await res.json() };
+}
+
+function clientId(ws) {
+  return ws.ofType('connection:established')[0].payload.clientId;
+}
+
+test('an admin disconnect closes the connection with 4003 and the given reason', async () => {
+  const ws = connect();
+  const closed = new Promise((resolve) => ws.once('close', (code) => resolve(code)));
+  const id = clientId(ws);
+
+  assert.equal((await admin('GET', `/${id}`)).body.data.authenticated, true);
+  assert.equal((await admin('DELETE', `/${id}?reason=maintenance`)).status, 204);
+  // ADMIN_DISCONNECT_CLOSE_CODE
+  assert.equal(await closed, 4003);
+
+  assert.equal((await admin('DELETE', `/${id}`)).status, 404);
+});
+
+test('revoking keeps the connection open and rejects the session tokens', async () => {
+  const sessionToken = await login('devops');
+  const ws = connect({ token: sessionToken });
+  const id = clientId(ws);
+
+  const { status, body } = await admin('POST', `/${id}/revoke`);
+  assert.equal(status, 200);
+  assert.deepEqual({ authenticated: body.data.authenticated, user: body.data.user }, { authenticated: false, user: null });
+  assert.equal(ws.closeCode, null);
+  assert.equal(ws.ofType('auth:revoked')[0].payload.code, 'token_revoked');
+
+  ws.emit('message', Buffer.from(JSON.stringify({ type: 'auth:token', payload: { token: sessionToken } })), false);
+  assert.equal(ws.ofType('auth:failed')[0].payload.code, 'token_revoked');
+
+  assert.equal((await admin('POST', '/nope/revoke')).status, 404);
+  ws.close();
+});
+
+test('admins may push any message type except the reserved protocol ones', async () => {
+  const ws = connect();
+  const id = clientId(ws);
+
+  for (const type of ['auth:success', 'connection:established', 'heartbeat:ping']) {
+    const { status, body } = await admin('POST', `/${id}/messages`, { type });
+    assert.equal(status, 400, type);
+    assert.equal(body.details[0].field, 'type');
+  }
+
+  const { status } = await admin('POST', `/${id}/messages`, { type: 'notice', channel: 'system', payload: { text: 'hi' } });
+  assert.equal(status, 202);
+  assert.deepEqual(ws.ofType('notice')[0], { type: 'notice', channel: 'system', payload: { text: 'hi', pushedBy: 'admin' } });
+
+  ws.close();
+});
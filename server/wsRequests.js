@@ -0,0 +1,105 @@
+import { feedState } from './feedState.js';
+import { channelPermission, can, permissionDenied } from './permissions.js';
+import { logger } from './logger.js';
+
+/**
+ * Request/response messages over the WebSocket. A request is any message
+ * whose type has a handler below; the reply echoes the request `id` as
+ * `replyTo` and carries either `payload` or `error: { code, message }`.
+ */
+
+class RequestError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'RequestError';
+    this.code = code;
+  }
+}
+
+// Handlers run with (clientState, payload, context) and return the reply payload.
+// A `channel` handler reads that channel, so it needs what subscribing needs.
+const REQUEST_HANDLERS = {
+  // Round-trip probe; usable before authenticating
+  ping: {
+    public: true,
+    handle: () => ({ serverTime: Date.now() }),
+  },
+
+  'presence:list': {
+    handle: (clientState, payload, { presence }) => ({ users: presence.snapshot() }),
+  },
+
+  'feed:get': {
+    channel: 'feed',
+    handle: (clientState, payload) => {
+      const item = feedState.get(payload.id);
+      if (!item) {
+        throw new RequestError('not_found', `Feed message ${payload.id} not found`);
+      }
+      return item;
+    },
+  },
+
+  // This connection's backpressure state, as the server sees it
+  'client:stats': {
+    public: true,
+    handle: (clientState) => ({
+      clientId: clientState.id,
+      connectedAt: new Date(clientState.connectedAt).toISOString(),
+      messagesReceived: clientState.messageCount,
+      ...clientState.outbound.stats(),
+    }),
+  },
+
+  'channels:status': {
+    handle: (clientState, payload, { channels }) => ({
+      channels: Object.fromEntries(Array.from(channels, ([name, log]) => [name, {
+        sequence: log.sequence,
+        buffered: log.buffer.length,
+        subscribed: clientState.subscriptions.has(name),
+      }])),
+    }),
+  },
+};
+
+function isRequest(type) {
+  return Object.prototype.hasOwnProperty.call(REQUEST_HANDLERS, type);
+}
+
+/**
+ * Run the handler for `message` and build the reply frame.
+ */
+function dispatchRequest(clientState, message, context) {
+  const { id, type, payload } = message;
+  const reply = { type: `${type}:reply`, replyTo: id };
+
+  try {
+    if (!id) {
+      throw new RequestError('invalid_request', 'Requests need an id to reply to');
+    }
+
+    const handler = REQUEST_HANDLERS[type];
+    if (!handler.public && !clientState.authenticated) {
+      throw new RequestError('auth_required', 'Authentication required');
+    }
+
+    const permission = handler.channel ? channelPermission(handler.channel) : null;
+    if (permission && !can(clientState.user, permission)) {
+      throw new RequestError('permission_denied', permissionDenied(clientState.user, permission).message);
+    }
+
+    reply.payload = handler.handle(clientState, payload || {}, context);
+  } catch (err) {
+    if (!(err instanceof RequestError)) {
+      logger.error('ws request failed', { clientId: clientState.id, type, error: err });
+    }
+    reply.error = {
+      code: err instanceof RequestError ? err.code : 'internal_error',
+      message: err instanceof RequestError ? err.message : 'Request failed',
+    };
+  }
+
+  return reply;
+}
+
+export { RequestError, isRequest, dispatchRequest };
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { isRequest, dispatchRequest } = await import('./wsRequests.js');
+const { feedState } = await import('./feedState.js');
+const { PresenceTracker } = await import('./presence.js');
+const { logger } = await import('./logger.js');
+
+const CONTEXT = { presence: new PresenceTracker(), channels: new Map() };
+
+function client({ role = null, ...overrides } = {}) {
+  return {
+    id: 'client-1',
+    authenticated: Boolean(role),
+    user: role ? { sub: role.toLowerCase(), name: role, role } : null,
+    subscriptions: new Set(['feed']),
+    connectedAt: Date.parse('2026-01-01T00:00:00.000Z'),
+    messageCount: 3,
+    outbound: { stats: () => ({ backlog: 0 }) },
+    ...overrides,
+  };
+}
+
+test('only types with a handler are requests, own keys only', () => {
+  assert.equal(isRequest('ping'), true);
+  assert.equal(isRequest('feed:send'), false);
+  assert.equal(isRequest('constructor'), false);
+});
+
+test('replies echo the request id and type', () => {
+  const reply = dispatchRequest(client(), { id: 'msg-1', type: 'client:stats' }, CONTEXT);
+  assert.equal(reply.type, 'client:stats:reply');
+  assert.equal(reply.replyTo, 'msg-1');
+  assert.equal(reply.payload.messagesReceived, 3);
+  assert.equal(reply.error, undefined);
+});
+
+test('a request without an id is invalid', () => {
+  const reply = dispatchRequest(client(), { type: 'ping' }, CONTEXT);
+  assert.deepEqual(reply.error, { code: 'invalid_request', message: 'Requests need an id to reply to' });
+  assert.equal(reply.payload, undefined);
+});
+
+test('non-public requests need an authenticated connection', () => {
+  assert.equal(dispatchRequest(client(), { id: 'msg-1', type: 'presence:list' }, CONTEXT).error.code, 'auth_required');
+  assert.equal(dispatchRequest(client(), { id: 'msg-2', type: 'feed:get', payload: { id: 'x' } }, CONTEXT).error.code, 'auth_required');
+  assert.ok(dispatchRequest(client(), { id: 'msg-3', type: 'ping' }, CONTEXT).payload.serverTime);
+});
+
+test('feed:get needs what reading the feed channel needs', () => {
+  const item = feedState.track({ id: 'msg-requests-test', type: 'info', severity: 'low', message: 'hello' });
+
+  // The feed channel needs no permission, so every role may read it
+  const reply = dispatchRequest(client({ role: 'Analyst' }), { id: 'msg-1', type: 'feed:get', payload: { id: item.id } }, CONTEXT);
+  assert.equal(reply.payload.id, item.id);
+
+  const missing = dispatchRequest(client({ role: 'Analyst' }), { id: 'msg-2', type: 'feed:get', payload: { id: 'nope' } }, CONTEXT);
+  assert.equal(missing.error.code, 'not_found');
+});
+
+test('unexpected handler failures become internal_error and are logged', (t) => {
+  const logged = t.mock.method(logger, 'error', () => {});
+  const broken = client({ outbound: null });
+
+  const reply = dispatchRequest(broken, { id: 'msg-1', type: 'client:stats' }, CONTEXT);
+  assert.deepEqual(reply.error, { code: 'internal_error', message: 'Request failed' });
+  assert.equal(logged.mock.callCount(), 1);
+  assert.equal(logged.mock.calls[0].arguments[1].type, 'client:stats');
+});
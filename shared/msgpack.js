@@ -0,0 +1,255 @@
+/**
+ * Minimal MessagePack codec shared by the server and the browser client.
+ *
+ * Covers what our messages contain: nil, booleans, integers, float64,
+ * strings, binary, arrays and maps. Integers outside the 32-bit range are
+ * written as float64, which is exact up to 2^53 (enough for epoch ms).
+ * Like JSON.stringify, map entries whose value is undefined are skipped.
+ */
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+class Writer {
+  constructor(size = 256) {
+    this.bytes = new Uint8Array(size);
+    this.view = new DataView(this.bytes.buffer);
+    this.length = 0;
+  }
+
+  ensure(extra) {
+    if (this.length + extra <= this.bytes.length) return;
+    let size = this.bytes.length * 2;
+    while (size < this.length + extra) size *= 2;
+    const bytes = new Uint8Array(size);
+    bytes.set(this.bytes.subarray(0, this.length));
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+
+  u8(value) {
+    this.ensure(1);
+    this.view.setUint8(this.length, value);
+    this.length += 1;
+  }
+
+  u16(value) {
+    this.ensure(2);
+    this.view.setUint16(this.length, value);
+    this.length += 2;
+  }
+
+  u32(value) {
+    this.ensure(4);
+    this.view.setUint32(this.length, value);
+    this.length += 4;
+  }
+
+  f64(value) {
+    this.ensure(8);
+    this.view.setFloat64(this.length, value);
+    this.length += 8;
+  }
+
+  raw(bytes) {
+    this.ensure(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  // Header for a str/bin/array/map of `size`, using the smallest format
+  header(size, fix, fixMax, formats) {
+    if (fix !== null && size <= fixMax) {
+      this.u8(fix | size);
+    } else if (formats[0] && size < 0x100) {
+      this.u8(formats[0]);
+      this.u8(size);
+    } else if (size < 0x10000) {
+      this.u8(formats[1]);
+      this.u16(size);
+    } else {
+      this.u8(formats[2]);
+      this.u32(size);
+    }
+  }
+}
+
+function writeNumber(writer, value) {
+  if (!Number.isInteger(value) || value > 0xffffffff || value < -0x80000000) {
+    writer.u8(0xcb);
+    writer.f64(value);
+  } else if (value >= 0) {
+    if (value < 0x80) {
+      writer.u8(value);
+    } else if (value < 0x100) {
+      writer.u8(0xcc);
+      writer.u8(value);
+    } else if (value < 0x10000) {
+      writer.u8(0xcd);
+      writer.u16(value);
+    } else {
+      writer.u8(0xce);
+      writer.u32(value);
+    }
+  } else if (value >= -0x20) {
+    writer.u8(value & 0xff);
+  } else if (value >= -0x80) {
+    writer.u8(0xd0);
+    writer.u8(value & 0xff);
+  } else if (value >= -0x8000) {
+    writer.u8(0xd1);
+    writer.u16(value & 0xffff);
+  } else {
+    writer.u8(0xd2);
+    writer.u32(value >>> 0);
+  }
+}
+
+function writeValue(writer, value) {
+  if (value === null || value === undefined) {
+    writer.u8(0xc0);
+  } else if (typeof value === 'boolean') {
+    writer.u8(value ? 0xc3 : 0xc2);
+  } else if (typeof value === 'number') {
+    writeNumber(writer, value);
+  } else if (typeof value === 'string') {
+    const bytes = textEncoder.encode(value);
+    writer.header(bytes.length, 0xa0, 31, [0xd9, 0xda, 0xdb]);
+    writer.raw(bytes);
+  } else if (value instanceof Uint8Array || value instanceof ArrayBuffer) {
+    const bytes = value instanceof ArrayBuffer ? new Uint8Array(value) : value;
+    writer.header(bytes.length, null, 0, [0xc4, 0xc5, 0xc6]);
+    writer.raw(bytes);
+  } else if (Array.isArray(value)) {
+    writer.header(value.length, 0x90, 15, [null, 0xdc, 0xdd]);
+    value.forEach((item) => writeValue(writer, item));
+  } else if (typeof value.toJSON === 'function') {
+    writeValue(writer, value.toJSON());
+  } else {
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined && typeof v !== 'function');
+    writer.header(entries.length, 0x80, 15, [null, 0xde, 0xdf]);
+    entries.forEach(([key, v]) => {
+      writeValue(writer, key);
+      writeValue(writer, v);
+    });
+  }
+}
+
+function encode(value) {
+  const writer = new Writer();
+  writeValue(writer, value);
+  return writer.bytes.subarray(0, writer.length);
+}
+
+class Reader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+
+  take(size) {
+    if (this.offset + size > this.bytes.length) {
+      throw new RangeError('msgpack: unexpected end of input');
+    }
+    const start = this.offset;
+    this.offset += size;
+    return start;
+  }
+
+  u8() { return this.view.getUint8(this.take(1)); }
+  u16() { return this.view.getUint16(this.take(2)); }
+  u32() { return this.view.getUint32(this.take(4)); }
+  i8() { return this.view.getInt8(this.take(1)); }
+  i16() { return this.view.getInt16(this.take(2)); }
+  i32() { return this.view.getInt32(this.take(4)); }
+  u64() { return Number(this.view.getBigUint64(this.take(8))); }
+  i64() { return Number(this.view.getBigInt64(this.take(8))); }
+  f32() { return this.view.getFloat32(this.take(4)); }
+  f64() { return this.view.getFloat64(this.take(8)); }
+
+  str(size) {
+    const start = this.take(size);
+    return textDecoder.decode(this.bytes.subarray(start, start + size));
+  }
+
+  bin(size) {
+    const start = this.take(size);
+    return this.bytes.slice(start, start + size);
+  }
+
+  array(size) {
+    const result = new Array(size);
+    for (let i = 0; i < size; i++) result[i] = this.value();
+    return result;
+  }
+
+  map(size) {
+    const result = {};
+    for (let i = 0; i < size; i++) {
+      const key = this.value();
+      const value = this.value();
+      // Keys come from the peer: a plain assignment to `__proto__` would swap
+      // the prototype, so it becomes an ordinary own property, as in JSON.parse
+      if (key === '__proto__') {
+        Object.defineProperty(result, key, { value, enumerable: true, configurable: true, writable: true });
+      } else {
+        result[key] = value;
+      }
+    }
+    return result;
+  }
+
+  value() {
+    const byte = this.u8();
+
+    if (byte < 0x80) return byte;
+    if (byte >= 0xe0) return byte - 0x100;
+    if (byte >= 0xa0 && byte <= 0xbf) return this.str(byte & 0x1f);
+    if (byte >= 0x90 && byte <= 0x9f) return this.array(byte & 0x0f);
+    if (byte >= 0x80 && byte <= 0x8f) return this.map(byte & 0x0f);
+
+    switch (byte) {
+      case 0xc0: return null;
+      case 0xc2: return false;
+      case 0xc3: return true;
+      case 0xc4: return this.bin(this.u8());
+      case 0xc5: return this.bin(this.u16());
+      case 0xc6: return this.bin(this.u32());
+      case 0xca: return this.f32();
+      case 0xcb: return this.f64();
+      case 0xcc: return this.u8();
+      case 0xcd: return this.u16();
+      case 0xce: return this.u32();
+      case 0xcf: return this.u64();
+      case 0xd0: return this.i8();
+      case 0xd1: return this.i16();
+      case 0xd2: return this.i32();
+      case 0xd3: return this.i64();
+      case 0xd9: return this.str(this.u8());
+      case 0xda: return this.str(this.u16());
+      case 0xdb: return this.str(this.u32());
+      case 0xdc: return this.array(this.u16());
+      case 0xdd: return this.array(this.u32());
+      case 0xde: return this.map(this.u16());
+      case 0xdf: return this.map(this.u32());
+      default:
+        throw new TypeError(`msgpack: unsupported type 0x${byte.toString(16)}`);
+    }
+  }
+}
+
+/**
+ * Decode one value from a Uint8Array, ArrayBuffer or Node Buffer.
+ */
+function decode(input) {
+  const bytes = input instanceof ArrayBuffer ? new Uint8Array(input) : input;
+  const reader = new Reader(bytes);
+  const value = reader.value();
+  if (reader.offset !== bytes.length) {
+    throw new RangeError('msgpack: trailing bytes after value');
+  }
+  return value;
+}
+
+export { encode, decode };
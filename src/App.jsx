@@ -2,18 +2,37 @@
  * App - Root component with top-level Suspense boundary, Router, and Context providers.
  */
 
-import React, { Suspense, lazy } from 'react';
+import React, { Suspense, lazy, useState, useEffect } from 'react';
 import { BrowserRouter, Routes, Route, Link, useLocation } from 'react-router-dom';
 import { ErrorBoundary } from './components/common/ErrorBoundary';
 import { SuspenseBoundary } from './components/common/SuspenseBoundary';
 import { SuspenseFallback } from './components/common/SuspenseFallback';
 import { PerformanceOverlay } from './components/common/PerformanceOverlay';
 import { WebSocketProvider } from './context/WebSocketContext';
+import { PresenceProvider } from './context/PresenceContext';
+import { PresenceStatusPicker } from './components/common/PresenceIndicator';
 import { CacheProvider } from './context/CacheContext';
 import { PerformanceProvider } from './context/PerformanceContext';
+import { AuthService } from './services/auth/AuthService';
+import { LoginForm } from './components/auth/LoginForm';
+import { setAuthProvider } from './api/client';
 
-const WS_URL = `ws://${window.location.hostname}:3001/ws`;
-const AUTH_TOKEN = 'valid-auth-token-2024';
+// Same origin: the Express server hosts the built UI, and Vite proxies /ws in dev
+const WS_URL = `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}/ws`;
+// Used when the WebSocket keeps failing (e.g. a proxy that blocks upgrades)
+const SSE_URL = '/api/v1/stream';
+
+// Signed in through LoginForm; the session survives reloads of this tab
+const authService = new AuthService({ storage: window.sessionStorage });
+setAuthProvider(authService);
+
+const handleLogin = (credentials) => authService.login(credentials);
+const handleSignOut = () => authService.logout();
+// An admin revoked this session (Settings > Connections); its tokens are dead
+const handleAuthRevoked = (payload) => authService.logout(payload?.message || 'Your session was revoked.');
+
+// Stable reference so the WebSocket connection isn't recreated on re-render
+const getAuthToken = (options) => authService.getAccessToken(options);
 
 // Lazy load all pages - each becomes a separate bundle chunk
 const DashboardPage = lazy(() => import('./pages/DashboardPage'));
@@ -22,12 +41,21 @@ const UsersPage = lazy(() => import('./pages/UsersPage'));
 const AnalyticsPage = lazy(() => import('./pages/AnalyticsPage'));
 const SettingsPage = lazy(() => import('./pages/SettingsPage'));
 
-function AppLayout({ children }) {
+function useSignedInUser() {
+  const [user, setUser] = useState(() => authService.getUser());
+  // Token refreshes replace the user object; only a different user re-renders
+  useEffect(() => authService.onChange((next) => {
+    setUser((prev) => (prev?.username === next?.username ? prev : next));
+  }), []);
+  return user;
+}
+
+function AppLayout({ user, children }) {
   const location = useLocation();
 
   return (
     <div style={{ display: 'flex', minHeight: '100vh', fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif' }}>
-      <Sidebar currentPath={location.pathname} />
+      <Sidebar currentPath={location.pathname} user={user} />
       <main style={{ flex: 1, backgroundColor: '#f9fafb', overflow: 'auto' }}>
         {children}
       </main>
@@ -35,7 +63,7 @@ function AppLayout({ children }) {
   );
 }
 
-function Sidebar({ currentPath }) {
+function Sidebar({ currentPath, user }) {
   const navItems = [
     { path: '/', label: 'Dashboard', icon: '📊' },
     { path: '/feed', label: 'Live Feed', icon: '📡' },
@@ -94,6 +122,27 @@ function Sidebar({ currentPath }) {
           );
         })}
       </div>
+
+      <div style={{ marginTop: 'auto', padding: '16px 20px 0', borderTop: '1px solid #1f2937' }}>
+        <PresenceStatusPicker />
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '12px', fontSize: '12px' }}>
+          <span style={{ color: '#9ca3af' }}>{user.name} ({user.role})</span>
+          <button
+            onClick={handleSignOut}
+            style={{
+              padding: '2px 8px',
+              border: '1px solid #374151',
+              borderRadius: '4px',
+              backgroundColor: 'transparent',
+              color: '#e5e7eb',
+              cursor: 'pointer',
+              fontSize: '12px',
+            }}
+          >
+            Sign out
+          </button>
+        </div>
+      </div>
     </nav>
   );
 }
@@ -113,6 +162,8 @@ function LazyRoute({ children }) {
 }
 
 function App() {
+  const user = useSignedInUser();
+
   return (
     <React.StrictMode>
       {/* Top-level Error Boundary */}
@@ -128,6 +179,11 @@ function App() {
           }}>
             <h1 style={{ color: '#dc2626' }}>Application Error</h1>
             <p style={{ color: '#6b7280' }}>{error?.message}</p>
+            {error?.requestId && (
+              <p style={{ color: '#9ca3af', fontSize: '12px', fontFamily: 'monospace' }}>
+                Request ID: {error.requestId}
+              </p>
+            )}
             <button
               onClick={reset}
               style={{
@@ -147,25 +203,33 @@ function App() {
       >
         {/* Top-level Suspense Boundary */}
         <Suspense fallback={<SuspenseFallback level="page" message="Loading application..." />}>
-          <BrowserRouter>
-            {/* Context Providers - inside Router so routes can access them */}
-            <PerformanceProvider trackingEnabled={true}>
-              <CacheProvider options={{ maxEntries: 200, defaultTTL: 60000 }}>
-                <WebSocketProvider url={WS_URL} authToken={AUTH_TOKEN}>
-                  <AppLayout>
-                    <Routes>
-                      <Route path="/" element={<LazyRoute><DashboardPage /></LazyRoute>} />
-                      <Route path="/feed" element={<LazyRoute><LiveFeedPage /></LazyRoute>} />
-                      <Route path="/users" element={<LazyRoute><UsersPage /></LazyRoute>} />
-                      <Route path="/analytics" element={<LazyRoute><AnalyticsPage /></LazyRoute>} />
-                      <Route path="/settings" element={<LazyRoute><SettingsPage /></LazyRoute>} />
-                    </Routes>
-                  </AppLayout>
-                  <PerformanceOverlay />
-                </WebSocketProvider>
-              </CacheProvider>
-            </PerformanceProvider>
-          </BrowserRouter>
+          {!user ? (
+            <LoginForm onLogin={handleLogin} notice={authService.signOutReason} />
+          ) : (
+            <BrowserRouter>
+              {/* Context Providers - inside Router so routes can access them */}
+              {/* Keyed by user so caches and the realtime connection start fresh on sign-in */}
+              <PerformanceProvider key={user.username} trackingEnabled={true}>
+                <CacheProvider options={{ maxEntries: 200, defaultTTL: 60000 }}>
+                  {/* MessagePack frames when the server agrees, JSON otherwise */}
+                  <WebSocketProvider url={WS_URL} sseUrl={SSE_URL} getAuthToken={getAuthToken} onAuthRevoked={handleAuthRevoked} enableBinary>
+                    <PresenceProvider>
+                      <AppLayout user={user}>
+                        <Routes>
+                          <Route path="/" element={<LazyRoute><DashboardPage /></LazyRoute>} />
+                          <Route path="/feed" element={<LazyRoute><LiveFeedPage /></LazyRoute>} />
+                          <Route path="/users" element={<LazyRoute><UsersPage /></LazyRoute>} />
+                          <Route path="/analytics" element={<LazyRoute><AnalyticsPage /></LazyRoute>} />
+                          <Route path="/settings" element={<LazyRoute><SettingsPage /></LazyRoute>} />
+                        </Routes>
+                      </AppLayout>
+                      <PerformanceOverlay />
+                    </PresenceProvider>
+                  </WebSocketProvider>
+                </CacheProvider>
+              </PerformanceProvider>
+            </BrowserRouter>
+          )}
         </Suspense>
       </ErrorBoundary>
     </React.StrictMode>
@@ -10,23 +10,47 @@ const RETRY_DELAY_BASE = 1000;
 // In-flight request deduplication
 const inFlightRequests = new Map();
 
+// Supplies bearer tokens; see setAuthProvider()
+let authProvider = null;
+
+/**
+ * `requestId` is the server's X-Request-ID for the failed response; quote
+ * it in error reports to find the matching server log line.
+ */
 class ApiError extends Error {
-  constructor(message, status, data = null) {
+  constructor(message, status, data = null, requestId = null) {
     super(message);
     this.name = 'ApiError';
     this.status = status;
     this.data = data;
+    this.requestId = requestId;
   }
 }
 
 class RateLimitError extends ApiError {
-  constructor(retryAfter, data) {
-    super(`Rate limited. Retry after ${retryAfter}s`, 429, data);
+  constructor(retryAfter, data, requestId = null) {
+    super(`Rate limited. Retry after ${retryAfter}s`, 429, data, requestId);
     this.name = 'RateLimitError';
     this.retryAfter = retryAfter;
   }
 }
 
+/**
+ * Result of a conditional request. On 304 `data` is null and the caller
+ * keeps using its cached copy; otherwise `etag` validates the new body.
+ */
+class ConditionalResponse {
+  constructor(status, data, etag) {
+    this.status = status;
+    this.data = data;
+    this.etag = etag;
+  }
+
+  get notModified() {
+    return this.status === 304;
+  }
+}
+
 async function apiClient(endpoint, options = {}) {
   const {
     method = 'GET',
@@ -38,9 +62,16 @@ async function apiClient(endpoint, options = {}) {
     deduplicate = true,
     signal = null,
     version = 'v1',
+    conditional = false,
+    etag = null,
+    auth = true,
+    responseType = 'json',
   } = options;
 
-  const url = `${baseUrl}/${version}${endpoint}`;
+  // `version: null` for the few unversioned routes (e.g. /admin/ws/clients)
+  const url = version ? `${baseUrl}/${version}${endpoint}` : `${baseUrl}${endpoint}`;
+  // Conditional and plain GETs resolve to different shapes; never share them
+  const dedupKey = conditional ? `${url}#${etag || ''}` : url;
 
   // Request deduplication for GET requests WITHOUT abort signals.
   // Requests with signals are independently cancellable and must not
@@ -48,7 +79,7 @@ async function apiClient(endpoint, options = {}) {
   const canDedup = method === 'GET' && deduplicate && !signal;
 
   if (canDedup) {
-    const existing = inFlightRequests.get(url);
+    const existing = inFlightRequests.get(dedupKey);
     if (existing) {
       return existing;
     }
@@ -61,15 +92,20 @@ async function apiClient(endpoint, options = {}) {
     signal,
     retry,
     maxRetries,
+    conditional,
+    etag,
+    auth: auth && authProvider !== null,
+    responseType,
+    authRetried: false,
     attempt: 0,
   });
 
   // Track in-flight GET requests for deduplication
   if (canDedup) {
-    inFlightRequests.set(url, fetchPromise);
+    inFlightRequests.set(dedupKey, fetchPromise);
     fetchPromise.then(
-      () => inFlightRequests.delete(url),
-      () => inFlightRequests.delete(url)
+      () => inFlightRequests.delete(dedupKey),
+      () => inFlightRequests.delete(dedupKey)
     );
   }
 
@@ -77,12 +113,18 @@ async function apiClient(endpoint, options = {}) {
 }
 
 async function _executeFetch(url, options) {
-  const { method, body, headers, signal, retry, maxRetries, attempt } = options;
+  const { method, body, headers, signal, retry, maxRetries, conditional, etag, auth, responseType, authRetried, attempt } = options;
+
+  const accessToken = auth ? await authProvider.getAccessToken() : null;
 
   const fetchOptions = {
     method,
     headers: {
       'Content-Type': 'application/json',
+      // fetch adds `Cache-Control: no-cache` to conditional requests unless
+      // one is set, and the server never answers those with a 304
+      ...(conditional && etag ? { 'If-None-Match': etag, 'Cache-Control': 'max-age=0' } : {}),
+      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
       ...headers,
     },
   };
@@ -92,8 +134,11 @@ async function _executeFetch(url, options) {
     fetchOptions.signal = signal;
   }
 
+  // A caller-supplied Content-Type (e.g. text/csv) means the body is already encoded
   if (body && method !== 'GET') {
-    fetchOptions.body = JSON.stringify(body);
+    fetchOptions.body = fetchOptions.headers['Content-Type'].startsWith('application/json')
+      ? JSON.stringify(body)
+      : body;
   }
 
   try {
@@ -110,7 +155,7 @@ async function _executeFetch(url, options) {
         return _executeFetch(url, { ...options, attempt: attempt + 1 });
       }
 
-      throw new RateLimitError(retryAfter, data);
+      throw new RateLimitError(retryAfter, data, response.headers.get('X-Request-ID'));
     }
 
     // Handle server errors with retry
@@ -120,17 +165,33 @@ async function _executeFetch(url, options) {
       return _executeFetch(url, { ...options, attempt: attempt + 1 });
     }
 
+    // Expired or rejected token: refresh once and replay the request
+    if (response.status === 401 && auth && !authRetried) {
+      await authProvider.getAccessToken({ forceRefresh: true });
+      return _executeFetch(url, { ...options, authRetried: true });
+    }
+
+    // Cached copy is still valid — nothing to download
+    if (response.status === 304 && conditional) {
+      return new ConditionalResponse(304, null, response.headers.get('ETag') || etag);
+    }
+
     // Handle client errors
     if (!response.ok) {
       const data = await response.json().catch(() => null);
       throw new ApiError(
         data?.error || `Request failed with status ${response.status}`,
         response.status,
-        data
+        data,
+        response.headers.get('X-Request-ID') || data?.requestId || null
       );
     }
 
-    const data = await response.json();
+    // Downloads ask for 'blob' or 'text' instead of parsed JSON
+    const data = await response[responseType]();
+    if (conditional) {
+      return new ConditionalResponse(response.status, data, response.headers.get('ETag'));
+    }
     return data;
   } catch (error) {
     // Don't retry aborted requests
@@ -154,6 +215,15 @@ async function _executeFetch(url, options) {
   }
 }
 
+/**
+ * Register the source of bearer tokens for every request. The provider must
+ * implement `getAccessToken({ forceRefresh })` returning a Promise<string|null>.
+ * Pass `auth: false` in request options to skip it (e.g. for login itself).
+ */
+function setAuthProvider(provider) {
+  authProvider = provider;
+}
+
 function _delay(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
@@ -163,6 +233,13 @@ function get(endpoint, options = {}) {
   return apiClient(endpoint, { ...options, method: 'GET' });
 }
 
+/**
+ * GET that revalidates with If-None-Match. Resolves to a ConditionalResponse.
+ */
+function getConditional(endpoint, etag, options = {}) {
+  return apiClient(endpoint, { ...options, method: 'GET', conditional: true, etag });
+}
+
 function post(endpoint, body, options = {}) {
   return apiClient(endpoint, { ...options, method: 'POST', body });
 }
@@ -171,8 +248,24 @@ function put(endpoint, body, options = {}) {
   return apiClient(endpoint, { ...options, method: 'PUT', body });
 }
 
+function patch(endpoint, body, options = {}) {
+  return apiClient(endpoint, { ...options, method: 'PATCH', body });
+}
+
 function del(endpoint, options = {}) {
   return apiClient(endpoint, { ...options, method: 'DELETE' });
 }
 
-export { apiClient, get, post, put, del, ApiError, RateLimitError };
+export {
+  apiClient,
+  get,
+  getConditional,
+  post,
+  put,
+  patch,
+  del,
+  setAuthProvider,
+  ApiError,
+  RateLimitError,
+  ConditionalResponse,
+};
@@ -7,7 +7,10 @@ const ENDPOINTS = {
     LIST: '/users',
     DETAIL: (id) => `/users/${id}`,
     CREATE: '/users',
+    UPDATE: (id) => `/users/${id}`,
+    DELETE: (id) => `/users/${id}`,
   },
+  FEED: '/feed',
   ANALYTICS: '/analytics',
   DASHBOARD: '/dashboard',
   METRICS: '/metrics',
@@ -3,14 +3,22 @@
  */
 
 import { createResource, createKeyedResource } from './createResource';
-import { get } from '../client';
+import { get, patch, del } from '../client';
+import { ENDPOINTS } from '../endpoints';
 
 /**
  * Resource for fetching the paginated user list.
+ * Pass `cursor` (from pagination.nextCursor/prevCursor) instead of `page`
+ * for stable paging; `sort`, `role` and `status` are optional.
  */
 function createUserListResource(params = {}) {
-  const { page = 1, limit = 10, search = '' } = params;
-  const query = new URLSearchParams({ page, limit, search }).toString();
+  const { page = 1, limit = 10, search = '', cursor, sort, role, status } = params;
+  const query = new URLSearchParams({ limit, search });
+  if (cursor) query.set('cursor', cursor);
+  else query.set('page', page);
+  if (sort) query.set('sort', sort);
+  if (role) query.set('role', role);
+  if (status) query.set('status', status);
 
   return createResource(
     (signal) => get(`/users?${query}`, { signal }).then((res) => res.data),
@@ -26,4 +34,19 @@ const userProfileResource = createKeyedResource(
   (userId) => get(`/users/${userId}`).then((res) => res.data)
 );
 
-export { createUserListResource, userProfileResource };
+/**
+ * Update some of a user's editable fields (name, email, role, status).
+ * Resolves to the updated user; callers invalidate cached copies.
+ */
+function updateUser(userId, changes) {
+  return patch(ENDPOINTS.USERS.UPDATE(userId), changes, { retry: false }).then((res) => res.data);
+}
+
+/**
+ * Delete a user. Resolves to the removed user.
+ */
+function deleteUser(userId) {
+  return del(ENDPOINTS.USERS.DELETE(userId), { retry: false }).then((res) => res.data);
+}
+
+export { createUserListResource, userProfileResource, updateUser, deleteUser };
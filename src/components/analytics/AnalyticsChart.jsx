@@ -6,28 +6,62 @@
 import React, { memo, useMemo, useState, useEffect, useCallback } from 'react';
 import { get } from '../../api/client';
 import { useWebSocketContext } from '../../context/WebSocketContext';
+import { hasPermission, describeDenial } from '../../utils/permissions';
 import { SuspenseBoundary } from '../common/SuspenseBoundary';
 import { SkeletonDashboard } from '../common/SuspenseFallback';
 
-// ── Module-level Suspense cache ──
+// Selectable time ranges; the server buckets samples at `granularity`
+const RANGES = {
+  '1h': { label: 'Last hour', granularity: '5m', span: 3600000 },
+  '24h': { label: 'Last 24h', granularity: '1h', span: 86400000 },
+  '7d': { label: 'Last 7 days', granularity: '1d', span: 7 * 86400000 },
+};
+
+const DEFAULT_RANGE = '24h';
+
+// ── Module-level Suspense cache (keyed by range) ──
 // Uses apiClient (retry, dedup, rate limiting) inside the throw-promise pattern
-let analyticsEntry = null;
-
-function readAnalytics() {
-  if (analyticsEntry && analyticsEntry.data) return analyticsEntry.data;
-  if (analyticsEntry && analyticsEntry.error) throw analyticsEntry.error; // ErrorBoundary catches once
-  if (analyticsEntry && analyticsEntry.promise) throw analyticsEntry.promise;
-
-  analyticsEntry = { data: null, error: null, promise: null };
-  analyticsEntry.promise = get('/analytics')
-    .then((d) => { analyticsEntry.data = d; })
-    .catch((e) => { analyticsEntry.error = e; }); // Store error, don't reset cache
-  throw analyticsEntry.promise;
+const analyticsCache = new Map();
+
+function readAnalytics(range) {
+  const cached = analyticsCache.get(range);
+  if (cached && cached.data) return cached.data;
+  if (cached && cached.error) throw cached.error; // ErrorBoundary catches once
+  if (cached && cached.promise) throw cached.promise;
+
+  const { granularity, span } = RANGES[range];
+  const query = range === DEFAULT_RANGE
+    ? ''
+    : `?granularity=${granularity}&from=${Date.now() - span}`;
+
+  const entry = { data: null, error: null, promise: null };
+  entry.promise = get(`/analytics${query}`)
+    .then((d) => { entry.data = d; })
+    .catch((e) => { entry.error = e; }); // Store error, don't reset cache
+  analyticsCache.set(range, entry);
+  throw entry.promise;
 }
 
 // Invalidate the Suspense cache (forces re-fetch on next read)
-function invalidateAnalyticsCache() {
-  analyticsEntry = null;
+function invalidateAnalyticsCache(range) {
+  if (range) {
+    analyticsCache.delete(range);
+  } else {
+    analyticsCache.clear();
+  }
+}
+
+function formatBucketTime(timestamp, range) {
+  const date = new Date(timestamp);
+  return range === '7d'
+    ? date.toLocaleDateString([], { month: 'short', day: 'numeric' })
+    : date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function formatBytesSaved({ bytes, jsonBytes }) {
+  const saved = jsonBytes - bytes;
+  const percent = jsonBytes ? Math.round((saved / jsonBytes) * 100) : 0;
+  return `${saved} B (${percent}%)`;
 }
 
 /**
@@ -35,21 +69,42 @@ function invalidateAnalyticsCache() {
  * and subscribes to real-time WebSocket analytics updates.
  */
 const AnalyticsChartWrapper = memo(function AnalyticsChartWrapper() {
-  const { subscribe, send, connected, authenticated } = useWebSocketContext();
+  const { subscribe, send, connected, authenticated, user, getState } = useWebSocketContext();
   const [refreshKey, setRefreshKey] = useState(0);
+  const [range, setRange] = useState(DEFAULT_RANGE);
   const [realtimeUpdate, setRealtimeUpdate] = useState(null);
+  const [denial, setDenial] = useState(null);
+  const [wire, setWire] = useState(null);
 
-  // Subscribe to the 'analytics' WebSocket channel when authenticated
+  const canSubscribe = authenticated && hasPermission(user, 'analytics:subscribe');
+
+  // Subscribe to the 'analytics' WebSocket channel when the role allows it
   useEffect(() => {
-    if (connected && authenticated) {
+    if (connected && canSubscribe) {
       send('subscribe', { channel: 'analytics' });
     }
     return () => {
-      if (connected && authenticated) {
+      if (connected && canSubscribe) {
         send('unsubscribe', { channel: 'analytics' });
       }
     };
-  }, [connected, authenticated, send]);
+  }, [connected, canSubscribe, send]);
+
+  // The server has the final say on the subscription
+  useEffect(() => {
+    const unsubscribe = subscribe('error', (payload) => {
+      if (payload?.requestType === 'subscribe' && payload.permission === 'analytics:subscribe') {
+        setDenial(payload);
+      }
+    });
+    return unsubscribe;
+  }, [subscribe]);
+
+  const liveNotice = describeDenial(
+    denial || (authenticated && !canSubscribe
+      ? { code: 'permission_denied', permission: 'analytics:subscribe', role: user?.role }
+      : null)
+  );
 
   // Listen for real-time analytics:update messages
   useEffect(() => {
@@ -59,10 +114,26 @@ const AnalyticsChartWrapper = memo(function AnalyticsChartWrapper() {
     return unsubscribe;
   }, [subscribe]);
 
+  // Wire cost of live updates vs. the same messages as JSON text
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const state = getState();
+      const stats = state?.wireStats['analytics:update'];
+      if (stats) {
+        setWire({ protocol: state.protocol, ...stats });
+      }
+    }, 5000);
+    return () => clearInterval(interval);
+  }, [getState]);
+
   const handleRefresh = useCallback(() => {
-    invalidateAnalyticsCache();
+    invalidateAnalyticsCache(range);
     setRealtimeUpdate(null);
     setRefreshKey((k) => k + 1);
+  }, [range]);
+
+  const handleRangeChange = useCallback((e) => {
+    setRange(e.target.value);
   }, []);
 
   return (
@@ -70,11 +141,36 @@ const AnalyticsChartWrapper = memo(function AnalyticsChartWrapper() {
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
         <h3 style={{ margin: 0, fontSize: '18px', color: '#111827' }}>Analytics Overview</h3>
         <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
-          {realtimeUpdate && (
+          {realtimeUpdate && range === DEFAULT_RANGE && (
             <span style={{ fontSize: '11px', color: '#10b981', fontWeight: '500' }}>
               Live
             </span>
           )}
+          {wire && (
+            <span
+              title={`${wire.messages} updates: ${wire.bytes} B received, ${wire.jsonBytes} B as JSON`}
+              style={{ fontSize: '11px', color: '#6b7280' }}
+            >
+              {wire.protocol} · saved {formatBytesSaved(wire)}
+            </span>
+          )}
+          {liveNotice && (
+            <span title={liveNotice} style={{ fontSize: '11px', color: '#9ca3af' }}>
+              Live updates unavailable
+            </span>
+          )}
+          <select value={range} onChange={handleRangeChange} style={{
+            padding: '6px 10px',
+            border: '1px solid #d1d5db',
+            borderRadius: '6px',
+            backgroundColor: 'white',
+            fontSize: '13px',
+            color: '#374151',
+          }}>
+            {Object.entries(RANGES).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
           <button onClick={handleRefresh} style={{
             padding: '6px 14px',
             border: '1px solid #d1d5db',
@@ -89,18 +185,22 @@ const AnalyticsChartWrapper = memo(function AnalyticsChartWrapper() {
         </div>
       </div>
       <SuspenseBoundary
-        suspenseKey={`analytics-${refreshKey}`}
+        suspenseKey={`analytics-${range}-${refreshKey}`}
         fallback={<SkeletonDashboard />}
         level="section"
       >
-        <AnalyticsChart realtimeUpdate={realtimeUpdate} />
+        {/* Live 5s samples only make sense next to the hourly buckets */}
+        <AnalyticsChart
+          range={range}
+          realtimeUpdate={range === DEFAULT_RANGE ? realtimeUpdate : null}
+        />
       </SuspenseBoundary>
     </div>
   );
 });
 
-const AnalyticsChart = memo(function AnalyticsChart({ realtimeUpdate }) {
-  const response = readAnalytics();
+const AnalyticsChart = memo(function AnalyticsChart({ range = DEFAULT_RANGE, realtimeUpdate }) {
+  const response = readAnalytics(range);
   const { summary: initialSummary, timeSeries: initialTimeSeries } = response.data;
 
   // Merge real-time WebSocket data into the summary when available
@@ -136,9 +236,13 @@ const AnalyticsChart = memo(function AnalyticsChart({ realtimeUpdate }) {
     return timeSeries.map((point) => ({
       ...point,
       heightPercent: maxRequests > 0 ? (point.requests / maxRequests) * 100 : 0,
-      hour: new Date(point.timestamp).getHours(),
+      label: formatBucketTime(point.timestamp, range),
     }));
-  }, [timeSeries]);
+  }, [timeSeries, range]);
+
+  const axisLabels = chartBars.length > 0
+    ? [chartBars[0], chartBars[Math.floor(chartBars.length / 2)], chartBars[chartBars.length - 1]]
+    : [];
 
   return (
     <div>
@@ -165,7 +269,7 @@ const AnalyticsChart = memo(function AnalyticsChart({ realtimeUpdate }) {
         border: '1px solid #e5e7eb',
       }}>
         <h4 style={{ margin: '0 0 16px 0', fontSize: '15px', color: '#374151' }}>
-          Requests (24h)
+          Requests ({RANGES[range].label})
         </h4>
         <div style={{
           display: 'flex',
@@ -186,7 +290,7 @@ const AnalyticsChart = memo(function AnalyticsChart({ realtimeUpdate }) {
                 transition: 'height 0.2s ease',
                 position: 'relative',
               }}
-              title={`${bar.hour}:00 - ${bar.requests.toLocaleString()} requests`}
+              title={`${bar.label} - ${bar.requests.toLocaleString()} requests`}
             />
           ))}
         </div>
@@ -198,11 +302,9 @@ const AnalyticsChart = memo(function AnalyticsChart({ realtimeUpdate }) {
           color: '#9ca3af',
           padding: '0 10px',
         }}>
-          <span>0h</span>
-          <span>6h</span>
-          <span>12h</span>
-          <span>18h</span>
-          <span>24h</span>
+          {axisLabels.map((bar, i) => (
+            <span key={i}>{bar.label}</span>
+          ))}
         </div>
       </div>
     </div>
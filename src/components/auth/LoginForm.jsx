@@ -0,0 +1,134 @@
+/**
+ * LoginForm - Sign-in screen. Any of the demo accounts (one per role, see
+ * server/auth.js) can be picked, so role-gated UI can be tried as each role.
+ */
+
+import React, { useState, memo } from 'react';
+
+const DEMO_ACCOUNTS = [
+  { username: 'admin', role: 'Admin' },
+  { username: 'manager', role: 'Manager' },
+  { username: 'developer', role: 'Developer' },
+  { username: 'devops', role: 'DevOps' },
+  { username: 'designer', role: 'Designer' },
+  { username: 'analyst', role: 'Analyst' },
+];
+
+const LoginForm = memo(function LoginForm({ onLogin, notice }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await onLogin({ username: username.trim(), password });
+    } catch (err) {
+      setError(err.data?.error || err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div style={{
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      minHeight: '100vh',
+      backgroundColor: '#f9fafb',
+      fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+    }}>
+      <form
+        onSubmit={handleSubmit}
+        style={{
+          width: '320px',
+          padding: '24px',
+          backgroundColor: 'white',
+          borderRadius: '8px',
+          border: '1px solid #e5e7eb',
+        }}
+      >
+        <h1 style={{ margin: '0 0 4px', fontSize: '20px', color: '#111827' }}>Analytics Hub</h1>
+        <p style={{ margin: '0 0 16px', fontSize: '13px', color: '#6b7280' }}>Sign in to continue</p>
+
+        {notice && (
+          <div style={{ fontSize: '13px', color: '#92400e', marginBottom: '12px' }}>{notice}</div>
+        )}
+
+        <label style={labelStyle}>
+          Account
+          <select
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            required
+            style={fieldStyle}
+          >
+            <option value="" disabled>Choose a demo account</option>
+            {DEMO_ACCOUNTS.map((account) => (
+              <option key={account.username} value={account.username}>
+                {account.username} ({account.role})
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label style={labelStyle}>
+          Password
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            required
+            style={fieldStyle}
+          />
+        </label>
+
+        {error && (
+          <div style={{ fontSize: '13px', color: '#991b1b', marginBottom: '12px' }}>{error}</div>
+        )}
+
+        <button
+          type="submit"
+          disabled={submitting}
+          style={{
+            width: '100%',
+            padding: '8px 16px',
+            backgroundColor: '#3b82f6',
+            color: 'white',
+            border: 'none',
+            borderRadius: '6px',
+            cursor: 'pointer',
+            fontSize: '14px',
+            opacity: submitting ? 0.7 : 1,
+          }}
+        >
+          {submitting ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+});
+
+const labelStyle = {
+  display: 'block',
+  fontSize: '13px',
+  color: '#374151',
+  marginBottom: '12px',
+};
+
+const fieldStyle = {
+  display: 'block',
+  width: '100%',
+  boxSizing: 'border-box',
+  marginTop: '4px',
+  padding: '8px 10px',
+  border: '1px solid #d1d5db',
+  borderRadius: '6px',
+  fontSize: '14px',
+};
+
+export { LoginForm };
@@ -62,6 +62,11 @@ class ErrorBoundary extends React.Component {
           <p style={{ margin: '0 0 12px 0', fontSize: '14px', color: '#b91c1c' }}>
             {this.state.error?.message || 'An unexpected error occurred'}
           </p>
+          {this.state.error?.requestId && (
+            <p style={{ margin: '0 0 12px 0', fontSize: '12px', color: '#b91c1c', fontFamily: 'monospace' }}>
+              Request ID: {this.state.error.requestId}
+            </p>
+          )}
           <button
             onClick={this.handleReset}
             style={{
@@ -0,0 +1,75 @@
+/**
+ * PresenceIndicator - Live presence dot and the current user's status picker.
+ */
+
+import React, { memo, useCallback } from 'react';
+import { usePresence, usePresenceContext } from '../../context/PresenceContext';
+
+const presenceColors = {
+  active: '#059669',
+  away: '#d97706',
+  busy: '#dc2626',
+  offline: '#9ca3af',
+};
+
+const PresenceDot = memo(function PresenceDot({ userId, showLabel = false, size = 8 }) {
+  const entry = usePresence(userId);
+  const status = entry ? entry.status : 'offline';
+  const label = entry?.idle ? 'away (idle)' : status;
+  const title = entry
+    ? `${label} · last active ${new Date(entry.lastActiveAt).toLocaleTimeString()}`
+    : 'offline';
+
+  return (
+    <span title={title} style={{
+      display: 'inline-flex',
+      alignItems: 'center',
+      gap: '4px',
+      fontSize: '12px',
+      color: presenceColors[status],
+    }}>
+      <span style={{
+        width: `${size}px`,
+        height: `${size}px`,
+        borderRadius: '50%',
+        backgroundColor: presenceColors[status],
+        flexShrink: 0,
+      }} />
+      {showLabel && label}
+    </span>
+  );
+});
+
+const PresenceStatusPicker = memo(function PresenceStatusPicker() {
+  const { myStatus, setMyStatus } = usePresenceContext();
+
+  const handleChange = useCallback((e) => {
+    setMyStatus(e.target.value);
+  }, [setMyStatus]);
+
+  return (
+    <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '12px', color: '#9ca3af' }}>
+      <span style={{
+        width: '8px',
+        height: '8px',
+        borderRadius: '50%',
+        backgroundColor: presenceColors[myStatus],
+      }} />
+      <select value={myStatus} onChange={handleChange} style={{
+        flex: 1,
+        padding: '4px 6px',
+        backgroundColor: '#1f2937',
+        color: '#e5e7eb',
+        border: '1px solid #374151',
+        borderRadius: '4px',
+        fontSize: '12px',
+      }}>
+        <option value="active">Active</option>
+        <option value="away">Away</option>
+        <option value="busy">Busy</option>
+      </select>
+    </label>
+  );
+});
+
+export { PresenceDot, PresenceStatusPicker };
@@ -5,6 +5,7 @@
 import React, { memo, useMemo, useCallback, useState, startTransition } from 'react';
 import { DashboardWidget } from './DashboardWidget';
 import { MetricsPanel } from './MetricsPanel';
+import { FieldMetricsPanel } from './FieldMetricsPanel';
 import { RealTimeIndicator } from './RealTimeIndicator';
 import { DataGrid } from './DataGrid';
 import { usePerformanceMetrics } from '../../hooks/usePerformanceMetrics';
@@ -104,6 +105,7 @@ const Dashboard = memo(function Dashboard() {
 
       {/* Performance Metrics Panel */}
       <MetricsPanel renderMetrics={metrics} />
+      <FieldMetricsPanel />
 
       {/* Data Grid with filter */}
       <div style={{ marginTop: '24px' }}>
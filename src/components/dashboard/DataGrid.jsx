@@ -4,18 +4,23 @@
 
 import React, { memo, useMemo, useState, useCallback } from 'react';
 import { useApiCache } from '../../hooks/useApiCache';
-import { get } from '../../api/client';
+import { getConditional } from '../../api/client';
+import { PresenceDot } from '../common/PresenceIndicator';
 
 const VISIBLE_ROWS = 20;
 
 const DataGrid = memo(function DataGrid({ filter = '' }) {
-  const [page, setPage] = useState(1);
+  const [cursor, setCursor] = useState(null);
 
-  // Fetch with cache-first strategy via useApiCache
+  // Fetch with cache-first strategy via useApiCache; expired pages are
+  // revalidated with If-None-Match instead of downloaded again.
+  // Cursor pagination keeps pages stable while users are being created.
+  const query = cursor ? `limit=50&cursor=${encodeURIComponent(cursor)}` : 'limit=50';
   const { data, isLoading } = useApiCache(
-    () => get(`/users?page=${page}&limit=50`),
-    { cacheKey: `datagrid-users-${page}`, strategy: 'cache-first', ttl: 30000 }
+    ({ etag }) => getConditional(`/users?${query}`, etag),
+    { cacheKey: `datagrid-users-${cursor || 'first'}`, strategy: 'cache-first', ttl: 30000 }
   );
+  const pagination = data?.pagination || {};
 
   const users = useMemo(() => {
     if (!data?.data) return [];
@@ -34,12 +39,12 @@ const DataGrid = memo(function DataGrid({ filter = '' }) {
   }, [users]);
 
   const handleNextPage = useCallback(() => {
-    setPage((p) => p + 1);
-  }, []);
+    if (pagination.nextCursor) setCursor(pagination.nextCursor);
+  }, [pagination.nextCursor]);
 
   const handlePrevPage = useCallback(() => {
-    setPage((p) => Math.max(1, p - 1));
-  }, []);
+    if (pagination.prevCursor) setCursor(pagination.prevCursor);
+  }, [pagination.prevCursor]);
 
   if (isLoading && !data) {
     return <div style={{ padding: '20px', color: '#6b7280' }}>Loading grid data...</div>;
@@ -53,7 +58,7 @@ const DataGrid = memo(function DataGrid({ filter = '' }) {
             <th style={thStyle}>Name</th>
             <th style={thStyle}>Email</th>
             <th style={thStyle}>Role</th>
-            <th style={thStyle}>Status</th>
+            <th style={thStyle}>Presence</th>
             <th style={thStyle}>Tasks</th>
           </tr>
         </thead>
@@ -80,13 +85,13 @@ const DataGrid = memo(function DataGrid({ filter = '' }) {
         backgroundColor: '#f9fafb',
       }}>
         <span style={{ fontSize: '13px', color: '#6b7280' }}>
-          Showing {visibleUsers.length} of {users.length} rows (page {page})
+          Showing {visibleUsers.length} of {users.length} rows (page {pagination.page ?? 1})
         </span>
         <div style={{ display: 'flex', gap: '8px' }}>
-          <button onClick={handlePrevPage} disabled={page === 1} style={btnStyle}>
+          <button onClick={handlePrevPage} disabled={!pagination.prevCursor} style={btnStyle}>
             Previous
           </button>
-          <button onClick={handleNextPage} style={btnStyle}>
+          <button onClick={handleNextPage} disabled={!pagination.nextCursor} style={btnStyle}>
             Next
           </button>
         </div>
@@ -96,13 +101,6 @@ const DataGrid = memo(function DataGrid({ filter = '' }) {
 });
 
 const DataGridRow = memo(function DataGridRow({ user }) {
-  const statusColor = {
-    active: '#059669',
-    inactive: '#6b7280',
-    away: '#d97706',
-    busy: '#dc2626',
-  };
-
   return (
     <tr style={{ borderBottom: '1px solid #f3f4f6' }}>
       <td style={tdStyle}>{user.name}</td>
@@ -118,21 +116,7 @@ const DataGridRow = memo(function DataGridRow({ user }) {
         </span>
       </td>
       <td style={tdStyle}>
-        <span style={{
-          display: 'inline-flex',
-          alignItems: 'center',
-          gap: '4px',
-          fontSize: '13px',
-          color: statusColor[user.status] || '#6b7280',
-        }}>
-          <span style={{
-            width: '6px',
-            height: '6px',
-            borderRadius: '50%',
-            backgroundColor: statusColor[user.status] || '#6b7280',
-          }} />
-          {user.status}
-        </span>
+        <PresenceDot userId={user.id} showLabel size={6} />
       </td>
       <td style={tdStyle}>{user.metrics?.tasksCompleted || 0}</td>
     </tr>
@@ -0,0 +1,122 @@
+/**
+ * FieldMetricsPanel - Real-user percentiles (p50/p75/p95) per route and
+ * metric, as aggregated by GET /v1/metrics.
+ */
+
+import React, { memo } from 'react';
+import { useApiCache } from '../../hooks/useApiCache';
+import { get } from '../../api/client';
+
+const METRIC_LABELS = {
+  fcp: 'FCP',
+  lcp: 'LCP',
+  cls: 'CLS',
+  ttfb: 'TTFB',
+  render: 'Render',
+};
+
+// p75 above this is flagged, following the web-vitals "needs improvement" bar
+const P75_WARN = {
+  fcp: 1800,
+  lcp: 2500,
+  cls: 0.1,
+  ttfb: 800,
+  render: 16,
+};
+
+const FieldMetricsPanel = memo(function FieldMetricsPanel() {
+  const { data, error, isLoading, refetch } = useApiCache(
+    () => get('/metrics'),
+    { cacheKey: 'rum-metrics', strategy: 'stale-while-revalidate', ttl: 30000, tags: ['metrics'] }
+  );
+
+  const summary = data?.data;
+  const routes = Object.entries(summary?.routes || {}).sort(([a], [b]) => a.localeCompare(b));
+
+  let content;
+  if (error && !summary) {
+    content = <div style={{ fontSize: '13px', color: '#991b1b' }}>Failed to load field data: {error.message}{error.requestId && ` (request ${error.requestId})`}</div>;
+  } else if (!summary) {
+    content = <div style={{ fontSize: '13px', color: '#9ca3af' }}>{isLoading ? 'Loading...' : 'No data'}</div>;
+  } else if (routes.length === 0) {
+    content = (
+      <div style={{ fontSize: '13px', color: '#9ca3af' }}>
+        No field data yet. Render times arrive every few seconds; page vitals are sent when a tab is hidden.
+      </div>
+    );
+  } else {
+    content = (
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+        <thead>
+          <tr style={{ textAlign: 'left', color: '#6b7280' }}>
+            <th style={cellStyle}>Route</th>
+            <th style={cellStyle}>Metric</th>
+            <th style={cellStyle}>p50</th>
+            <th style={cellStyle}>p75</th>
+            <th style={cellStyle}>p95</th>
+            <th style={cellStyle}>Samples</th>
+          </tr>
+        </thead>
+        <tbody>
+          {routes.flatMap(([route, metrics]) =>
+            Object.entries(metrics).map(([metric, stats]) => (
+              <tr key={`${route}-${metric}`} style={{ borderTop: '1px solid #e5e7eb' }}>
+                <td style={{ ...cellStyle, fontFamily: 'monospace' }}>{route}</td>
+                <td style={cellStyle}>{METRIC_LABELS[metric] || metric}</td>
+                <td style={cellStyle}>{formatValue(stats.p50, stats.unit)}</td>
+                <td style={{ ...cellStyle, color: stats.p75 > P75_WARN[metric] ? '#dc2626' : '#111827', fontWeight: '600' }}>
+                  {formatValue(stats.p75, stats.unit)}
+                </td>
+                <td style={cellStyle}>{formatValue(stats.p95, stats.unit)}</td>
+                <td style={{ ...cellStyle, color: '#6b7280' }}>{stats.count}</td>
+              </tr>
+            ))
+          )}
+        </tbody>
+      </table>
+    );
+  }
+
+  return (
+    <div style={{
+      padding: '16px',
+      backgroundColor: '#f9fafb',
+      borderRadius: '8px',
+      border: '1px solid #e5e7eb',
+      marginTop: '16px',
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+        <h3 style={{ margin: 0, fontSize: '15px', color: '#374151' }}>
+          Field Data
+          {summary?.totalSamples > 0 && (
+            <span style={{ fontSize: '11px', fontWeight: '400', color: '#9ca3af', marginLeft: '8px' }}>
+              {summary.totalSamples} samples since {new Date(summary.since).toLocaleTimeString()}
+            </span>
+          )}
+        </h3>
+        <button onClick={refetch} style={refreshBtnStyle}>Refresh</button>
+      </div>
+      {content}
+    </div>
+  );
+});
+
+function formatValue(value, unit) {
+  return unit ? `${value}${unit}` : value;
+}
+
+const cellStyle = {
+  padding: '6px 8px',
+};
+
+const refreshBtnStyle = {
+  padding: '4px 10px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  backgroundColor: 'white',
+  cursor: 'pointer',
+  fontSize: '12px',
+  color: '#374151',
+};
+
+export { FieldMetricsPanel };
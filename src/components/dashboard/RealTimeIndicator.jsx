@@ -2,21 +2,33 @@
  * RealTimeIndicator - Shows WebSocket connection status.
  */
 
-import React, { memo } from 'react';
+import React, { useState, useEffect, memo } from 'react';
 import { useWebSocketContext } from '../../context/WebSocketContext';
 
 const RealTimeIndicator = memo(function RealTimeIndicator() {
-  const { connected, authenticated, reconnecting, reconnectAttempt } = useWebSocketContext();
+  const { connected, authenticated, reconnecting, reconnectAttempt, subscribe } = useWebSocketContext();
+  const [serverRestarting, setServerRestarting] = useState(false);
+
+  useEffect(() => subscribe('server:shutdown', () => setServerRestarting(true)), [subscribe]);
+
+  const live = connected && authenticated;
+  useEffect(() => {
+    if (live) setServerRestarting(false);
+  }, [live]);
 
   let status = 'disconnected';
   let color = '#ef4444';
   let label = 'Disconnected';
 
-  if (reconnecting) {
+  if (serverRestarting && !live) {
+    status = 'reconnecting';
+    color = '#f59e0b';
+    label = 'Server restarting...';
+  } else if (reconnecting) {
     status = 'reconnecting';
     color = '#f59e0b';
     label = `Reconnecting (${reconnectAttempt})...`;
-  } else if (connected && authenticated) {
+  } else if (live) {
     status = 'connected';
     color = '#10b981';
     label = 'Live';
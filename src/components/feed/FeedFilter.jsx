@@ -4,7 +4,7 @@
 
 import React, { memo, useCallback } from 'react';
 
-const FeedFilter = memo(function FeedFilter({ filter, onChange }) {
+const FeedFilter = memo(function FeedFilter({ filter, onChange, serverFilter }) {
   const handleTypeChange = useCallback(
     (e) => {
       onChange({ ...filter, type: e.target.value });
@@ -19,6 +19,20 @@ const FeedFilter = memo(function FeedFilter({ filter, onChange }) {
     [filter, onChange]
   );
 
+  const handleTextChange = useCallback(
+    (e) => {
+      onChange({ ...filter, text: e.target.value });
+    },
+    [filter, onChange]
+  );
+
+  const handleServerSideChange = useCallback(
+    (e) => {
+      onChange({ ...filter, serverSide: e.target.checked });
+    },
+    [filter, onChange]
+  );
+
   return (
     <div style={{
       display: 'flex',
@@ -54,10 +68,41 @@ const FeedFilter = memo(function FeedFilter({ filter, onChange }) {
           <option value="critical">Critical</option>
         </select>
       </div>
+      <div>
+        <label style={{ fontSize: '12px', color: '#6b7280', display: 'block', marginBottom: '4px' }}>
+          Contains
+        </label>
+        <input
+          type="text"
+          value={filter.text}
+          onChange={handleTextChange}
+          placeholder="Any text"
+          style={{ ...selectStyle, width: '140px' }}
+        />
+      </div>
+      <div style={{ display: 'flex', flexDirection: 'column', justifyContent: 'flex-end' }}>
+        <label style={{ fontSize: '12px', color: '#374151', display: 'flex', gap: '6px', alignItems: 'center' }}>
+          <input type="checkbox" checked={filter.serverSide} onChange={handleServerSideChange} />
+          Filter on server
+        </label>
+        {filter.serverSide && (
+          <span style={{ fontSize: '11px', color: '#6b7280', marginTop: '4px' }}>
+            {serverFilter ? describeServerFilter(serverFilter) : 'Receiving everything'}
+          </span>
+        )}
+      </div>
     </div>
   );
 });
 
+// Summarize the effective filter echoed in the subscribe ack
+function describeServerFilter(serverFilter) {
+  return Object.entries(serverFilter)
+    .filter(([, value]) => value !== null)
+    .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : `"${value}"`}`)
+    .join(' · ');
+}
+
 const selectStyle = {
   padding: '6px 10px',
   border: '1px solid #d1d5db',
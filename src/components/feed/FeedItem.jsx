@@ -1,8 +1,10 @@
 /**
- * FeedItem - Memoized individual feed message.
+ * FeedItem - Memoized individual feed message with ack/assign/snooze actions.
  */
 
-import React, { memo } from 'react';
+import React, { memo, useCallback } from 'react';
+
+const SNOOZE_MINUTES = 15;
 
 const severityColors = {
   low: { bg: '#f0fdf4', border: '#bbf7d0', text: '#166534' },
@@ -19,10 +21,25 @@ const typeIcons = {
   info: 'ℹ️',
 };
 
-const FeedItem = memo(function FeedItem({ item }) {
+const FeedItem = memo(function FeedItem({ item, canTriage, username, onAction }) {
   const colors = severityColors[item.severity] || severityColors.low;
   const icon = typeIcons[item.type] || '📌';
   const time = new Date(item.timestamp).toLocaleTimeString();
+  // Compared at render time; the server doesn't announce expiry
+  const snoozed = item.snoozedUntil && new Date(item.snoozedUntil) > new Date();
+  const assignedToMe = item.assignee?.username === username;
+
+  const handleAck = useCallback(() => {
+    onAction('feed:ack', { id: item.id });
+  }, [item.id, onAction]);
+
+  const handleAssign = useCallback(() => {
+    onAction('feed:assign', { id: item.id, assignee: assignedToMe ? null : username });
+  }, [item.id, assignedToMe, username, onAction]);
+
+  const handleSnooze = useCallback(() => {
+    onAction('feed:snooze', { id: item.id, minutes: snoozed ? 0 : SNOOZE_MINUTES });
+  }, [item.id, snoozed, onAction]);
 
   return (
     <div style={{
@@ -32,6 +49,7 @@ const FeedItem = memo(function FeedItem({ item }) {
       display: 'flex',
       gap: '10px',
       alignItems: 'flex-start',
+      opacity: snoozed ? 0.55 : 1,
     }}>
       <span style={{ fontSize: '16px', flexShrink: 0 }}>{icon}</span>
       <div style={{ flex: 1, minWidth: 0 }}>
@@ -51,9 +69,44 @@ const FeedItem = memo(function FeedItem({ item }) {
           </span>
           <span>{item.source}</span>
         </div>
+        {(item.acknowledged || item.assignee || snoozed) && (
+          <div style={{ display: 'flex', gap: '12px', marginTop: '4px', fontSize: '11px', color: '#374151' }}>
+            {item.acknowledged && (
+              <span>
+                ✓ Acknowledged by {item.acknowledgedBy?.name} at{' '}
+                {new Date(item.acknowledgedAt).toLocaleTimeString()}
+              </span>
+            )}
+            {item.assignee && <span>Assigned to {item.assignee.name}</span>}
+            {snoozed && <span>Snoozed until {new Date(item.snoozedUntil).toLocaleTimeString()}</span>}
+          </div>
+        )}
       </div>
+      {canTriage && (
+        <div style={{ display: 'flex', gap: '4px', flexShrink: 0 }}>
+          {!item.acknowledged && (
+            <button onClick={handleAck} style={actionBtnStyle}>Ack</button>
+          )}
+          <button onClick={handleAssign} style={actionBtnStyle}>
+            {assignedToMe ? 'Unassign' : 'Assign to me'}
+          </button>
+          <button onClick={handleSnooze} style={actionBtnStyle}>
+            {snoozed ? 'Unsnooze' : `Snooze ${SNOOZE_MINUTES}m`}
+          </button>
+        </div>
+      )}
     </div>
   );
 });
 
+const actionBtnStyle = {
+  padding: '2px 8px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  backgroundColor: 'white',
+  cursor: 'pointer',
+  fontSize: '11px',
+  color: '#374151',
+};
+
 export { FeedItem };
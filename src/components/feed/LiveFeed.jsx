@@ -1,19 +1,47 @@
 /**
  * LiveFeed - Real-time WebSocket feed consumer with message ordering and stats.
+ * Backfills from GET /v1/feed on mount (and again when the server-side
+ * filter changes) and loads older pages when scrolled to the top; history
+ * and live messages are merged by id.
  */
 
-import React, { useState, useEffect, useCallback, useRef, memo } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useCallback, useMemo, useRef, memo } from 'react';
 import { useWebSocketContext } from '../../context/WebSocketContext';
+import { get } from '../../api/client';
 import { FeedItem } from './FeedItem';
 import { FeedFilter } from './FeedFilter';
 import { MessageComposer } from './MessageComposer';
+import { useDebouncedValue } from '../../hooks/useDebounce';
+import { hasPermission, describeDenial } from '../../utils/permissions';
+
+const FEED_ACTION_TYPES = ['feed:ack', 'feed:assign', 'feed:snooze'];
+const RTT_INTERVAL = 10000;
 
 const MAX_FEED_ITEMS = 100;
+const HISTORY_PAGE_SIZE = 50;
+// Loading older pages raises the live trim limit up to this many items
+const MAX_RETAINED_ITEMS = 1000;
+const LOAD_OLDER_THRESHOLD = 40;
+
+/**
+ * Add history items not already in the feed (live copies win, they may
+ * carry newer triage state) and keep the feed in timestamp order.
+ */
+function mergeHistory(items, history) {
+  const known = new Set(items.map((item) => item.id));
+  const missing = history.filter((item) => !known.has(item.id));
+  if (missing.length === 0) return items;
+
+  return [...missing, ...items].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
 
 const LiveFeed = memo(function LiveFeed() {
-  const { subscribe, send, connected, authenticated, reconnecting, reconnectAttempt, getState } = useWebSocketContext();
+  const {
+    subscribe, send, request, connected, authenticated, reconnecting, reconnectAttempt, getState, user,
+  } = useWebSocketContext();
   const [feedItems, setFeedItems] = useState([]);
-  const [filter, setFilter] = useState({ type: 'all', severity: 'all' });
+  const [filter, setFilter] = useState({ type: 'all', severity: 'all', text: '', serverSide: false });
+  const [serverFilter, setServerFilter] = useState(null);
   const seenIdsRef = useRef(new Set());
   const feedContainerRef = useRef(null);
   const [autoScroll, setAutoScroll] = useState(true);
@@ -21,6 +49,16 @@ const LiveFeed = memo(function LiveFeed() {
   const [messageSequence, setMessageSequence] = useState(0);
   const [outOfOrderCount, setOutOfOrderCount] = useState(0);
   const lastSequenceRef = useRef(-1);
+  const [actionError, setActionError] = useState(null);
+  const [roundTripMs, setRoundTripMs] = useState(null);
+  const [serverLag, setServerLag] = useState(null);
+  const [history, setHistory] = useState({ loading: false, hasMore: true, error: null });
+  const historyLoadingRef = useRef(false);
+  // Bumped when history starts over, so replies to older requests are dropped
+  const historyGenerationRef = useRef(0);
+  const retainLimitRef = useRef(MAX_FEED_ITEMS);
+  // scrollHeight before older items were prepended, to keep the view steady
+  const scrollAnchorRef = useRef(null);
 
   // Subscribe to feed messages with sequence tracking
   useEffect(() => {
@@ -34,30 +72,166 @@ const LiveFeed = memo(function LiveFeed() {
       // Track message ordering via sequence numbers
       setMessageSequence((prev) => {
         const newSeq = prev + 1;
-        if (payload.sequence !== undefined && payload.sequence <= lastSequenceRef.current) {
-          setOutOfOrderCount((c) => c + 1);
-        }
-        if (payload.sequence !== undefined) {
+        if (payload.sequence === undefined) return newSeq;
+        if (payload.sequence > lastSequenceRef.current) {
           lastSequenceRef.current = payload.sequence;
+        } else if (!payload.replayed) {
+          // Replayed messages backfill a gap and are expected to arrive late
+          setOutOfOrderCount((c) => c + 1);
         }
         return newSeq;
       });
 
       // Limit seen IDs set size
-      if (seenIdsRef.current.size > MAX_FEED_ITEMS * 2) {
+      const retainLimit = retainLimitRef.current;
+      if (seenIdsRef.current.size > retainLimit * 2) {
         const idsArray = Array.from(seenIdsRef.current);
-        seenIdsRef.current = new Set(idsArray.slice(-MAX_FEED_ITEMS));
+        seenIdsRef.current = new Set(idsArray.slice(-retainLimit));
       }
 
       setFeedItems((prev) => {
-        const updated = [...prev, { ...payload, receivedAt: Date.now() }];
-        return updated.length > MAX_FEED_ITEMS ? updated.slice(-MAX_FEED_ITEMS) : updated;
+        const item = { ...payload, receivedAt: Date.now() };
+        const updated = [...prev];
+        // Slot replayed messages back into sequence order
+        const index = payload.replayed
+          ? updated.findIndex((existing) => existing.sequence > payload.sequence)
+          : -1;
+        if (index === -1) {
+          updated.push(item);
+        } else {
+          updated.splice(index, 0, item);
+        }
+        return updated.length > retainLimit ? updated.slice(-retainLimit) : updated;
       });
     });
 
     return unsubscribe;
   }, [subscribe]);
 
+  // Ack/assign/snooze changes from any client replace the item in place
+  useEffect(() => {
+    const unsubscribe = subscribe('feed:updated', (payload) => {
+      setFeedItems((prev) => prev.map((item) => (
+        item.id === payload.id ? { ...item, ...payload, receivedAt: item.receivedAt } : item
+      )));
+    });
+    return unsubscribe;
+  }, [subscribe]);
+
+  useEffect(() => {
+    const unsubscribe = subscribe('error', (payload) => {
+      if (FEED_ACTION_TYPES.includes(payload?.requestType)) {
+        setActionError(describeDenial(payload));
+      }
+    });
+    return unsubscribe;
+  }, [subscribe]);
+
+  const handleItemAction = useCallback((type, payload) => {
+    setActionError(null);
+    send(type, payload);
+  }, [send]);
+
+  const canTriage = authenticated && hasPermission(user, 'feed:triage');
+
+  // Sequence numbers restart when the server does
+  useEffect(() => {
+    let epoch = null;
+    const unsubscribe = subscribe('connection:established', (payload) => {
+      if (epoch !== null && payload?.epoch !== epoch) {
+        lastSequenceRef.current = -1;
+      }
+      epoch = payload?.epoch ?? null;
+    });
+    return unsubscribe;
+  }, [subscribe]);
+
+  // With server-side filtering on, only matching messages are sent at all.
+  // Text is debounced so typing doesn't resubscribe on every keystroke.
+  const debouncedText = useDebouncedValue(filter.text, 400);
+  const serverFilterPayload = useMemo(() => {
+    if (!filter.serverSide) return null;
+    return {
+      types: filter.type === 'all' ? null : [filter.type],
+      severities: filter.severity === 'all' ? null : [filter.severity],
+      text: debouncedText.trim() || null,
+    };
+  }, [filter.serverSide, filter.type, filter.severity, debouncedText]);
+
+  useEffect(() => {
+    if (!connected || !authenticated) return;
+    send('subscribe', { channel: 'feed', filter: serverFilterPayload });
+  }, [connected, authenticated, send, serverFilterPayload]);
+
+  // Fetch a page of history older than `before` (or the newest page)
+  const loadHistory = useCallback((before) => {
+    if (historyLoadingRef.current) return;
+    historyLoadingRef.current = true;
+    const generation = historyGenerationRef.current;
+    setHistory((prev) => ({ ...prev, loading: true, error: null }));
+
+    const query = new URLSearchParams({ limit: HISTORY_PAGE_SIZE });
+    if (before) query.set('before', before);
+    if (serverFilterPayload?.types) query.set('type', serverFilterPayload.types.join(','));
+    if (serverFilterPayload?.severities) query.set('severity', serverFilterPayload.severities.join(','));
+
+    get(`/feed?${query}`)
+      .then((response) => {
+        if (generation !== historyGenerationRef.current) return;
+        const page = response.data || [];
+        page.forEach((item) => seenIdsRef.current.add(item.id));
+        if (before) {
+          retainLimitRef.current = Math.min(retainLimitRef.current + page.length, MAX_RETAINED_ITEMS);
+          if (feedContainerRef.current) {
+            scrollAnchorRef.current = feedContainerRef.current.scrollHeight;
+          }
+        }
+        setFeedItems((prev) => mergeHistory(prev, page));
+        setHistory({ loading: false, hasMore: Boolean(response.pagination?.hasMore), error: null });
+      })
+      .catch((err) => {
+        if (generation !== historyGenerationRef.current) return;
+        setHistory((prev) => ({ ...prev, loading: false, error: err.message }));
+      })
+      .finally(() => {
+        if (generation === historyGenerationRef.current) historyLoadingRef.current = false;
+      });
+  }, [serverFilterPayload]);
+
+  // Backfill on mount so a refresh doesn't start from an empty feed, and
+  // start over when the server-side filter changes: items loaded under the
+  // old filter may not match the new one
+  useEffect(() => {
+    historyGenerationRef.current += 1;
+    historyLoadingRef.current = false;
+    seenIdsRef.current = new Set();
+    retainLimitRef.current = MAX_FEED_ITEMS;
+    setFeedItems([]);
+    setHistory({ loading: false, hasMore: true, error: null });
+    loadHistory(null);
+  }, [loadHistory]);
+
+  const loadOlder = useCallback(() => {
+    loadHistory(feedItems[0]?.id || null);
+  }, [loadHistory, feedItems]);
+
+  // Keep the same messages in view after older ones are prepended
+  useLayoutEffect(() => {
+    const el = feedContainerRef.current;
+    if (scrollAnchorRef.current === null || !el) return;
+    el.scrollTop += el.scrollHeight - scrollAnchorRef.current;
+    scrollAnchorRef.current = null;
+  }, [feedItems]);
+
+  useEffect(() => {
+    const unsubscribe = subscribe('subscribe:success', (payload) => {
+      if (payload?.channel === 'feed') {
+        setServerFilter(payload.filter || null);
+      }
+    });
+    return unsubscribe;
+  }, [subscribe]);
+
   // Subscribe to heartbeat events
   useEffect(() => {
     const unsubMissed = subscribe('heartbeat:missed', (payload) => {
@@ -85,6 +259,42 @@ const LiveFeed = memo(function LiveFeed() {
     return () => clearInterval(interval);
   }, [getState]);
 
+  // Measure round-trip time with a ping request, and fetch how far behind
+  // the server's outbound backlog for this connection is
+  useEffect(() => {
+    if (!connected) {
+      setRoundTripMs(null);
+      setServerLag(null);
+      return;
+    }
+
+    let cancelled = false;
+    const measure = () => {
+      const startedAt = performance.now();
+      request('ping', {}, { timeout: 5000 })
+        .then(() => {
+          if (!cancelled) setRoundTripMs(Math.round(performance.now() - startedAt));
+        })
+        .catch(() => {
+          if (!cancelled) setRoundTripMs(null);
+        });
+      request('client:stats', {}, { timeout: 5000 })
+        .then((stats) => {
+          if (!cancelled) setServerLag(stats);
+        })
+        .catch(() => {
+          if (!cancelled) setServerLag(null);
+        });
+    };
+
+    measure();
+    const interval = setInterval(measure, RTT_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [connected, request]);
+
   // Auto-scroll to bottom when new messages arrive
   useEffect(() => {
     if (autoScroll && feedContainerRef.current) {
@@ -98,7 +308,11 @@ const LiveFeed = memo(function LiveFeed() {
     if (!el) return;
     const isAtBottom = el.scrollHeight - el.scrollTop - el.clientHeight < 50;
     setAutoScroll(isAtBottom);
-  }, []);
+
+    if (el.scrollTop < LOAD_OLDER_THRESHOLD && history.hasMore && !history.loading && !history.error) {
+      loadOlder();
+    }
+  }, [history, loadOlder]);
 
   const handleFilterChange = useCallback((newFilter) => {
     setFilter(newFilter);
@@ -110,12 +324,15 @@ const LiveFeed = memo(function LiveFeed() {
     setMessageSequence(0);
     setOutOfOrderCount(0);
     lastSequenceRef.current = -1;
+    retainLimitRef.current = MAX_FEED_ITEMS;
+    setHistory({ loading: false, hasMore: true, error: null });
   }, []);
 
   // Apply filters
   const filteredItems = feedItems.filter((item) => {
     if (filter.type !== 'all' && item.type !== filter.type) return false;
     if (filter.severity !== 'all' && item.severity !== filter.severity) return false;
+    if (filter.text && !item.message?.toLowerCase().includes(filter.text.trim().toLowerCase())) return false;
     return true;
   });
 
@@ -140,11 +357,13 @@ const LiveFeed = memo(function LiveFeed() {
         reconnecting={reconnecting}
         reconnectAttempt={reconnectAttempt}
         wsStats={wsStats}
+        roundTripMs={roundTripMs}
+        serverLag={serverLag}
         messageSequence={messageSequence}
         outOfOrderCount={outOfOrderCount}
       />
 
-      <FeedFilter filter={filter} onChange={handleFilterChange} />
+      <FeedFilter filter={filter} onChange={handleFilterChange} serverFilter={serverFilter} />
 
       {!connected && (
         <div style={{
@@ -162,6 +381,20 @@ const LiveFeed = memo(function LiveFeed() {
         </div>
       )}
 
+      {actionError && (
+        <div style={{
+          padding: '8px 12px',
+          backgroundColor: '#fef2f2',
+          border: '1px solid #fecaca',
+          borderRadius: '6px',
+          marginBottom: '12px',
+          fontSize: '12px',
+          color: '#991b1b',
+        }}>
+          {actionError}
+        </div>
+      )}
+
       <div
         ref={feedContainerRef}
         onScroll={handleScroll}
@@ -173,6 +406,9 @@ const LiveFeed = memo(function LiveFeed() {
           backgroundColor: '#fafafa',
         }}
       >
+        {feedItems.length > 0 && (
+          <HistoryStatus history={history} onLoadOlder={loadOlder} />
+        )}
         {filteredItems.length === 0 ? (
           <div style={{ padding: '40px', textAlign: 'center', color: '#9ca3af' }}>
             {connected && authenticated
@@ -181,7 +417,13 @@ const LiveFeed = memo(function LiveFeed() {
           </div>
         ) : (
           filteredItems.map((item) => (
-            <FeedItem key={item.id} item={item} />
+            <FeedItem
+              key={item.id}
+              item={item}
+              canTriage={canTriage}
+              username={user?.username}
+              onAction={handleItemAction}
+            />
           ))
         )}
       </div>
@@ -212,6 +454,33 @@ const LiveFeed = memo(function LiveFeed() {
   );
 });
 
+/**
+ * Top-of-list row for paging back through feed history.
+ */
+const HistoryStatus = memo(function HistoryStatus({ history, onLoadOlder }) {
+  let content;
+  if (history.loading) {
+    content = 'Loading older messages...';
+  } else if (history.error) {
+    content = (
+      <>
+        <span style={{ color: '#991b1b' }}>Couldn't load older messages: {history.error}</span>{' '}
+        <button onClick={onLoadOlder} style={clearBtnStyle}>Retry</button>
+      </>
+    );
+  } else if (history.hasMore) {
+    content = <button onClick={onLoadOlder} style={clearBtnStyle}>Load older</button>;
+  } else {
+    content = 'Start of feed history';
+  }
+
+  return (
+    <div style={{ padding: '8px', textAlign: 'center', fontSize: '12px', color: '#9ca3af' }}>
+      {content}
+    </div>
+  );
+});
+
 /**
  * Connection stats panel - displays WebSocket health metrics.
  */
@@ -221,6 +490,8 @@ const ConnectionStatsPanel = memo(function ConnectionStatsPanel({
   reconnecting,
   reconnectAttempt,
   wsStats,
+  roundTripMs,
+  serverLag,
   messageSequence,
   outOfOrderCount,
 }) {
@@ -265,6 +536,26 @@ const ConnectionStatsPanel = memo(function ConnectionStatsPanel({
         value={heartbeatAge !== null ? `${heartbeatAge}s ago` : 'N/A'}
         color={heartbeatAge !== null && heartbeatAge > 60 ? '#dc2626' : '#059669'}
       />
+      <StatBadge
+        label="Protocol"
+        value={wsStats?.protocol ?? 'N/A'}
+        color="#6b7280"
+      />
+      <StatBadge
+        label="RTT"
+        value={roundTripMs !== null ? `${roundTripMs}ms` : 'N/A'}
+        color={roundTripMs !== null && roundTripMs > 500 ? '#d97706' : '#059669'}
+      />
+      <StatBadge
+        label="Server Lag"
+        value={serverLag ? `${serverLag.lagMs}ms` : 'N/A'}
+        color={serverLag?.lagMs > 1000 ? '#dc2626' : '#059669'}
+      />
+      <StatBadge
+        label="Dropped"
+        value={serverLag ? serverLag.dropped : 'N/A'}
+        color={serverLag?.dropped > 0 ? '#f59e0b' : '#059669'}
+      />
       <StatBadge
         label="HB Misses"
         value={wsStats?.heartbeatMissCount ?? 0}
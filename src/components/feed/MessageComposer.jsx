@@ -2,15 +2,28 @@
  * MessageComposer - Send messages via WebSocket.
  */
 
-import React, { useState, useCallback, memo } from 'react';
+import React, { useState, useCallback, useEffect, memo } from 'react';
 import { useWebSocketContext } from '../../context/WebSocketContext';
+import { hasPermission, describeDenial } from '../../utils/permissions';
 
 const MessageComposer = memo(function MessageComposer() {
-  const { send, connected, authenticated } = useWebSocketContext();
+  const { send, subscribe, connected, authenticated, user } = useWebSocketContext();
   const [message, setMessage] = useState('');
+  const [denial, setDenial] = useState(null);
+
+  // Surface server-side rejections of our feed:send messages
+  useEffect(() => {
+    const unsubscribe = subscribe('error', (payload) => {
+      if (payload?.requestType === 'feed:send') {
+        setDenial(payload);
+      }
+    });
+    return unsubscribe;
+  }, [subscribe]);
 
   const handleSend = useCallback(() => {
     if (!message.trim()) return;
+    setDenial(null);
     send('feed:send', { message: message.trim() });
     setMessage('');
   }, [message, send]);
@@ -25,13 +38,32 @@ const MessageComposer = memo(function MessageComposer() {
     [handleSend]
   );
 
-  const canSend = connected && authenticated && message.trim();
+  const canPost = authenticated && hasPermission(user, 'feed:post');
+  const canSend = connected && canPost && message.trim();
+  const notice = describeDenial(
+    denial || (authenticated && !canPost
+      ? { code: 'permission_denied', permission: 'feed:post', role: user?.role }
+      : null)
+  );
 
   return (
+    <div style={{ marginTop: '12px' }}>
+    {notice && (
+      <div style={{
+        padding: '8px 12px',
+        marginBottom: '8px',
+        backgroundColor: '#fef2f2',
+        border: '1px solid #fecaca',
+        borderRadius: '6px',
+        fontSize: '12px',
+        color: '#991b1b',
+      }}>
+        {notice}
+      </div>
+    )}
     <div style={{
       display: 'flex',
       gap: '8px',
-      marginTop: '12px',
       padding: '12px',
       backgroundColor: 'white',
       borderRadius: '8px',
@@ -43,7 +75,7 @@ const MessageComposer = memo(function MessageComposer() {
         onChange={(e) => setMessage(e.target.value)}
         onKeyDown={handleKeyDown}
         placeholder={connected ? 'Type a message...' : 'Connect to send messages'}
-        disabled={!connected || !authenticated}
+        disabled={!connected || !canPost}
         style={{
           flex: 1,
           padding: '8px 12px',
@@ -70,6 +102,7 @@ const MessageComposer = memo(function MessageComposer() {
         Send
       </button>
     </div>
+    </div>
   );
 });
 
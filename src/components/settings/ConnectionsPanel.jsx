@@ -0,0 +1,257 @@
+/**
+ * ConnectionsPanel - Live list of WebSocket/SSE clients connected to the
+ * server, with admin actions: disconnect, revoke auth, push a message.
+ */
+
+import React, { useState, useCallback, useEffect, memo } from 'react';
+import { get, post, del } from '../../api/client';
+import { useInterval } from '../../hooks/useInterval';
+import { useWebSocketContext } from '../../context/WebSocketContext';
+import { hasPermission, describeDenial } from '../../utils/permissions';
+
+const POLL_INTERVAL = 2000;
+const PERMISSION = 'connections:manage';
+// The admin connection routes are unversioned: /api/admin/ws/clients
+const ADMIN_API = { version: null };
+
+const ConnectionsPanel = memo(function ConnectionsPanel() {
+  const { user, getState } = useWebSocketContext();
+  const allowed = hasPermission(user, PERMISSION);
+
+  const [clients, setClients] = useState(null);
+  const [error, setError] = useState(null);
+  const [pushTarget, setPushTarget] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      const result = await get('/admin/ws/clients', { ...ADMIN_API, retry: false });
+      setClients(result.data);
+      setError(null);
+    } catch (err) {
+      setError(err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (allowed) refresh();
+  }, [allowed, refresh]);
+
+  useInterval(refresh, allowed ? POLL_INTERVAL : null);
+
+  const runAction = useCallback(async (label, action) => {
+    setNotice(null);
+    try {
+      await action();
+      setNotice({ ok: true, text: label });
+    } catch (err) {
+      setNotice({ ok: false, text: formatError(err) });
+    }
+    refresh();
+  }, [refresh]);
+
+  if (!allowed) {
+    return (
+      <div style={{ fontSize: '14px', color: '#6b7280' }}>
+        {describeDenial({ code: 'permission_denied', permission: PERMISSION, role: user?.role })}
+      </div>
+    );
+  }
+
+  const ownId = getState()?.connectionId;
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+        <h3 style={{ fontSize: '16px', color: '#374151', margin: 0 }}>
+          Connected Clients
+          {clients && (
+            <span style={{ fontSize: '12px', fontWeight: '400', color: '#9ca3af', marginLeft: '8px' }}>
+              {clients.length} live, refreshed every {POLL_INTERVAL / 1000}s
+            </span>
+          )}
+        </h3>
+        <button onClick={refresh} style={smallBtnStyle}>Refresh</button>
+      </div>
+
+      {error && (
+        <div style={{ fontSize: '13px', color: '#991b1b', marginBottom: '8px' }}>
+          Failed to load connections: {formatError(error)}
+        </div>
+      )}
+      {notice && (
+        <div style={{ fontSize: '13px', color: notice.ok ? '#166534' : '#991b1b', marginBottom: '8px' }}>
+          {notice.text}
+        </div>
+      )}
+
+      {!clients ? (
+        <div style={{ fontSize: '13px', color: '#9ca3af' }}>Loading...</div>
+      ) : clients.length === 0 ? (
+        <div style={{ fontSize: '13px', color: '#9ca3af' }}>No clients connected</div>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+          <thead>
+            <tr style={{ textAlign: 'left', color: '#6b7280' }}>
+              <th style={cellStyle}>Connection</th>
+              <th style={cellStyle}>User</th>
+              <th style={cellStyle}>Transport</th>
+              <th style={cellStyle}>Subscriptions</th>
+              <th style={cellStyle}>Received</th>
+              <th style={cellStyle}>Outbound</th>
+              <th style={cellStyle}>Connected</th>
+              <th style={cellStyle} />
+            </tr>
+          </thead>
+          <tbody>
+            {clients.map((client) => (
+              <tr key={client.id} style={{ borderTop: '1px solid #e5e7eb' }}>
+                <td style={{ ...cellStyle, fontFamily: 'monospace' }}>
+                  {client.id}
+                  {client.id === ownId && <span style={{ color: '#3b82f6', marginLeft: '6px' }}>(this tab)</span>}
+                </td>
+                <td style={cellStyle}>
+                  {client.authenticated
+                    ? `${client.user.username} (${client.user.role})`
+                    : <span style={{ color: '#9ca3af' }}>unauthenticated</span>}
+                </td>
+                <td style={cellStyle}>{client.transport}</td>
+                <td style={cellStyle}>{client.subscriptions.join(', ')}</td>
+                <td style={cellStyle}>{client.messageCount}</td>
+                <td style={cellStyle} title={`${client.outbound.policy}, ${client.outbound.bufferedAmount} bytes buffered`}>
+                  {client.outbound.sent} sent
+                  {client.outbound.backlog > 0 && `, ${client.outbound.backlog} queued`}
+                  {client.outbound.dropped > 0 && `, ${client.outbound.dropped} dropped`}
+                </td>
+                <td style={cellStyle} title={client.userAgent || ''}>{formatAge(client.connectedAt)}</td>
+                <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>
+                  <button
+                    onClick={() => runAction(`Disconnected ${client.id}`, () => del(`/admin/ws/clients/${client.id}`, ADMIN_API))}
+                    style={rowBtnStyle}
+                  >
+                    Disconnect
+                  </button>
+                  <button
+                    onClick={() => runAction(`Revoked auth of ${client.id}`, () => post(`/admin/ws/clients/${client.id}/revoke`, {}, ADMIN_API))}
+                    disabled={!client.authenticated}
+                    style={{ ...rowBtnStyle, opacity: client.authenticated ? 1 : 0.5 }}
+                  >
+                    Revoke
+                  </button>
+                  <button onClick={() => setPushTarget(client.id)} style={rowBtnStyle}>Push</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {pushTarget && (
+        <PushMessageForm
+          clientId={pushTarget}
+          onCancel={() => setPushTarget(null)}
+          onSend={(message) => {
+            setPushTarget(null);
+            runAction(`Pushed ${message.type} to ${pushTarget}`, () => post(`/admin/ws/clients/${pushTarget}/messages`, message, ADMIN_API));
+          }}
+        />
+      )}
+    </div>
+  );
+});
+
+function PushMessageForm({ clientId, onCancel, onSend }) {
+  const [type, setType] = useState('admin:notice');
+  const [payload, setPayload] = useState('{\n  "message": "Hello from the admin"\n}');
+  const [parseError, setParseError] = useState(null);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    try {
+      onSend({ type: type.trim(), payload: payload.trim() ? JSON.parse(payload) : {} });
+    } catch (err) {
+      setParseError(`Payload is not valid JSON: ${err.message}`);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      style={{
+        marginTop: '16px',
+        padding: '12px',
+        backgroundColor: '#f9fafb',
+        borderRadius: '8px',
+        border: '1px solid #e5e7eb',
+        maxWidth: '480px',
+      }}
+    >
+      <div style={{ fontSize: '13px', color: '#374151', marginBottom: '8px' }}>
+        Push to <code>{clientId}</code>
+      </div>
+      <input
+        value={type}
+        onChange={(e) => setType(e.target.value)}
+        placeholder="Message type"
+        style={{ ...fieldStyle, marginBottom: '8px' }}
+      />
+      <textarea
+        value={payload}
+        onChange={(e) => {
+          setPayload(e.target.value);
+          setParseError(null);
+        }}
+        rows={4}
+        style={{ ...fieldStyle, fontFamily: 'monospace' }}
+      />
+      {parseError && <div style={{ fontSize: '12px', color: '#991b1b', marginTop: '4px' }}>{parseError}</div>}
+      <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+        <button type="submit" disabled={!type.trim()} style={smallBtnStyle}>Send</button>
+        <button type="button" onClick={onCancel} style={smallBtnStyle}>Cancel</button>
+      </div>
+    </form>
+  );
+}
+
+function formatError(err) {
+  const message = describeDenial(err.data) || err.message;
+  return err.requestId ? `${message} (request ${err.requestId})` : message;
+}
+
+function formatAge(iso) {
+  const seconds = Math.max(0, Math.round((Date.now() - new Date(iso).getTime()) / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+const cellStyle = {
+  padding: '6px 8px',
+  verticalAlign: 'top',
+};
+
+const fieldStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '6px 10px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  fontSize: '13px',
+};
+
+const smallBtnStyle = {
+  padding: '4px 10px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  backgroundColor: 'white',
+  cursor: 'pointer',
+  fontSize: '12px',
+  color: '#374151',
+};
+
+const rowBtnStyle = {
+  ...smallBtnStyle,
+  marginRight: '4px',
+};
+
+export { ConnectionsPanel };
@@ -1,10 +1,12 @@
 /**
- * Settings - System settings, cache controls, hook dependency demos, bundle info.
+ * Settings - System settings, cache controls, hook dependency demos,
+ * live connections, bundle info.
  */
 
 import React, { useState, useCallback, useEffect, useRef, useMemo, memo } from 'react';
 import { useApiCache, globalCache } from '../../hooks/useApiCache';
 import { get } from '../../api/client';
+import { ConnectionsPanel } from './ConnectionsPanel';
 
 const Settings = memo(function Settings() {
   const [activeTab, setActiveTab] = useState('cache');
@@ -14,7 +16,7 @@ const Settings = memo(function Settings() {
       <h2 style={{ margin: '0 0 20px 0', fontSize: '24px', color: '#111827' }}>Settings</h2>
 
       <div style={{ display: 'flex', gap: '0', marginBottom: '20px', borderBottom: '1px solid #e5e7eb' }}>
-        {['cache', 'hooks', 'websocket', 'performance', 'bundle'].map((tab) => (
+        {['cache', 'hooks', 'websocket', 'connections', 'performance', 'bundle'].map((tab) => (
           <button
             key={tab}
             onClick={() => setActiveTab(tab)}
@@ -38,6 +40,7 @@ const Settings = memo(function Settings() {
       {activeTab === 'cache' && <CacheSettings />}
       {activeTab === 'hooks' && <HookDependencyLab />}
       {activeTab === 'websocket' && <WebSocketSettings />}
+      {activeTab === 'connections' && <ConnectionsPanel />}
       {activeTab === 'performance' && <PerformanceSettings />}
       {activeTab === 'bundle' && <BundleInfo />}
     </div>
@@ -88,6 +91,7 @@ function CacheSettings() {
         <InfoCard label="Misses" value={stats.misses} />
         <InfoCard label="Evictions" value={stats.evictions} />
         <InfoCard label="Invalidations" value={stats.invalidations} />
+        <InfoCard label="Revalidated (304)" value={stats.revalidations} />
       </div>
 
       {/* Cache Invalidation Controls */}
@@ -136,7 +140,7 @@ function CacheSettings() {
         <strong>Active Strategies:</strong>
         <ul style={{ margin: '8px 0 0', paddingLeft: '20px' }}>
           <li><strong>Dashboard</strong>: stale-while-revalidate (TTL 15s, tag: dashboard)</li>
-          <li><strong>DataGrid</strong>: cache-first (TTL 30s)</li>
+          <li><strong>DataGrid</strong>: cache-first (TTL 30s, ETag revalidation)</li>
           <li><strong>Analytics/Users</strong>: module-level Suspense cache (via apiClient)</li>
         </ul>
       </div>
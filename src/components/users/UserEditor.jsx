@@ -0,0 +1,151 @@
+/**
+ * UserEditor - Edit or delete the user shown in UserProfile. Saves send
+ * only the changed fields (PATCH) and then run the CacheContext
+ * `users:update` / `users:delete` rules, which is all it takes for the
+ * profile and list to refetch. `onDeleted` is only for leaving the profile.
+ */
+
+import React, { useState, useCallback, memo } from 'react';
+import { updateUser, deleteUser } from '../../api/resources/userResource';
+import { useCacheContext } from '../../context/CacheContext';
+import { useWebSocketContext } from '../../context/WebSocketContext';
+import { hasPermission, describeDenial } from '../../utils/permissions';
+
+// Mirrors the server's mock roles and statuses (server/mockData.js)
+const ROLES = ['Admin', 'Developer', 'Designer', 'Manager', 'Analyst', 'DevOps'];
+const STATUSES = ['active', 'inactive', 'away', 'busy'];
+const EDITABLE_FIELDS = ['name', 'email', 'role', 'status'];
+
+function pickEditable(user) {
+  return Object.fromEntries(EDITABLE_FIELDS.map((field) => [field, user[field]]));
+}
+
+const UserEditor = memo(function UserEditor({ user, onDeleted }) {
+  const { user: viewer } = useWebSocketContext();
+  const { invalidateAndRefresh } = useCacheContext();
+  const canUpdate = hasPermission(viewer, 'users:update');
+  const canDelete = hasPermission(viewer, 'users:delete');
+
+  const [draft, setDraft] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleChange = useCallback((field, value) => {
+    setDraft((prev) => ({ ...prev, [field]: value }));
+  }, []);
+
+  const handleSave = useCallback(async () => {
+    const changes = Object.fromEntries(
+      EDITABLE_FIELDS.filter((field) => draft[field] !== user[field]).map((field) => [field, draft[field]])
+    );
+    if (Object.keys(changes).length === 0) {
+      setDraft(null);
+      return;
+    }
+
+    setError(null);
+    setBusy(true);
+    try {
+      await updateUser(user.id, changes);
+      invalidateAndRefresh('users', 'update', { id: user.id });
+      setDraft(null);
+    } catch (err) {
+      setError(`Save failed: ${formatError(err)}`);
+    } finally {
+      setBusy(false);
+    }
+  }, [draft, user, invalidateAndRefresh]);
+
+  const handleDelete = useCallback(async () => {
+    if (!window.confirm(`Delete ${user.name}? This cannot be undone.`)) return;
+
+    setError(null);
+    setBusy(true);
+    try {
+      await deleteUser(user.id);
+      invalidateAndRefresh('users', 'delete', { id: user.id });
+      onDeleted?.(user.id);
+    } catch (err) {
+      setError(`Delete failed: ${formatError(err)}`);
+      setBusy(false);
+    }
+  }, [user, invalidateAndRefresh, onDeleted]);
+
+  if (!canUpdate && !canDelete) return null;
+
+  return (
+    <div style={{ marginTop: '16px', paddingTop: '16px', borderTop: '1px solid #e5e7eb' }}>
+      {draft ? (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px' }}>
+          <input
+            value={draft.name}
+            onChange={(e) => handleChange('name', e.target.value)}
+            placeholder="Name"
+            style={inputStyle}
+          />
+          <input
+            type="email"
+            value={draft.email}
+            onChange={(e) => handleChange('email', e.target.value)}
+            placeholder="Email"
+            style={inputStyle}
+          />
+          <select value={draft.role} onChange={(e) => handleChange('role', e.target.value)} style={inputStyle}>
+            {ROLES.map((role) => <option key={role} value={role}>{role}</option>)}
+          </select>
+          <select value={draft.status} onChange={(e) => handleChange('status', e.target.value)} style={inputStyle}>
+            {STATUSES.map((status) => <option key={status} value={status}>{status}</option>)}
+          </select>
+        </div>
+      ) : null}
+
+      <div style={{ display: 'flex', gap: '8px', marginTop: draft ? '8px' : 0 }}>
+        {draft ? (
+          <>
+            <button onClick={handleSave} disabled={busy || !draft.name.trim() || !draft.email.trim()} style={btnStyle}>
+              Save
+            </button>
+            <button onClick={() => setDraft(null)} disabled={busy} style={btnStyle}>Cancel</button>
+          </>
+        ) : (
+          <>
+            {canUpdate && (
+              <button onClick={() => setDraft(pickEditable(user))} disabled={busy} style={btnStyle}>Edit</button>
+            )}
+            {canDelete && (
+              <button onClick={handleDelete} disabled={busy} style={{ ...btnStyle, color: '#991b1b' }}>Delete</button>
+            )}
+          </>
+        )}
+      </div>
+
+      {error && (
+        <div style={{ fontSize: '13px', color: '#991b1b', marginTop: '8px' }}>{error}</div>
+      )}
+    </div>
+  );
+});
+
+function formatError(err) {
+  const message = describeDenial(err.data) || err.message;
+  return err.requestId ? `${message} (request ${err.requestId})` : message;
+}
+
+const inputStyle = {
+  padding: '6px 10px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  fontSize: '13px',
+};
+
+const btnStyle = {
+  padding: '6px 12px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  backgroundColor: 'white',
+  cursor: 'pointer',
+  fontSize: '13px',
+  color: '#374151',
+};
+
+export { UserEditor };
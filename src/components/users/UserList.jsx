@@ -6,30 +6,37 @@ import React, { useState, useCallback, startTransition, memo } from 'react';
 import { SuspenseBoundary } from '../common/SuspenseBoundary';
 import { SkeletonList } from '../common/SuspenseFallback';
 import { UserProfile } from './UserProfile';
+import { PresenceDot } from '../common/PresenceIndicator';
+import { UserTransfer } from './UserTransfer';
 import { get } from '../../api/client';
+import { useCacheContext } from '../../context/CacheContext';
 
-// ── Module-level Suspense cache for user list (keyed by page+search) ──
-// Uses apiClient (retry, dedup, rate limiting) inside the throw-promise pattern
-const userListCache = new Map();
-
-function readUserList(page, search) {
-  const key = `${page}-${search}`;
-  if (userListCache.has(key)) {
-    const entry = userListCache.get(key);
-    if (entry.data) return entry.data;
-    if (entry.error) throw entry.error; // ErrorBoundary catches once
-    throw entry.promise;
+// ── Suspense cache for user list pages (keyed by cursor+search) ──
+// Uses apiClient (retry, dedup, rate limiting) inside the throw-promise pattern.
+// Pages live in the CacheContext cache tagged `collection:users`, so any
+// users mutation rule drops them. Pages are addressed by server-issued
+// cursors, so users created while browsing never shift items between pages.
+function readUserList(cache, cursor, search) {
+  const key = `user-list-${cursor || 'first'}-${search}`;
+  const cached = cache.get(key);
+  if (cached) {
+    if (cached.data) return cached.data;
+    if (cached.error) throw cached.error; // ErrorBoundary catches once
+    throw cached.promise;
   }
   const entry = { data: null, error: null, promise: null };
-  entry.promise = get(`/users?page=${page}&limit=10&search=${encodeURIComponent(search)}`)
+  const query = new URLSearchParams({ limit: 10, search });
+  if (cursor) query.set('cursor', cursor);
+  entry.promise = get(`/users?${query}`)
     .then((d) => { entry.data = d; })
     .catch((e) => { entry.error = e; }); // Store error, don't delete cache entry
-  userListCache.set(key, entry);
+  cache.set(key, entry, { tags: ['collection:users'] });
   throw entry.promise;
 }
 
-function UserListContent({ page, search, onSelectUser }) {
-  const data = readUserList(page, search);
+function UserListContent({ cursor, search, onSelectUser, onNavigate }) {
+  const { cache } = useCacheContext();
+  const data = readUserList(cache, cursor, search);
   const users = data?.data || [];
   const pagination = data?.pagination || {};
 
@@ -56,6 +63,22 @@ function UserListContent({ page, search, onSelectUser }) {
           Page {pagination.page} of {pagination.totalPages} ({pagination.total} users)
         </span>
       </div>
+      <div style={{ display: 'flex', justifyContent: 'center', gap: '8px' }}>
+        <button
+          onClick={() => onNavigate(pagination.prevCursor)}
+          disabled={!pagination.prevCursor}
+          style={pageBtnStyle}
+        >
+          Previous
+        </button>
+        <button
+          onClick={() => onNavigate(pagination.nextCursor)}
+          disabled={!pagination.nextCursor}
+          style={pageBtnStyle}
+        >
+          Next
+        </button>
+      </div>
     </div>
   );
 }
@@ -91,7 +114,10 @@ const UserRow = memo(function UserRow({ user, onSelect }) {
         {user.name.charAt(0)}
       </div>
       <div style={{ flex: 1 }}>
-        <div style={{ fontWeight: '500', color: '#111827', fontSize: '14px' }}>{user.name}</div>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontWeight: '500', color: '#111827', fontSize: '14px' }}>
+          {user.name}
+          <PresenceDot userId={user.id} />
+        </div>
         <div style={{ fontSize: '12px', color: '#6b7280' }}>{user.email}</div>
       </div>
       <span style={{
@@ -108,7 +134,7 @@ const UserRow = memo(function UserRow({ user, onSelect }) {
 });
 
 const UserList = memo(function UserList() {
-  const [page, setPage] = useState(1);
+  const [cursor, setCursor] = useState(null);
   const [search, setSearch] = useState('');
   const [searchInput, setSearchInput] = useState('');
   const [selectedUserId, setSelectedUserId] = useState(null);
@@ -116,7 +142,7 @@ const UserList = memo(function UserList() {
   const handleSearch = useCallback(() => {
     startTransition(() => {
       setSearch(searchInput);
-      setPage(1);
+      setCursor(null);
     });
   }, [searchInput]);
 
@@ -128,9 +154,21 @@ const UserList = memo(function UserList() {
     setSelectedUserId(null);
   }, []);
 
-  const handlePageChange = useCallback((newPage) => {
+  // UserTransfer and UserEditor run the users mutation rules themselves;
+  // these only decide where to look afterwards
+  const handleImported = useCallback(() => {
+    startTransition(() => {
+      setCursor(null);
+    });
+  }, []);
+
+  const handleDeleted = useCallback(() => {
+    setSelectedUserId(null);
+  }, []);
+
+  const handleNavigate = useCallback((newCursor) => {
     startTransition(() => {
-      setPage(newPage);
+      setCursor(newCursor);
     });
   }, []);
 
@@ -154,7 +192,7 @@ const UserList = memo(function UserList() {
           suspenseKey={selectedUserId}
           level="section"
         >
-          <UserProfile userId={selectedUserId} />
+          <UserProfile userId={selectedUserId} onDeleted={handleDeleted} />
         </SuspenseBoundary>
       </div>
     );
@@ -192,30 +230,20 @@ const UserList = memo(function UserList() {
         </button>
       </div>
 
+      <UserTransfer search={search} onImported={handleImported} />
+
       <SuspenseBoundary
-        suspenseKey={`${page}-${search}`}
+        suspenseKey={`${cursor || 'first'}-${search}`}
         fallback={<SkeletonList count={10} />}
         level="section"
       >
         <UserListContent
-          page={page}
+          cursor={cursor}
           search={search}
           onSelectUser={handleSelectUser}
+          onNavigate={handleNavigate}
         />
       </SuspenseBoundary>
-
-      <div style={{ display: 'flex', justifyContent: 'center', gap: '8px', marginTop: '12px' }}>
-        <button
-          onClick={() => handlePageChange(Math.max(1, page - 1))}
-          disabled={page === 1}
-          style={pageBtnStyle}
-        >
-          Previous
-        </button>
-        <button onClick={() => handlePageChange(page + 1)} style={pageBtnStyle}>
-          Next
-        </button>
-      </div>
     </div>
   );
 });
@@ -6,30 +6,34 @@ import React from 'react';
 import { SuspenseBoundary } from '../common/SuspenseBoundary';
 import { SkeletonCard } from '../common/SuspenseFallback';
 import { UserActivity } from './UserActivity';
+import { PresenceDot } from '../common/PresenceIndicator';
+import { UserEditor } from './UserEditor';
 import { get } from '../../api/client';
+import { useCacheContext } from '../../context/CacheContext';
 
-// ── Module-level Suspense cache for user profiles ──
+// ── Suspense cache for user profiles ──
+// Entries live in the CacheContext cache tagged `user:<id>`, so the
+// `users:update` / `users:delete` mutation rules drop them.
 // Uses apiClient (retry, dedup, rate limiting)
-const userProfileCache = new Map();
-
-function readUserProfile(userId) {
-  const key = String(userId);
-  if (userProfileCache.has(key)) {
-    const entry = userProfileCache.get(key);
-    if (entry.data) return entry.data;
-    if (entry.error) throw entry.error; // ErrorBoundary catches once
-    throw entry.promise;
+function readUserProfile(cache, userId) {
+  const key = `user-profile-${userId}`;
+  const cached = cache.get(key);
+  if (cached) {
+    if (cached.data) return cached.data;
+    if (cached.error) throw cached.error; // ErrorBoundary catches once
+    throw cached.promise;
   }
   const entry = { data: null, error: null, promise: null };
   entry.promise = get(`/users/${userId}`)
     .then((d) => { entry.data = d; })
     .catch((e) => { entry.error = e; }); // Store error, don't delete cache entry
-  userProfileCache.set(key, entry);
+  cache.set(key, entry, { tags: [`user:${userId}`] });
   throw entry.promise;
 }
 
-function UserProfile({ userId }) {
-  const response = readUserProfile(userId);
+function UserProfile({ userId, onDeleted }) {
+  const { cache } = useCacheContext();
+  const response = readUserProfile(cache, userId);
   const user = response.data;
 
   return (
@@ -73,11 +77,9 @@ function UserProfile({ userId }) {
               <span style={{
                 padding: '2px 8px',
                 borderRadius: '12px',
-                backgroundColor: user.status === 'active' ? '#f0fdf4' : '#f9fafb',
-                color: user.status === 'active' ? '#166534' : '#6b7280',
-                fontSize: '12px',
+                backgroundColor: '#f9fafb',
               }}>
-                {user.status}
+                <PresenceDot userId={user.id} showLabel />
               </span>
             </div>
           </div>
@@ -88,6 +90,8 @@ function UserProfile({ userId }) {
           <StatCard label="Avg Response" value={`${user.metrics?.avgResponseTime || 0}ms`} />
           <StatCard label="Satisfaction" value={`${user.metrics?.satisfactionScore || 0}/5`} />
         </div>
+
+        <UserEditor user={user} onDeleted={onDeleted} />
       </div>
 
       {/* Activity section - nested Suspense boundary */}
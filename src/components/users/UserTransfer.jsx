@@ -0,0 +1,261 @@
+/**
+ * UserTransfer - Export the filtered user list as CSV/JSON and import a
+ * roster file. Imports are dry-run first so the per-row report can be
+ * reviewed before anything is written; applying one runs the CacheContext
+ * `users:import` rule so the list and updated profiles refetch.
+ */
+
+import React, { useState, useRef, useCallback, memo } from 'react';
+import { get, post } from '../../api/client';
+import { useCacheContext } from '../../context/CacheContext';
+import { useWebSocketContext } from '../../context/WebSocketContext';
+import { hasPermission, describeDenial } from '../../utils/permissions';
+
+const IMPORT_PERMISSIONS = ['users:create', 'users:update'];
+// Longer reports are summarised; the counts still cover every row
+const MAX_REPORT_ROWS = 200;
+
+const ACTION_COLORS = {
+  create: '#166534',
+  update: '#1d4ed8',
+  error: '#991b1b',
+};
+
+const UserTransfer = memo(function UserTransfer({ search, onImported }) {
+  const { user } = useWebSocketContext();
+  const { invalidateAndRefresh } = useCacheContext();
+  const canImport = IMPORT_PERMISSIONS.every((permission) => hasPermission(user, permission));
+
+  const fileInputRef = useRef(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  // { fileName, body, contentType, result } once a dry run has come back
+  const [pending, setPending] = useState(null);
+  const [applied, setApplied] = useState(null);
+
+  const handleExport = useCallback(async (format) => {
+    setError(null);
+    setBusy(true);
+    try {
+      const query = new URLSearchParams({ format, search });
+      const blob = await get(`/users/export?${query}`, { responseType: 'blob', deduplicate: false });
+      downloadBlob(blob, `users-${new Date().toISOString().slice(0, 10)}.${format}`);
+    } catch (err) {
+      setError(`Export failed: ${formatError(err)}`);
+    } finally {
+      setBusy(false);
+    }
+  }, [search]);
+
+  const runImport = useCallback((body, contentType, dryRun) => {
+    return post(`/users/import?dryRun=${dryRun}`, body, {
+      headers: { 'Content-Type': contentType },
+      retry: false,
+    });
+  }, []);
+
+  const handleFile = useCallback(async (e) => {
+    const file = e.target.files[0];
+    // Let the same file be picked again after fixing it
+    e.target.value = '';
+    if (!file) return;
+
+    setError(null);
+    setApplied(null);
+    setPending(null);
+
+    const text = await file.text();
+    const isJson = file.name.toLowerCase().endsWith('.json');
+    let body = text;
+    if (isJson) {
+      try {
+        body = JSON.parse(text);
+      } catch (err) {
+        setError(`${file.name} is not valid JSON: ${err.message}`);
+        return;
+      }
+    }
+    const contentType = isJson ? 'application/json' : 'text/csv';
+
+    setBusy(true);
+    try {
+      const result = await runImport(body, contentType, true);
+      setPending({ fileName: file.name, body, contentType, result: result.data });
+    } catch (err) {
+      setError(`Could not read ${file.name}: ${formatError(err)}`);
+    } finally {
+      setBusy(false);
+    }
+  }, [runImport]);
+
+  const handleApply = useCallback(async () => {
+    setBusy(true);
+    try {
+      const result = await runImport(pending.body, pending.contentType, false);
+      setApplied({ fileName: pending.fileName, result: result.data });
+      setPending(null);
+      invalidateAndRefresh('users', 'import', {
+        updatedIds: result.data.rows.filter((row) => row.action === 'update').map((row) => row.id),
+      });
+      onImported();
+    } catch (err) {
+      setError(`Import failed: ${formatError(err)}`);
+    } finally {
+      setBusy(false);
+    }
+  }, [pending, runImport, invalidateAndRefresh, onImported]);
+
+  const report = pending || applied;
+  const changes = pending ? pending.result.summary.created + pending.result.summary.updated : 0;
+
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+        <button onClick={() => handleExport('csv')} disabled={busy} style={btnStyle}>Export CSV</button>
+        <button onClick={() => handleExport('json')} disabled={busy} style={btnStyle}>Export JSON</button>
+        {canImport && (
+          <>
+            <button onClick={() => fileInputRef.current.click()} disabled={busy} style={btnStyle}>Import...</button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              onChange={handleFile}
+              style={{ display: 'none' }}
+            />
+          </>
+        )}
+        <span style={{ fontSize: '12px', color: '#9ca3af' }}>
+          {search ? `Exports users matching "${search}"` : 'Exports all users'}
+        </span>
+      </div>
+
+      {error && (
+        <div style={{ fontSize: '13px', color: '#991b1b', marginTop: '8px' }}>{error}</div>
+      )}
+
+      {report && (
+        <div style={{
+          marginTop: '12px',
+          padding: '12px',
+          backgroundColor: '#f9fafb',
+          borderRadius: '8px',
+          border: '1px solid #e5e7eb',
+        }}>
+          <div style={{ fontSize: '13px', color: '#374151', marginBottom: '8px' }}>
+            <strong>{report.fileName}</strong>
+            {pending ? ' (preview, nothing saved yet)' : ' imported'}
+            {': '}
+            {formatSummary(report.result.summary, Boolean(pending))}
+          </div>
+          {report.result.ignoredColumns.length > 0 && (
+            <div style={{ fontSize: '12px', color: '#6b7280', marginBottom: '8px' }}>
+              Ignored columns: {report.result.ignoredColumns.join(', ')}
+            </div>
+          )}
+
+          <ImportReport rows={report.result.rows} />
+
+          <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+            {pending ? (
+              <>
+                <button onClick={handleApply} disabled={busy || changes === 0} style={btnStyle}>
+                  Apply {changes} change{changes === 1 ? '' : 's'}
+                </button>
+                <button onClick={() => setPending(null)} disabled={busy} style={btnStyle}>Cancel</button>
+              </>
+            ) : (
+              <button onClick={() => setApplied(null)} style={btnStyle}>Dismiss</button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+});
+
+/**
+ * Rows that create, update or fail; unchanged rows are only counted.
+ */
+function ImportReport({ rows }) {
+  const notable = rows.filter((row) => row.action !== 'unchanged');
+  if (notable.length === 0) {
+    return <div style={{ fontSize: '12px', color: '#6b7280' }}>Every row matches an existing user already.</div>;
+  }
+
+  const shown = notable.slice(0, MAX_REPORT_ROWS);
+
+  return (
+    <div style={{ maxHeight: '280px', overflowY: 'auto' }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+        <thead>
+          <tr style={{ textAlign: 'left', color: '#6b7280' }}>
+            <th style={cellStyle}>Row</th>
+            <th style={cellStyle}>Email</th>
+            <th style={cellStyle}>Result</th>
+            <th style={cellStyle}>Details</th>
+          </tr>
+        </thead>
+        <tbody>
+          {shown.map((row) => (
+            <tr key={row.row} style={{ borderTop: '1px solid #e5e7eb' }}>
+              <td style={cellStyle}>{row.row}</td>
+              <td style={{ ...cellStyle, fontFamily: 'monospace' }}>{row.email || '-'}</td>
+              <td style={{ ...cellStyle, color: ACTION_COLORS[row.action] }}>{row.action}</td>
+              <td style={cellStyle}>
+                {row.action === 'error'
+                  ? row.errors.map((e) => e.message).join('; ')
+                  : row.action === 'update'
+                    ? `user #${row.id}: ${row.fields.join(', ')}`
+                    : row.id ? `user #${row.id}` : 'new user'}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {notable.length > shown.length && (
+        <div style={{ fontSize: '12px', color: '#6b7280', padding: '6px 8px' }}>
+          ...and {notable.length - shown.length} more
+        </div>
+      )}
+    </div>
+  );
+}
+
+function formatSummary({ total, created, updated, unchanged, failed }, preview) {
+  const verb = preview ? 'would be ' : '';
+  return `${total} rows, ${created} ${verb}created, ${updated} ${verb}updated, ${unchanged} unchanged, ${failed} with errors`;
+}
+
+function formatError(err) {
+  const message = describeDenial(err.data) || err.message;
+  return err.requestId ? `${message} (request ${err.requestId})` : message;
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+const cellStyle = {
+  padding: '6px 8px',
+  verticalAlign: 'top',
+};
+
+const btnStyle = {
+  padding: '6px 12px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  backgroundColor: 'white',
+  cursor: 'pointer',
+  fontSize: '13px',
+  color: '#374151',
+};
+
+export { UserTransfer };
@@ -1,5 +1,9 @@
 /**
  * CacheContext - Provides cache manager to the component tree.
+ *
+ * `invalidateAndRefresh` runs a mutation rule and bumps `version`, which
+ * re-renders every consumer, so Suspense readers re-read the cache and
+ * refetch what the rule dropped.
  */
 
 import React, { createContext, useContext, useMemo, useCallback, useState } from 'react';
@@ -9,7 +13,7 @@ import { CacheInvalidator } from '../services/cache/invalidation';
 const CacheContext = createContext(null);
 
 function CacheProvider({ children, options = {} }) {
-  const [, forceUpdate] = useState(0);
+  const [version, setVersion] = useState(0);
 
   const cache = useMemo(
     () => new CacheManager(options),
@@ -30,6 +34,10 @@ function CacheProvider({ children, options = {} }) {
       'collection:users',
       (payload) => `user:${payload.id}`,
     ]);
+    inv.registerMutationRule('users', 'import', [
+      'collection:users',
+      (payload) => payload.updatedIds.map((id) => `user:${id}`),
+    ]);
 
     return inv;
   }, [cache]);
@@ -37,7 +45,7 @@ function CacheProvider({ children, options = {} }) {
   const invalidateAndRefresh = useCallback(
     (resourceType, mutationType, payload) => {
       invalidator.onMutation(resourceType, mutationType, payload);
-      forceUpdate((n) => n + 1);
+      setVersion((n) => n + 1);
     },
     [invalidator]
   );
@@ -47,9 +55,10 @@ function CacheProvider({ children, options = {} }) {
       cache,
       invalidator,
       invalidateAndRefresh,
+      version,
       getStats: () => cache.getStats(),
     }),
-    [cache, invalidator, invalidateAndRefresh]
+    [cache, invalidator, invalidateAndRefresh, version]
   );
 
   return (
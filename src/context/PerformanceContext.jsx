@@ -1,13 +1,16 @@
 /**
  * PerformanceContext - Provides performance monitoring to the component tree.
+ * With `reportMetrics`, render times and web vitals are also sent to the
+ * server as real-user monitoring data.
  */
 
-import React, { createContext, useContext, useMemo, useCallback, useState, useRef } from 'react';
+import React, { createContext, useContext, useMemo, useCallback, useState, useRef, useEffect } from 'react';
 import { useInterval } from '../hooks/useInterval';
+import { MetricsReporter } from '../services/metrics/MetricsReporter';
 
 const PerformanceContext = createContext(null);
 
-function PerformanceProvider({ children, trackingEnabled = true }) {
+function PerformanceProvider({ children, trackingEnabled = true, reportMetrics = true }) {
   const [globalMetrics, setGlobalMetrics] = useState({
     componentRenderCounts: {},
     totalRenders: 0,
@@ -16,6 +19,20 @@ function PerformanceProvider({ children, trackingEnabled = true }) {
   });
 
   const renderLogRef = useRef([]);
+  const reporterRef = useRef(null);
+
+  useEffect(() => {
+    if (!trackingEnabled || !reportMetrics) return;
+
+    const reporter = new MetricsReporter();
+    reporter.start();
+    reporterRef.current = reporter;
+
+    return () => {
+      reporter.stop();
+      reporterRef.current = null;
+    };
+  }, [trackingEnabled, reportMetrics]);
 
   const trackRender = useCallback((componentName, renderTime) => {
     renderLogRef.current.push({
@@ -29,6 +46,8 @@ function PerformanceProvider({ children, trackingEnabled = true }) {
       renderLogRef.current = renderLogRef.current.slice(-500);
     }
 
+    reporterRef.current?.record('render', renderTime);
+
     setGlobalMetrics((prev) => ({
       ...prev,
       totalRenders: prev.totalRenders + 1,
@@ -54,6 +73,11 @@ function PerformanceProvider({ children, trackingEnabled = true }) {
     }
   }, trackingEnabled ? 5000 : null);
 
+  // Page-level web vitals (fcp, lcp, cls); only the final value is reported
+  const reportVital = useCallback((name, value) => {
+    reporterRef.current?.setVital(name, value);
+  }, []);
+
   const getRenderLog = useCallback((componentName, limit = 20) => {
     const log = renderLogRef.current;
     if (componentName) {
@@ -76,11 +100,12 @@ function PerformanceProvider({ children, trackingEnabled = true }) {
     () => ({
       metrics: globalMetrics,
       trackRender,
+      reportVital,
       getRenderLog,
       resetMetrics,
       trackingEnabled,
     }),
-    [globalMetrics, trackRender, getRenderLog, resetMetrics, trackingEnabled]
+    [globalMetrics, trackRender, reportVital, getRenderLog, resetMetrics, trackingEnabled]
   );
 
   return (
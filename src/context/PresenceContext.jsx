@@ -0,0 +1,100 @@
+/**
+ * PresenceContext - Live user presence from the WebSocket `presence` channel.
+ * Subscribes once for the whole tree, keeps a userId -> presence map and
+ * publishes this client's own status whenever the user is active.
+ */
+
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { useWebSocketContext } from './WebSocketContext';
+import { useThrottle } from '../hooks/useThrottle';
+
+const PresenceContext = createContext(null);
+
+// Well inside the server's idle timeout, so an active user never goes idle
+const ACTIVITY_INTERVAL = 60000;
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'scroll'];
+
+function PresenceProvider({ children }) {
+  const { subscribe, send, connected, authenticated } = useWebSocketContext();
+  const [presence, setPresence] = useState(() => new Map());
+  const [myStatus, setMyStatus] = useState('active');
+
+  useEffect(() => {
+    const unsubscribers = [
+      subscribe('presence:snapshot', (payload) => {
+        setPresence(new Map((payload?.users || []).map((entry) => [entry.userId, entry])));
+      }),
+      subscribe('presence:join', (entry) => {
+        setPresence((prev) => new Map(prev).set(entry.userId, entry));
+      }),
+      subscribe('presence:status', (entry) => {
+        setPresence((prev) => new Map(prev).set(entry.userId, entry));
+      }),
+      subscribe('presence:leave', (entry) => {
+        setPresence((prev) => {
+          const next = new Map(prev);
+          next.delete(entry.userId);
+          return next;
+        });
+      }),
+    ];
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [subscribe]);
+
+  // The snapshot sent on subscribe replaces whatever we had before a reconnect
+  useEffect(() => {
+    if (!connected || !authenticated) {
+      setPresence(new Map());
+      return;
+    }
+    send('subscribe', { channel: 'presence' });
+  }, [connected, authenticated, send]);
+
+  // Publish our status on login and whenever it changes
+  useEffect(() => {
+    if (connected && authenticated) {
+      send('presence:update', { status: myStatus });
+    }
+  }, [connected, authenticated, myStatus, send]);
+
+  const reportActivity = useThrottle(() => {
+    if (connected && authenticated) {
+      send('presence:update', { status: myStatus });
+    }
+  }, ACTIVITY_INTERVAL);
+
+  useEffect(() => {
+    ACTIVITY_EVENTS.forEach((event) => window.addEventListener(event, reportActivity, { passive: true }));
+    return () => {
+      ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, reportActivity));
+    };
+  }, [reportActivity]);
+
+  const value = useMemo(
+    () => ({ presence, myStatus, setMyStatus }),
+    [presence, myStatus]
+  );
+
+  return (
+    <PresenceContext.Provider value={value}>
+      {children}
+    </PresenceContext.Provider>
+  );
+}
+
+function usePresenceContext() {
+  const context = useContext(PresenceContext);
+  if (!context) {
+    throw new Error('usePresenceContext must be used within a PresenceProvider');
+  }
+  return context;
+}
+
+/**
+ * Presence entry for one user, or null while they are offline.
+ */
+function usePresence(userId) {
+  return usePresenceContext().presence.get(userId) || null;
+}
+
+export { PresenceProvider, usePresenceContext, usePresence, PresenceContext };
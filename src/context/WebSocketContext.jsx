@@ -7,7 +7,7 @@ import { useWebSocket } from '../hooks/useWebSocket';
 
 const WebSocketContext = createContext(null);
 
-function WebSocketProvider({ children, url, authToken }) {
+function WebSocketProvider({ children, url, sseUrl, authToken, getAuthToken, onAuthRevoked, enableBinary = false }) {
   const [messages, setMessages] = useState([]);
 
   const handleMessage = useCallback((message) => {
@@ -20,6 +20,10 @@ function WebSocketProvider({ children, url, authToken }) {
 
   const ws = useWebSocket(url, {
     authToken,
+    getAuthToken,
+    enableBinary,
+    sseUrl,
+    onAuthRevoked,
     autoConnect: true,
     onMessage: handleMessage,
   });
@@ -64,7 +64,8 @@ function useApiCache(fetchFn, options = {}) {
     setState((prev) => ({ ...prev, isLoading: true, error: null }));
 
     // Plain fetch — no abort signal.  The requestId guard handles staleness.
-    const wrappedFetch = () => fetchFnRef.current();
+    // Validators ({ etag }) are forwarded so fetchFn can make a conditional request.
+    const wrappedFetch = (validators) => fetchFnRef.current(validators);
 
     try {
       let result;
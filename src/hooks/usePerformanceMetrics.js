@@ -1,8 +1,11 @@
 /**
  * usePerformanceMetrics - Hook to track and report performance metrics.
+ * Inside a PerformanceProvider, observed web vitals are also reported
+ * to the server.
  */
 
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useRef, useCallback, useContext } from 'react';
+import { PerformanceContext } from '../context/PerformanceContext';
 
 function usePerformanceMetrics(componentName = 'Unknown') {
   const [metrics, setMetrics] = useState({
@@ -14,6 +17,10 @@ function usePerformanceMetrics(componentName = 'Unknown') {
     cls: null,
   });
 
+  const reportVital = useContext(PerformanceContext)?.reportVital;
+  const reportVitalRef = useRef(reportVital);
+  reportVitalRef.current = reportVital;
+
   const renderCountRef = useRef(0);
   const renderTimesRef = useRef([]);
   const updateTimerRef = useRef(null);
@@ -72,11 +79,13 @@ function usePerformanceMetrics(componentName = 'Unknown') {
     try {
       const fcpObserver = new PerformanceObserver((entryList) => {
         const entries = entryList.getEntries();
-        if (entries.length > 0) {
+        const fcp = entries.find((entry) => entry.name === 'first-contentful-paint');
+        if (fcp) {
           setMetrics((prev) => ({
             ...prev,
-            fcp: Math.round(entries[0].startTime),
+            fcp: Math.round(fcp.startTime),
           }));
+          reportVitalRef.current?.('fcp', fcp.startTime);
         }
       });
       fcpObserver.observe({ type: 'paint', buffered: true });
@@ -95,6 +104,7 @@ function usePerformanceMetrics(componentName = 'Unknown') {
             ...prev,
             lcp: Math.round(lastEntry.startTime),
           }));
+          reportVitalRef.current?.('lcp', lastEntry.startTime);
         }
       });
       lcpObserver.observe({ type: 'largest-contentful-paint', buffered: true });
@@ -116,6 +126,7 @@ function usePerformanceMetrics(componentName = 'Unknown') {
           ...prev,
           cls: Math.round(clsValue * 1000) / 1000,
         }));
+        reportVitalRef.current?.('cls', clsValue);
       });
       clsObserver.observe({ type: 'layout-shift', buffered: true });
       observers.push(clsObserver);
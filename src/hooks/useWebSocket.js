@@ -10,12 +10,16 @@ const EMPTY_PROTOCOLS = [];
 function useWebSocket(url, options = {}) {
   const {
     authToken = null,
+    getAuthToken = null,
     autoConnect = true,
     onMessage = null,
     onOpen = null,
     onClose = null,
     onError = null,
+    onAuthRevoked = null,
     protocols = EMPTY_PROTOCOLS,
+    enableBinary = false,
+    sseUrl = null,
     reconnectAttempts = 10,
   } = options;
 
@@ -25,6 +29,7 @@ function useWebSocket(url, options = {}) {
     reconnecting: false,
     reconnectAttempt: 0,
     error: null,
+    user: null,
   });
 
   const [lastMessage, setLastMessage] = useState(null);
@@ -34,6 +39,7 @@ function useWebSocket(url, options = {}) {
   const onOpenRef = useRef(onOpen);
   const onCloseRef = useRef(onClose);
   const onErrorRef = useRef(onError);
+  const onAuthRevokedRef = useRef(onAuthRevoked);
 
   // Keep refs in sync without causing re-effects
   useEffect(() => {
@@ -52,6 +58,10 @@ function useWebSocket(url, options = {}) {
     onErrorRef.current = onError;
   }, [onError]);
 
+  useEffect(() => {
+    onAuthRevokedRef.current = onAuthRevoked;
+  }, [onAuthRevoked]);
+
   // Stable reference for manager
   const managerRef = useRef(null);
 
@@ -59,7 +69,10 @@ function useWebSocket(url, options = {}) {
   const wsConfig = useMemo(
     () => ({
       authToken,
+      getAuthToken,
       protocols,
+      enableBinary,
+      sseUrl,
       maxReconnectAttempts: reconnectAttempts,
       onOpen: () => {
         setConnectionState((prev) => ({
@@ -87,16 +100,24 @@ function useWebSocket(url, options = {}) {
         setLastMessage(message);
         if (onMessageRef.current) onMessageRef.current(message);
       },
-      onAuthSuccess: () => {
-        setConnectionState((prev) => ({ ...prev, authenticated: true }));
+      onAuthSuccess: (payload) => {
+        setConnectionState((prev) => ({
+          ...prev,
+          authenticated: true,
+          user: payload?.user || null,
+        }));
       },
       onAuthFailed: () => {
         setConnectionState((prev) => ({
           ...prev,
           authenticated: false,
+          user: null,
           error: new Error('Authentication failed'),
         }));
       },
+      onAuthRevoked: (payload) => {
+        if (onAuthRevokedRef.current) onAuthRevokedRef.current(payload);
+      },
       onReconnecting: (attempt) => {
         setConnectionState((prev) => ({
           ...prev,
@@ -105,7 +126,7 @@ function useWebSocket(url, options = {}) {
         }));
       },
     }),
-    [authToken, protocols, reconnectAttempts]
+    [authToken, getAuthToken, protocols, enableBinary, sseUrl, reconnectAttempts]
   );
 
   // Create and manage WebSocket connection
@@ -135,6 +156,14 @@ function useWebSocket(url, options = {}) {
     return null;
   }, []);
 
+  // Stable request function; rejects straight away without a manager
+  const request = useCallback((type, payload, options) => {
+    if (managerRef.current) {
+      return managerRef.current.request(type, payload, options);
+    }
+    return Promise.reject(new Error('[useWebSocket] Cannot request: not connected'));
+  }, []);
+
   // Stable subscribe function
   const subscribe = useCallback((messageType, handler) => {
     if (managerRef.current) {
@@ -167,6 +196,7 @@ function useWebSocket(url, options = {}) {
     ...connectionState,
     lastMessage,
     send,
+    request,
     subscribe,
     connect,
     disconnect,
@@ -0,0 +1,122 @@
+/**
+ * AuthService - Holds the access/refresh token pair for the signed-in user
+ * and refreshes it before it expires. When the refresh token is rejected
+ * (expired, revoked, or the server restarted with a new secret) the user
+ * is signed out; the password is never kept to log in again silently.
+ */
+
+import { post } from '../../api/client';
+
+const STORAGE_KEY = 'auth.session';
+
+class AuthService {
+  constructor(options = {}) {
+    this.refreshMargin = options.refreshMargin || 30000;
+    // e.g. sessionStorage, so a reload doesn't sign the tab out
+    this.storage = options.storage || null;
+    this.session = null;
+    this.expiresAt = 0;
+    this.pendingRequest = null;
+    this.signOutReason = null;
+    this.listeners = new Set();
+
+    this._restore();
+  }
+
+  async login(credentials) {
+    const response = await post('/auth/login', credentials, { auth: false, retry: false });
+    this.signOutReason = null;
+    this._setSession(response.data);
+    return this.session;
+  }
+
+  async refresh() {
+    try {
+      const response = await post(
+        '/auth/refresh',
+        { refreshToken: this.session.refreshToken },
+        { auth: false, retry: false }
+      );
+      this._setSession(response.data);
+      return this.session;
+    } catch (error) {
+      if (error.status === 401) {
+        this.logout(error.data?.code === 'token_revoked'
+          ? 'Your session was revoked. Please sign in again.'
+          : 'Your session has expired. Please sign in again.');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a valid access token, refreshing it as needed. Concurrent
+   * callers share a single in-flight refresh. Rejects when signed out.
+   */
+  async getAccessToken({ forceRefresh = false } = {}) {
+    if (!this.session) {
+      throw new Error('Not signed in');
+    }
+
+    const expiring = Date.now() > this.expiresAt - this.refreshMargin;
+    if (!expiring && !forceRefresh) {
+      return this.session.accessToken;
+    }
+
+    if (!this.pendingRequest) {
+      this.pendingRequest = this.refresh().finally(() => {
+        this.pendingRequest = null;
+      });
+    }
+
+    const session = await this.pendingRequest;
+    return session.accessToken;
+  }
+
+  getUser() {
+    return this.session?.user || null;
+  }
+
+  /**
+   * Drop the session. `reason` is kept for the sign-in screen to show.
+   */
+  logout(reason = null) {
+    this.signOutReason = reason;
+    this._setSession(null);
+  }
+
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _setSession(session) {
+    this.session = session;
+    // Relative expiry, so client/server clock skew doesn't matter
+    this.expiresAt = session ? Date.now() + session.expiresIn * 1000 : 0;
+    this._persist();
+    this.listeners.forEach((listener) => listener(this.getUser()));
+  }
+
+  _persist() {
+    if (!this.storage) return;
+    if (this.session) {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(this.session));
+    } else {
+      this.storage.removeItem(STORAGE_KEY);
+    }
+  }
+
+  _restore() {
+    if (!this.storage) return;
+    try {
+      this.session = JSON.parse(this.storage.getItem(STORAGE_KEY)) || null;
+    } catch {
+      this.session = null;
+    }
+    // The stored access token may be stale; the first use refreshes it
+    this.expiresAt = 0;
+  }
+}
+
+export { AuthService };
@@ -36,6 +36,7 @@ class CacheManager {
       misses: 0,
       evictions: 0,
       invalidations: 0,
+      revalidations: 0,
     };
   }
 
@@ -48,7 +49,7 @@ class CacheManager {
     }
 
     if (entry.isExpired()) {
-      this._remove(key);
+      this._removeExpired(key);
       this.stats.misses++;
       return null;
     }
@@ -96,12 +97,25 @@ class CacheManager {
     const entry = this.cache.get(key);
     if (!entry) return false;
     if (entry.isExpired()) {
-      this._remove(key);
+      this._removeExpired(key);
       return false;
     }
     return true;
   }
 
+  /**
+   * Restart an entry's TTL after the server confirmed (304) it is unchanged.
+   * Returns false if the entry is gone and must be fetched in full.
+   */
+  touch(key) {
+    const entry = this.cache.get(key);
+    if (!entry) return false;
+
+    entry.createdAt = Date.now();
+    this.stats.revalidations++;
+    return true;
+  }
+
   invalidate(key) {
     this._remove(key);
     this.stats.invalidations++;
@@ -190,6 +204,16 @@ class CacheManager {
     this.cache.delete(key);
   }
 
+  /**
+   * Expired entries that carry an ETag are kept (still subject to LRU
+   * eviction) so they can be revalidated instead of downloaded again.
+   */
+  _removeExpired(key) {
+    if (!this.cache.get(key)?.etag) {
+      this._remove(key);
+    }
+  }
+
   _evictLRU() {
     // Map iterator gives keys in insertion order; first key is the LRU
     const firstKey = this.cache.keys().next().value;
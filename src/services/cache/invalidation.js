@@ -10,7 +10,8 @@ class CacheInvalidator {
 
   /**
    * Register a rule: when a mutation happens on a resource,
-   * invalidate all cache entries with the specified tags.
+   * invalidate all cache entries with the specified tags. A tag may be a
+   * function of the mutation payload returning one tag or an array.
    */
   registerMutationRule(resourceType, mutationType, tags) {
     const key = `${resourceType}:${mutationType}`;
@@ -27,8 +28,10 @@ class CacheInvalidator {
     if (tags) {
       let invalidated = 0;
       tags.forEach((tag) => {
-        const tagToInvalidate = typeof tag === 'function' ? tag(payload) : tag;
-        invalidated += this.cache.invalidateByTag(tagToInvalidate);
+        const tagsToInvalidate = [].concat(typeof tag === 'function' ? tag(payload) : tag);
+        tagsToInvalidate.forEach((t) => {
+          invalidated += this.cache.invalidateByTag(t);
+        });
       });
       return invalidated;
     }
@@ -1,7 +1,34 @@
 /**
  * Cache strategies: cache-first, network-first, stale-while-revalidate.
+ *
+ * fetchFn is called with `{ etag }` (the cached entry's validator, if any).
+ * It may return plain data, or a ConditionalResponse from getConditional()
+ * to revalidate: a 304 restarts the entry's TTL without a new payload.
  */
 
+import { ConditionalResponse } from '../../api/client';
+
+async function fetchAndStore(cacheManager, key, fetchFn, options) {
+  const etag = cacheManager.getEtag(key);
+  let result = await fetchFn({ etag });
+
+  if (!(result instanceof ConditionalResponse)) {
+    cacheManager.set(key, result, options);
+    return result;
+  }
+
+  if (result.notModified) {
+    if (cacheManager.touch(key)) {
+      return cacheManager.getStale(key);
+    }
+    // Entry was evicted while the request was in flight
+    result = await fetchFn({ etag: null });
+  }
+
+  cacheManager.set(key, result.data, { ...options, etag: result.etag });
+  return result.data;
+}
+
 /**
  * Cache-first strategy: returns cached data if available, otherwise fetches from network.
  */
@@ -11,8 +38,7 @@ async function cacheFirst(cacheManager, key, fetchFn, options = {}) {
     return { data: cached, source: 'cache', stale: false };
   }
 
-  const data = await fetchFn();
-  cacheManager.set(key, data, options);
+  const data = await fetchAndStore(cacheManager, key, fetchFn, options);
   return { data, source: 'network', stale: false };
 }
 
@@ -21,8 +47,7 @@ async function cacheFirst(cacheManager, key, fetchFn, options = {}) {
  */
 async function networkFirst(cacheManager, key, fetchFn, options = {}) {
   try {
-    const data = await fetchFn();
-    cacheManager.set(key, data, options);
+    const data = await fetchAndStore(cacheManager, key, fetchFn, options);
     return { data, source: 'network', stale: false };
   } catch (error) {
     const cached = cacheManager.getStale(key);
@@ -45,9 +70,8 @@ function staleWhileRevalidate(cacheManager, key, fetchFn, options = {}) {
   let fetchError = null;
 
   // Start background revalidation
-  const revalidatePromise = fetchFn()
+  const revalidatePromise = fetchAndStore(cacheManager, key, fetchFn, options)
     .then((data) => {
-      cacheManager.set(key, data, options);
       if (options.onRevalidated) {
         options.onRevalidated(data);
       }
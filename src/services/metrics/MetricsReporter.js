@@ -0,0 +1,113 @@
+/**
+ * MetricsReporter - Batches real-user measurements and beacons them to
+ * POST /api/v1/metrics.
+ *
+ * Render times are queued as they happen and flushed periodically. Web
+ * vitals (FCP, LCP, CLS) keep changing until the page is hidden, so only
+ * their latest value is kept and sent once, on the first page hide.
+ */
+
+const DEFAULT_ENDPOINT = '/api/v1/metrics';
+
+class MetricsReporter {
+  constructor(options = {}) {
+    this.endpoint = options.endpoint || DEFAULT_ENDPOINT;
+    this.flushInterval = options.flushInterval || 10000;
+    // Server accepts up to 100 samples per beacon
+    this.maxBatchSize = options.maxBatchSize || 50;
+    this.maxQueueSize = options.maxQueueSize || 500;
+    this.getRoute = options.getRoute || (() => window.location.pathname);
+    this.queue = [];
+    // metric -> { route, value }, sent on page hide
+    this.vitals = new Map();
+    this.vitalsSent = false;
+    this.timer = null;
+    this._handleVisibilityChange = this._handleVisibilityChange.bind(this);
+    this._handlePageHide = this._handlePageHide.bind(this);
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.flush(), this.flushInterval);
+    document.addEventListener('visibilitychange', this._handleVisibilityChange);
+    window.addEventListener('pagehide', this._handlePageHide);
+
+    const navigation = performance.getEntriesByType?.('navigation')[0];
+    if (navigation?.responseStart > 0) {
+      this.record('ttfb', navigation.responseStart);
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    document.removeEventListener('visibilitychange', this._handleVisibilityChange);
+    window.removeEventListener('pagehide', this._handlePageHide);
+    this.flush({ final: true });
+  }
+
+  record(metric, value, route = this.getRoute()) {
+    if (!Number.isFinite(value) || value < 0) return;
+
+    if (this.queue.length >= this.maxQueueSize) {
+      this.queue.shift();
+    }
+    this.queue.push({ route, metric, value });
+
+    if (this.queue.length >= this.maxBatchSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Remember the latest value of a page-level vital. It's attributed to
+   * the route it was first seen on, i.e. the page that loaded.
+   */
+  setVital(metric, value) {
+    if (this.vitalsSent || !Number.isFinite(value)) return;
+    const route = this.vitals.get(metric)?.route || this.getRoute();
+    this.vitals.set(metric, { route, value });
+  }
+
+  flush({ final = false } = {}) {
+    if (final && !this.vitalsSent && this.vitals.size > 0) {
+      this.vitals.forEach(({ route, value }, metric) => this.queue.push({ route, metric, value }));
+      this.vitals.clear();
+      this.vitalsSent = true;
+    }
+
+    while (this.queue.length > 0) {
+      this._send(this.queue.splice(0, this.maxBatchSize));
+    }
+  }
+
+  _send(samples) {
+    const body = JSON.stringify({ samples });
+
+    // sendBeacon survives page unload; fetch keepalive is the fallback
+    if (navigator.sendBeacon?.(this.endpoint, new Blob([body], { type: 'application/json' }))) {
+      return;
+    }
+    fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true,
+    }).catch(() => {
+      // Monitoring must never break the app
+    });
+  }
+
+  _handleVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+      this.flush({ final: true });
+    }
+  }
+
+  _handlePageHide() {
+    this.flush({ final: true });
+  }
+}
+
+export { MetricsReporter };
@@ -0,0 +1,153 @@
+/**
+ * SseTransport - WebSocket-shaped wrapper around the /api/v1/stream
+ * Server-Sent Events endpoint, for networks whose proxies drop WebSockets.
+ *
+ * Server -> client envelopes arrive on an EventSource; client -> server
+ * messages are POSTed to /api/v1/stream/:clientId/messages, in order.
+ *
+ * Any stream error closes the transport with code 1006 instead of leaving
+ * it to EventSource's own retry: a retried stream is a new server client
+ * with a new clientId and none of the subscriptions or filters sent on the
+ * old one. The manager's reconnect (and `resume`) logic then applies
+ * unchanged, as for a dropped WebSocket.
+ */
+
+import { post } from '../../api/client.js';
+
+const SSE_PROTOCOL = 'sse';
+
+const STATES = {
+  CONNECTING: 0,
+  OPEN: 1,
+  CLOSING: 2,
+  CLOSED: 3,
+};
+
+class SseTransport {
+  /**
+   * @param {string} url - Stream URL, e.g. `/api/v1/stream`
+   * @param {object} options
+   * @param {Function} options.getToken - Resolves the access token; EventSource
+   *   can't send headers, so it goes in the query string.
+   */
+  constructor(url, { getToken }) {
+    this.url = url;
+    this.protocol = SSE_PROTOCOL;
+    this.readyState = STATES.CONNECTING;
+    this.clientId = null;
+    this.source = null;
+    // Sends wait for connection:established, then go out one at a time
+    this.outbox = [];
+    this.sending = Promise.resolve();
+
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.onerror = null;
+
+    this._open(getToken);
+  }
+
+  async _open(getToken) {
+    let token;
+    try {
+      token = await getToken();
+    } catch (err) {
+      this._fail(err);
+      return;
+    }
+    if (this.readyState !== STATES.CONNECTING) return;
+
+    const separator = this.url.includes('?') ? '&' : '?';
+    this.source = new EventSource(`${this.url}${separator}access_token=${encodeURIComponent(token || '')}`);
+
+    this.source.onopen = () => {
+      if (this.readyState !== STATES.CONNECTING) return;
+      this.readyState = STATES.OPEN;
+      if (this.onopen) this.onopen({ type: 'open' });
+    };
+
+    this.source.onmessage = (event) => {
+      this._trackClientId(event.data);
+      if (this.onmessage) this.onmessage({ data: event.data });
+    };
+
+    // The server announces why it is ending the stream before it does
+    this.source.addEventListener('close', (event) => {
+      let detail = {};
+      try {
+        detail = JSON.parse(event.data);
+      } catch {
+        // Keep the defaults
+      }
+      this._finish(detail.code || 1000, detail.reason || '');
+    });
+
+    // A dropped stream, or one refused (e.g. the token in the URL expired);
+    // closing the source stops EventSource retrying, and the manager
+    // reconnects with a fresh token
+    this.source.onerror = (event) => this._fail(event);
+  }
+
+  send(data) {
+    if (typeof data !== 'string') {
+      throw new TypeError('SseTransport only sends text messages');
+    }
+    if (this.readyState !== STATES.OPEN) {
+      throw new Error('SseTransport is not open');
+    }
+
+    this.outbox.push(JSON.parse(data));
+    if (this.clientId) this._flush();
+  }
+
+  close(code = 1000, reason = '') {
+    if (this.readyState === STATES.CLOSED) return;
+    this._finish(code, reason);
+  }
+
+  _trackClientId(data) {
+    if (this.clientId) return;
+    try {
+      const message = JSON.parse(data);
+      if (message.type === 'connection:established') {
+        this.clientId = message.payload?.clientId || null;
+        this._flush();
+      }
+    } catch {
+      // The manager reports unparseable messages
+    }
+  }
+
+  _flush() {
+    const { clientId } = this;
+    const messages = this.outbox.splice(0);
+    messages.forEach((message) => {
+      this.sending = this.sending.then(() =>
+        post(`/stream/${clientId}/messages`, message, { retry: false }).catch((err) => {
+          console.error('[SseTransport] Send failed:', err);
+          // The server forgot this stream; reconnect to get a new one
+          if (err.status === 404) this._fail(err);
+        })
+      );
+    });
+  }
+
+  _fail(error) {
+    if (this.readyState === STATES.CLOSED) return;
+    if (this.onerror) this.onerror(error);
+    this._finish(1006, 'SSE stream error');
+  }
+
+  _finish(code, reason) {
+    this.readyState = STATES.CLOSED;
+    this.outbox = [];
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+    if (this.onclose) this.onclose({ code, reason, wasClean: code !== 1006 });
+  }
+}
+
+export { SseTransport, SSE_PROTOCOL };
@@ -2,8 +2,28 @@
  * WebSocketManager - Full lifecycle management for WebSocket connections.
  * Handles connection, authentication, heartbeat, reconnection, message queuing,
  * serialization, and proper cleanup.
+ *
+ * With `sseUrl`, a socket that keeps failing before it authenticates is
+ * swapped for an SseTransport for the rest of the manager's life.
  */
 
+import { encode, decode } from '../../../shared/msgpack.js';
+import { SseTransport } from './SseTransport.js';
+
+// Subprotocols understood by server/wsHandler.js
+const BINARY_PROTOCOL = 'msgpack';
+const JSON_PROTOCOL = 'json';
+
+const TRANSPORTS = {
+  WEBSOCKET: 'websocket',
+  SSE: 'sse',
+};
+
+// Request types server/wsRequests.js answers before authentication
+const PUBLIC_REQUESTS = new Set(['ping', 'client:stats']);
+
+const textEncoder = new TextEncoder();
+
 const WS_STATES = {
   CONNECTING: 0,
   OPEN: 1,
@@ -11,25 +31,53 @@ const WS_STATES = {
   CLOSED: 3,
 };
 
+/**
+ * Rejection reason for request(): a server error reply, a timeout
+ * (`request_timeout`), a dropped connection (`connection_closed`) or a
+ * failed authentication while the request waited for it (`auth_failed`).
+ */
+class WebSocketRequestError extends Error {
+  constructor(code, message, requestType) {
+    super(message);
+    this.name = 'WebSocketRequestError';
+    this.code = code;
+    this.requestType = requestType;
+  }
+}
+
 class WebSocketManager {
   constructor(url, options = {}) {
     this.url = url;
     this.options = {
-      protocols: options.protocols || [],
+      // With enableBinary, offer MessagePack first; the server falls back to JSON
+      protocols: options.enableBinary
+        ? [BINARY_PROTOCOL, JSON_PROTOCOL, ...(options.protocols || [])]
+        : options.protocols || [],
       authToken: options.authToken || null,
+      // Async token source; called with { forceRefresh } and preferred over authToken
+      getAuthToken: options.getAuthToken || null,
+      authRefreshMargin: options.authRefreshMargin || 60000,
+      // Ask the server to replay sequenced channel messages missed while disconnected
+      resume: options.resume !== false,
       maxReconnectAttempts: options.maxReconnectAttempts || 10,
       baseReconnectDelay: options.baseReconnectDelay || 1000,
       maxReconnectDelay: options.maxReconnectDelay || 30000,
       heartbeatInterval: options.heartbeatInterval || 30000,
       heartbeatTimeout: options.heartbeatTimeout || 5000,
       maxQueueSize: options.maxQueueSize || 100,
+      requestTimeout: options.requestTimeout || 10000,
       enableBinary: options.enableBinary || false,
+      // SSE stream to fall back to; null keeps retrying the WebSocket
+      sseUrl: options.sseUrl || null,
+      fallbackAfterFailures: options.fallbackAfterFailures || 3,
       onOpen: options.onOpen || null,
       onClose: options.onClose || null,
       onError: options.onError || null,
       onMessage: options.onMessage || null,
       onAuthSuccess: options.onAuthSuccess || null,
       onAuthFailed: options.onAuthFailed || null,
+      // Session revoked server-side; the app should sign the user out
+      onAuthRevoked: options.onAuthRevoked || null,
       onReconnecting: options.onReconnecting || null,
     };
 
@@ -37,11 +85,14 @@ class WebSocketManager {
     this.state = WS_STATES.CLOSED;
     this.reconnectAttempts = 0;
     this.reconnectTimer = null;
+    this.authRefreshTimer = null;
     this.heartbeatTimer = null;
     this.heartbeatTimeoutTimer = null;
     this.messageQueue = [];
     this.messageHandlers = new Map();
     this.pendingMessages = new Map();
+    // Non-public requests waiting for auth:success, in order
+    this.heldRequests = [];
     this.messageIdCounter = 0;
     this.isIntentionallyClosed = false;
     this.authenticated = false;
@@ -50,7 +101,17 @@ class WebSocketManager {
     this.heartbeatMissCount = 0;
     this.messageSequence = 0;
     this.outOfOrderCount = 0;
-    this.lastReceivedSequence = -1;
+    // channel -> highest sequence received; only meaningful within one server epoch
+    this.lastSequences = {};
+    this.serverEpoch = null;
+    this.resumePending = false;
+    // message type -> { messages, bytes, jsonBytes } received over the wire
+    this.wireStats = {};
+    this.transport = TRANSPORTS.WEBSOCKET;
+    // WebSocket connections in a row that closed before authenticating
+    this.failedConnections = 0;
+    // Set by a server:shutdown notice until we're back in: { reconnectAfter }
+    this.serverRestart = null;
   }
 
   connect() {
@@ -63,9 +124,15 @@ class WebSocketManager {
     this.state = WS_STATES.CONNECTING;
 
     try {
-      this.ws = new WebSocket(this.url, this.options.protocols);
+      if (this.transport === TRANSPORTS.SSE) {
+        this.ws = new SseTransport(this.options.sseUrl, {
+          getToken: () => this._resolveToken(),
+        });
+      } else {
+        this.ws = new WebSocket(this.url, this.options.protocols);
+      }
 
-      if (this.options.enableBinary) {
+      if (this.options.enableBinary && this.transport === TRANSPORTS.WEBSOCKET) {
         this.ws.binaryType = 'arraybuffer';
       }
 
@@ -110,15 +177,59 @@ class WebSocketManager {
     return message.id;
   }
 
+  /**
+   * Send a message and resolve with the payload of the server's reply
+   * (matched on `replyTo`). While connecting, requests wait for the socket
+   * to open, and all but the public ones (PUBLIC_REQUESTS) for auth:success
+   * too. Requests made with no connection under way, or still unanswered
+   * when the socket closes, reject with `connection_closed`.
+   */
+  request(type, payload = {}, { timeout = this.options.requestTimeout } = {}) {
+    return new Promise((resolve, reject) => {
+      if (this.state === WS_STATES.CLOSED || this.state === WS_STATES.CLOSING) {
+        reject(new WebSocketRequestError('connection_closed', `Request ${type} made while disconnected`, type));
+        return;
+      }
+
+      const message = {
+        id: `msg-${++this.messageIdCounter}`,
+        type,
+        payload,
+        timestamp: Date.now(),
+      };
+
+      const timer = setTimeout(() => {
+        this._dropRequest(message.id);
+        reject(new WebSocketRequestError('request_timeout', `Request ${type} timed out after ${timeout}ms`, type));
+      }, timeout);
+
+      this.pendingMessages.set(message.id, { type, resolve, reject, timer });
+
+      if (!this.authenticated && !PUBLIC_REQUESTS.has(type)) {
+        this.heldRequests.push(message);
+      } else if (this.ws && this.ws.readyState === WS_STATES.OPEN) {
+        this._sendRaw(message);
+      } else {
+        this._enqueueMessage(message);
+      }
+    });
+  }
+
+  /**
+   * Send raw bytes, or any value MessagePack-encoded.
+   */
   sendBinary(data) {
     if (!this.options.enableBinary) {
       console.warn('[WSManager] Binary mode not enabled');
       return;
     }
+    if (this.transport === TRANSPORTS.SSE) {
+      console.warn('[WSManager] Binary messages are not supported over SSE');
+      return;
+    }
 
     if (this.ws && this.ws.readyState === WS_STATES.OPEN) {
-      const buffer = data instanceof ArrayBuffer ? data : new TextEncoder().encode(JSON.stringify(data)).buffer;
-      this.ws.send(buffer);
+      this.ws.send(data instanceof ArrayBuffer ? data : encode(data));
     }
   }
 
@@ -146,11 +257,18 @@ class WebSocketManager {
       connectionId: this.connectionId,
       reconnectAttempts: this.reconnectAttempts,
       queuedMessages: this.messageQueue.length,
+      pendingRequests: this.pendingMessages.size,
       state: this.state,
       lastHeartbeatAt: this.lastHeartbeatAt,
       heartbeatMissCount: this.heartbeatMissCount,
       messageSequence: this.messageSequence,
       outOfOrderCount: this.outOfOrderCount,
+      lastSequences: { ...this.lastSequences },
+      protocol: this.ws?.protocol || JSON_PROTOCOL,
+      transport: this.transport,
+      wireStats: Object.fromEntries(
+        Object.entries(this.wireStats).map(([type, stats]) => [type, { ...stats }])
+      ),
     };
   }
 
@@ -171,9 +289,13 @@ class WebSocketManager {
 
   _handleClose(event) {
     console.log(`[WSManager] Closed (code: ${event.code}, reason: ${event.reason})`);
+    if (!this.authenticated && !this.isIntentionallyClosed) {
+      this._recordFailedConnection();
+    }
     this.state = WS_STATES.CLOSED;
     this.authenticated = false;
     this._clearTimers();
+    this._rejectPending('connection_closed', `Connection closed (code: ${event.code})`);
 
     if (this.options.onClose) {
       this.options.onClose(event);
@@ -196,13 +318,14 @@ class WebSocketManager {
     let message;
 
     if (event.data instanceof ArrayBuffer) {
-      const text = new TextDecoder().decode(event.data);
       try {
-        message = JSON.parse(text);
+        message = decode(event.data);
       } catch {
         this._notifyHandlers('binary', event.data);
         return;
       }
+      // What the same message would have cost as JSON text
+      this._recordWireStats(message.type, event.data.byteLength, textEncoder.encode(JSON.stringify(message)).length);
     } else {
       try {
         message = JSON.parse(event.data);
@@ -210,35 +333,85 @@ class WebSocketManager {
         console.error('[WSManager] Failed to parse message:', err);
         return;
       }
+      const bytes = textEncoder.encode(event.data).length;
+      this._recordWireStats(message.type, bytes, bytes);
+    }
+
+    // Replies settle their request and aren't broadcast to subscribers
+    if (message.replyTo && this.pendingMessages.has(message.replyTo)) {
+      this._settleRequest(message);
+      return;
     }
 
     // Handle internal message types
     switch (message.type) {
       case 'connection:established':
         this.connectionId = message.payload?.clientId;
-        if (this.options.authToken) {
-          this.send('auth:token', { token: this.options.authToken });
+        // A restarted server numbers its channels from scratch
+        if (message.payload?.epoch !== this.serverEpoch) {
+          this.serverEpoch = message.payload?.epoch ?? null;
+          this.lastSequences = {};
+        }
+        this.resumePending = this.options.resume;
+        // SSE streams are authenticated by the token they were opened with
+        if (this.transport !== TRANSPORTS.SSE) {
+          this._authenticate();
         }
         break;
 
       case 'auth:required':
-        if (this.options.authToken) {
-          this.send('auth:token', { token: this.options.authToken });
-        }
+        this._authenticate();
         break;
 
       case 'auth:success':
         this.authenticated = true;
+        this.failedConnections = 0;
+        this.serverRestart = null;
+        this._scheduleAuthRefresh(message.payload?.expiresIn);
+        this._releaseHeldRequests();
+        // Only the first auth on a connection resumes; later ones are token refreshes
+        if (this.resumePending) {
+          this.resumePending = false;
+          if (Object.keys(this.lastSequences).length > 0) {
+            this.send('resume', { channels: { ...this.lastSequences } });
+          }
+        }
         if (this.options.onAuthSuccess) {
           this.options.onAuthSuccess(message.payload);
         }
         break;
 
+      case 'auth:expired':
+        // Missed the proactive refresh; the server closes the socket next
+        // and the reconnect authenticates with a fresh token
+        this.authenticated = false;
+        break;
+
       case 'auth:failed':
         this.authenticated = false;
+        this._rejectHeldRequests('auth_failed', message.payload?.message || 'Authentication failed');
+        if (this.options.onAuthFailed) {
+          this.options.onAuthFailed(message.payload);
+        }
+        break;
+
+      case 'auth:revoked':
+        // The whole session is revoked, refresh token included, so there is
+        // nothing to re-authenticate with; leave it to the app to sign out
+        this.authenticated = false;
+        clearTimeout(this.authRefreshTimer);
+        this._rejectHeldRequests('auth_failed', message.payload?.message || 'Authentication revoked');
         if (this.options.onAuthFailed) {
           this.options.onAuthFailed(message.payload);
         }
+        if (this.options.onAuthRevoked) {
+          this.options.onAuthRevoked(message.payload);
+        }
+        break;
+
+      case 'server:shutdown':
+        // The close follows; reconnect when the server said it would be back
+        this.serverRestart = { reconnectAfter: message.payload?.reconnectAfter || 0 };
         break;
 
       case 'heartbeat:ping':
@@ -251,6 +424,10 @@ class WebSocketManager {
         break;
     }
 
+    if (message.channel && message.payload?.sequence !== undefined) {
+      this.trackMessageSequence(message.payload.sequence, message.channel, message.payload.replayed);
+    }
+
     // Notify type-specific handlers
     this._notifyHandlers(message.type, message.payload);
 
@@ -260,6 +437,120 @@ class WebSocketManager {
     }
   }
 
+  /**
+   * Send the current token. With getAuthToken the token may be refreshed first.
+   */
+  async _authenticate({ forceRefresh = false } = {}) {
+    let token;
+
+    try {
+      token = await this._resolveToken({ forceRefresh });
+    } catch (err) {
+      console.error('[WSManager] Failed to obtain auth token:', err);
+      if (this.options.onAuthFailed) {
+        this.options.onAuthFailed({ message: err.message, code: 'token_unavailable' });
+      }
+      return;
+    }
+
+    if (token && this.ws?.readyState === WS_STATES.OPEN) {
+      this.send('auth:token', { token });
+    }
+  }
+
+  async _resolveToken({ forceRefresh = false } = {}) {
+    if (this.options.getAuthToken) {
+      return this.options.getAuthToken({ forceRefresh });
+    }
+    return this.options.authToken;
+  }
+
+  /**
+   * Count a WebSocket that never got as far as auth:success, and switch
+   * to SSE once `fallbackAfterFailures` of them happen in a row.
+   */
+  _recordFailedConnection() {
+    if (this.transport !== TRANSPORTS.WEBSOCKET || !this.options.sseUrl) return;
+    // Refused while the server restarts says nothing about WebSocket support
+    if (this.serverRestart) return;
+
+    this.failedConnections++;
+    if (this.failedConnections < this.options.fallbackAfterFailures) return;
+
+    console.warn(`[WSManager] WebSocket failed ${this.failedConnections} times, falling back to SSE`);
+    this.transport = TRANSPORTS.SSE;
+    // Give the new transport the full set of attempts
+    this.reconnectAttempts = 0;
+    this._notifyHandlers('transport:fallback', {
+      transport: this.transport,
+      failedConnections: this.failedConnections,
+    });
+  }
+
+  /**
+   * Re-authenticate with a refreshed token shortly before the server
+   * would close the socket for an expired one.
+   */
+  _scheduleAuthRefresh(expiresIn) {
+    clearTimeout(this.authRefreshTimer);
+    this.authRefreshTimer = null;
+
+    if (!expiresIn || !this.options.getAuthToken) return;
+
+    const delay = Math.max(0, expiresIn * 1000 - this.options.authRefreshMargin);
+    this.authRefreshTimer = setTimeout(() => {
+      this._authenticate({ forceRefresh: true });
+    }, delay);
+  }
+
+  _settleRequest(message) {
+    const pending = this.pendingMessages.get(message.replyTo);
+    this.pendingMessages.delete(message.replyTo);
+    clearTimeout(pending.timer);
+
+    if (message.error) {
+      pending.reject(new WebSocketRequestError(message.error.code, message.error.message, pending.type));
+    } else {
+      pending.resolve(message.payload);
+    }
+  }
+
+  /**
+   * Reject every unanswered request, including any still waiting to be
+   * sent, so none goes out on the next connection.
+   */
+  _rejectPending(code, reason) {
+    this.pendingMessages.forEach((pending) => {
+      clearTimeout(pending.timer);
+      pending.reject(new WebSocketRequestError(code, reason, pending.type));
+    });
+    this.messageQueue = this.messageQueue.filter((message) => !this.pendingMessages.has(message.id));
+    this.heldRequests = [];
+    this.pendingMessages.clear();
+  }
+
+  _releaseHeldRequests() {
+    const held = this.heldRequests.splice(0);
+    held.forEach((message) => this._sendRaw(message));
+  }
+
+  _rejectHeldRequests(code, reason) {
+    const held = this.heldRequests.splice(0);
+    held.forEach((message) => {
+      const pending = this.pendingMessages.get(message.id);
+      this.pendingMessages.delete(message.id);
+      clearTimeout(pending.timer);
+      pending.reject(new WebSocketRequestError(code, reason, pending.type));
+    });
+  }
+
+  // Forget a request that timed out wherever it is waiting
+  _dropRequest(id) {
+    this.pendingMessages.delete(id);
+    this.heldRequests = this.heldRequests.filter((message) => message.id !== id);
+    this.messageQueue = this.messageQueue.filter((message) => message.id !== id);
+  }
+
   _notifyHandlers(type, payload) {
     const handlers = this.messageHandlers.get(type);
     if (handlers) {
@@ -273,9 +564,16 @@ class WebSocketManager {
     }
   }
 
+  _recordWireStats(type, bytes, jsonBytes) {
+    const stats = this.wireStats[type] || (this.wireStats[type] = { messages: 0, bytes: 0, jsonBytes: 0 });
+    stats.messages++;
+    stats.bytes += bytes;
+    stats.jsonBytes += jsonBytes;
+  }
+
   _sendRaw(message) {
     try {
-      this.ws.send(JSON.stringify(message));
+      this.ws.send(this.ws.protocol === BINARY_PROTOCOL ? encode(message) : JSON.stringify(message));
     } catch (err) {
       console.error('[WSManager] Send error:', err);
       this._enqueueMessage(message);
@@ -306,12 +604,18 @@ class WebSocketManager {
     this.reconnectAttempts++;
 
     // Exponential backoff with jitter
-    const delay = Math.min(
+    let delay = Math.min(
       this.options.baseReconnectDelay * Math.pow(2, this.reconnectAttempts - 1) +
         Math.random() * 1000,
       this.options.maxReconnectDelay
     );
 
+    // First attempt after a shutdown notice waits for the hinted time; the
+    // jitter keeps every client from coming back at once
+    if (this.serverRestart && this.reconnectAttempts === 1) {
+      delay = this.serverRestart.reconnectAfter + Math.random() * 1000;
+    }
+
     console.log(
       `[WSManager] Reconnecting in ${Math.round(delay)}ms (attempt ${this.reconnectAttempts}/${this.options.maxReconnectAttempts})`
     );
@@ -369,23 +673,28 @@ class WebSocketManager {
   }
 
   /**
-   * Track message sequence to detect out-of-order delivery.
+   * Track per-channel message sequence to detect out-of-order delivery.
+   * Replayed messages fill a gap, so they may legitimately arrive late.
    */
-  trackMessageSequence(sequenceNum) {
+  trackMessageSequence(sequenceNum, channel = 'default', replayed = false) {
     this.messageSequence++;
-    if (sequenceNum !== undefined && sequenceNum <= this.lastReceivedSequence) {
+    if (sequenceNum === undefined) return;
+
+    const last = this.lastSequences[channel] ?? -1;
+    if (sequenceNum > last) {
+      this.lastSequences[channel] = sequenceNum;
+    } else if (!replayed) {
       this.outOfOrderCount++;
     }
-    if (sequenceNum !== undefined) {
-      this.lastReceivedSequence = sequenceNum;
-    }
   }
 
   _clearTimers() {
     clearTimeout(this.reconnectTimer);
+    clearTimeout(this.authRefreshTimer);
     clearInterval(this.heartbeatTimer);
     clearTimeout(this.heartbeatTimeoutTimer);
     this.reconnectTimer = null;
+    this.authRefreshTimer = null;
     this.heartbeatTimer = null;
     this.heartbeatTimeoutTimer = null;
   }
@@ -394,8 +703,8 @@ class WebSocketManager {
     this.disconnect();
     this.messageHandlers.clear();
     this.messageQueue = [];
-    this.pendingMessages.clear();
+    this._rejectPending('connection_closed', 'WebSocketManager destroyed');
   }
 }
 
-export { WebSocketManager, WS_STATES };
+export { WebSocketManager, WebSocketRequestError, WS_STATES, TRANSPORTS };
@@ -0,0 +1,38 @@
+/**
+ * Permission helpers - mirror the server's role capabilities for the UI.
+ */
+
+const PERMISSION_LABELS = {
+  'users:create': 'create users',
+  'users:update': 'edit users',
+  'users:delete': 'delete users',
+  'feed:post': 'post to the feed',
+  'feed:triage': 'acknowledge, assign or snooze feed messages',
+  'analytics:subscribe': 'receive live analytics',
+  'chaos:manage': 'configure fault injection',
+  'connections:manage': 'manage realtime connections',
+};
+
+function hasPermission(user, permission) {
+  return Boolean(user?.permissions?.includes(permission));
+}
+
+/**
+ * Turn a denial (WebSocket `error` payload or 403 body) into a sentence.
+ */
+function describeDenial(denial) {
+  if (!denial) return null;
+
+  switch (denial.code) {
+    case 'permission_denied': {
+      const action = PERMISSION_LABELS[denial.permission] || denial.permission;
+      return `Your role (${denial.role || 'unknown'}) is not allowed to ${action}.`;
+    }
+    case 'auth_required':
+      return 'You need to be signed in to do that.';
+    default:
+      return denial.message || null;
+  }
+}
+
+export { PERMISSION_LABELS, hasPermission, describeDenial };